@@ -75,9 +75,13 @@ async function generateManifest() {
     manifest.version = pkg.version || manifest.version;
   }
   
-  // Add CSP for production
+  // Add CSP for production. connect-src stays open to any http(s) origin because
+  // Ollama and OpenAI-compatible servers live at user-configured URLs. The CSP
+  // is not a safeguard here: host_permissions already covers <all_urls>, so the
+  // only per-origin check is Chrome's own site access setting, if the user has
+  // restricted it.
   manifest.content_security_policy = {
-    extension_pages: "script-src 'self'; object-src 'self'; connect-src 'self' https://api.openai.com https://api.anthropic.com"
+    extension_pages: "script-src 'self'; object-src 'self'; connect-src 'self' https: http:"
   };
   
   await fs.writeJson(manifestPath, manifest, { spaces: 2 });
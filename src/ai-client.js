@@ -1,46 +1,125 @@
 /**
  * AI Client
- * Unified interface for OpenAI, Anthropic, and local LLMs
+ * Unified interface for OpenAI, Anthropic, OpenAI-compatible servers, and local LLMs
  */
 
+import { getModelInfo } from './models.js';
+
+// Upper bound for a reply unless the caller asks for more
+const DEFAULT_MAX_TOKENS = 4096;
+
+/**
+ * Estimate tokens without a tokenizer: about 3.5 characters per token for
+ * Latin-script text and one per character for CJK scripts. Non-string input
+ * is measured as JSON. Errs on the high side, which is the safe direction.
+ */
+export function estimateTokens(input) {
+  if (input == null) return 0;
+  const text = typeof input === 'string' ? input : JSON.stringify(input);
+  const wide = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/g) || []).length;
+  return Math.ceil((text.length - wide) / 3.5 + wide);
+}
+
+// Per-message framing tokens the APIs add around role and content
+const MESSAGE_OVERHEAD = 4;
+
+// What a downscaled screenshot costs; providers charge by pixel area, about this much at 1280px wide
+const IMAGE_TOKENS = 1600;
+
+export function estimateMessagesTokens(messages = []) {
+  return messages.reduce((total, m) => total + MESSAGE_OVERHEAD
+    + estimateTokens(m.content)
+    + (m.tool_calls ? estimateTokens(m.tool_calls) : 0)
+    + (m.images?.length || 0) * IMAGE_TOKENS, 0);
+}
+
 export class AIClient {
   constructor(config = {}) {
     this.provider = config.provider || 'openai';
     this.apiKey = config.apiKey;
     this.baseUrl = config.baseUrl;
+    this.headers = config.headers || {};
     this.model = config.model || 'gpt-4-turbo-preview';
     this.timeout = config.timeout || 60000;
     this.maxRetries = config.maxRetries || 2;
+    this.capabilities = getModelInfo(this.provider, this.model, { contextWindow: config.contextWindow });
+
+    // Per-model tool calling mode for the local provider: 'native' or 'prompt'
+    this.localToolModes = new Map();
+    if (this.provider === 'local' && !this.capabilities.tools) {
+      this.localToolModes.set(this.model, 'prompt');
+    }
   }
 
-  async complete({ system, messages, tools, temperature = 0.7, max_tokens = 4096 }) {
+  // Tokens a reply may use when the caller doesn't set max_tokens
+  get outputBudget() {
+    return Math.min(DEFAULT_MAX_TOKENS, this.capabilities.maxOutput);
+  }
+
+  /**
+   * Run a completion. When `onDelta` is given the response is streamed and
+   * `onDelta(text)` is called for every text fragment as it arrives; the
+   * resolved value has the same shape either way. Aborting `signal` cancels
+   * the request and rejects with an error whose `cancelled` flag is set.
+   */
+  async complete({ system, messages, tools, temperature = 0.7, max_tokens = this.outputBudget, onDelta, signal }) {
     let lastError;
 
+    // Messages may carry `images` ({ mediaType, data } in base64); text-only models never see them
+    if (!this.capabilities.vision) {
+      messages = messages.map(({ images, ...m }) => m);
+    }
+
     for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (signal?.aborted) throw cancelledError();
+
       const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+      const onAbort = () => controller.abort();
+      signal?.addEventListener('abort', onAbort);
+      let timeoutId = setTimeout(() => controller.abort(), this.timeout);
+      let streamed = false;
+
+      // While streaming, the timeout measures silence rather than total duration
+      const onChunk = () => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => controller.abort(), this.timeout);
+      };
+      const stream = onDelta
+        ? {
+            onChunk,
+            onDelta: (text) => {
+              streamed = true;
+              onDelta(text);
+            }
+          }
+        : null;
 
       try {
         let response;
+        const params = { system, messages, tools, temperature, max_tokens, signal: controller.signal, stream };
 
         switch (this.provider) {
           case 'openai':
-            response = await this.callOpenAI({ system, messages, tools, temperature, max_tokens, signal: controller.signal });
+          case 'openai-compatible':
+            response = await this.callOpenAI(params);
             break;
           case 'anthropic':
-            response = await this.callAnthropic({ system, messages, tools, temperature, max_tokens, signal: controller.signal });
+            response = await this.callAnthropic(params);
             break;
           case 'local':
-            response = await this.callLocal({ system, messages, tools, temperature, max_tokens, signal: controller.signal });
+            response = await this.callLocal(params);
             break;
           default:
-            throw new Error(`Unknown provider: ${this.provider}. Supported: openai, anthropic, local`);
+            throw new Error(`Unknown provider: ${this.provider}. Supported: openai, anthropic, openai-compatible, local`);
         }
 
         return response;
       } catch (error) {
         lastError = error;
 
+        if (signal?.aborted) {
+          throw cancelledError();
+        }
         if (error.name === 'AbortError') {
           throw new Error(`Request timed out after ${this.timeout / 1000}s. Try a shorter message or check your connection.`);
         }
@@ -53,8 +132,8 @@ export class AIClient {
           throw error;
         }
 
-        // Retry on 429 (rate limit) or 5xx
-        if (attempt < this.maxRetries && (error.status === 429 || error.status >= 500)) {
+        // Retry on 429 (rate limit) or 5xx, unless text was already shown to the user
+        if (!streamed && attempt < this.maxRetries && (error.status === 429 || error.status >= 500)) {
           const delay = Math.pow(2, attempt) * 1000;
           await new Promise(resolve => setTimeout(resolve, delay));
           continue;
@@ -63,21 +142,17 @@ export class AIClient {
         throw error;
       } finally {
         clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
       }
     }
 
     throw lastError;
   }
 
-  async callOpenAI({ system, messages, tools, temperature, max_tokens, signal }) {
+  async callOpenAI({ system, messages, tools, temperature, max_tokens, signal, stream }) {
     const formattedMessages = [
       { role: 'system', content: system },
-      ...messages.map(m => {
-        const msg = { role: m.role, content: m.content };
-        if (m.tool_calls) msg.tool_calls = m.tool_calls;
-        if (m.tool_call_id) msg.tool_call_id = m.tool_call_id;
-        return msg;
-      })
+      ...formatOpenAIMessages(messages)
     ];
 
     const body = {
@@ -92,12 +167,26 @@ export class AIClient {
       body.tool_choice = 'auto';
     }
 
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+    const compatible = this.provider === 'openai-compatible';
+    const label = compatible ? 'OpenAI-compatible server' : 'OpenAI API';
+
+    if (stream) {
+      body.stream = true;
+      // Not every compatible server accepts stream_options
+      if (!compatible) body.stream_options = { include_usage: true };
+    }
+
+    if (compatible && !this.baseUrl) {
+      throw new Error('No base URL configured for the OpenAI-compatible provider.');
+    }
+
+    const baseUrl = (this.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const headers = { 'Content-Type': 'application/json', ...this.headers };
+    if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
       method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json'
-      },
+      headers,
       body: JSON.stringify(body),
       signal
     });
@@ -106,20 +195,24 @@ export class AIClient {
       let errorMsg;
       try {
         const error = await response.json();
-        errorMsg = error.error?.message || `OpenAI API error: HTTP ${response.status}`;
+        errorMsg = error.error?.message || error.message || `${label} error: HTTP ${response.status}`;
       } catch {
-        errorMsg = `OpenAI API error: HTTP ${response.status}`;
+        errorMsg = `${label} error: HTTP ${response.status}`;
       }
       const err = new Error(errorMsg);
       err.status = response.status;
       throw err;
     }
 
+    if (stream) {
+      return this.readOpenAIStream(response, stream);
+    }
+
     const data = await response.json();
     const choice = data.choices?.[0];
 
     if (!choice) {
-      throw new Error('No response from OpenAI. The model may be unavailable.');
+      throw new Error(`No response from ${label}. The model may be unavailable.`);
     }
 
     return {
@@ -135,15 +228,8 @@ export class AIClient {
     };
   }
 
-  async callAnthropic({ system, messages, tools, temperature, max_tokens, signal }) {
-    const formattedMessages = messages
-      .filter(m => m.role !== 'system')
-      .map(m => ({
-        role: m.role === 'tool' ? 'user' : m.role,
-        content: m.role === 'tool'
-          ? [{ type: 'tool_result', tool_use_id: m.tool_call_id, content: m.content }]
-          : m.content
-      }));
+  async callAnthropic({ system, messages, tools, temperature, max_tokens, signal, stream }) {
+    const formattedMessages = formatAnthropicMessages(messages);
 
     const body = {
       model: this.model || 'claude-3-sonnet-20240229',
@@ -161,6 +247,10 @@ export class AIClient {
       }));
     }
 
+    if (stream) {
+      body.stream = true;
+    }
+
     const response = await fetch('https://api.anthropic.com/v1/messages', {
       method: 'POST',
       headers: {
@@ -185,6 +275,10 @@ export class AIClient {
       throw err;
     }
 
+    if (stream) {
+      return this.readAnthropicStream(response, stream);
+    }
+
     const data = await response.json();
 
     const textContent = data.content?.find(c => c.type === 'text')?.text || '';
@@ -205,40 +299,501 @@ export class AIClient {
     };
   }
 
-  async callLocal({ system, messages, temperature, max_tokens, signal }) {
+  async callLocal({ system, messages, tools, temperature, max_tokens, signal, stream }) {
     const url = this.baseUrl || 'http://localhost:11434';
+    const model = this.model || 'llama3';
+
+    // Models without native tool support get the tool list in the prompt instead
+    const promptTools = tools?.length > 0 && this.localToolModes.get(model) === 'prompt';
+
+    const body = {
+      model,
+      messages: promptTools
+        ? formatPromptToolMessages(system, messages, tools)
+        : [{ role: 'system', content: system }, ...formatOllamaMessages(messages)],
+      stream: !!stream,
+      options: {
+        temperature,
+        num_predict: max_tokens,
+        num_ctx: this.capabilities.contextWindow
+      }
+    };
+
+    if (tools?.length > 0 && !promptTools) {
+      body.tools = tools;
+    }
 
     const response = await fetch(`${url}/api/chat`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: this.model || 'llama3',
-        messages: [
-          { role: 'system', content: system },
-          ...messages.filter(m => m.role !== 'tool').map(m => ({
-            role: m.role,
-            content: m.content
-          }))
-        ],
-        stream: false,
-        options: {
-          temperature,
-          num_predict: max_tokens
-        }
-      }),
+      body: JSON.stringify(body),
       signal
     });
 
     if (!response.ok) {
-      const err = new Error(`Local LLM error: HTTP ${response.status}. Is Ollama running?`);
+      let detail = '';
+      try {
+        detail = (await response.json()).error || '';
+      } catch {
+        // Non-JSON error body
+      }
+
+      if (body.tools && response.status === 400 && /does not support tools/i.test(detail)) {
+        this.localToolModes.set(model, 'prompt');
+        return this.callLocal({ system, messages, tools, temperature, max_tokens, signal, stream });
+      }
+
+      const err = new Error(detail
+        ? `Local LLM error: ${detail}`
+        : `Local LLM error: HTTP ${response.status}. Is Ollama running?`);
       err.status = response.status;
       throw err;
     }
 
-    const data = await response.json();
+    let result;
+    if (stream) {
+      result = await this.readLocalStream(response, promptTools ? holdBackToolCallText(stream) : stream);
+    } else {
+      const data = await response.json();
+      result = {
+        content: data.message?.content || '',
+        tool_calls: mapOllamaToolCalls(data.message?.tool_calls)
+      };
+    }
+
+    if (promptTools) {
+      const parsed = parsePromptToolCalls(result.content, tools);
+      if (parsed) return { ...result, ...parsed };
+    }
+
+    return result;
+  }
+
+  // Streaming readers
+
+  async readOpenAIStream(response, { onDelta, onChunk }) {
+    let content = '';
+    let usage;
+    const toolCalls = [];
+
+    for await (const { data } of readServerSentEvents(response)) {
+      onChunk();
+      if (data === '[DONE]') break;
+
+      const chunk = parseJSON(data);
+      if (!chunk) continue;
+      if (chunk.usage) usage = chunk.usage;
+
+      const delta = chunk.choices?.[0]?.delta;
+      if (!delta) continue;
+
+      if (delta.content) {
+        content += delta.content;
+        onDelta(delta.content);
+      }
+
+      // Tool calls arrive as fragments keyed by index; arguments are split across chunks
+      for (const part of delta.tool_calls || []) {
+        const call = toolCalls[part.index] ||= { id: '', function: { name: '', arguments: '' } };
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.function.name += part.function.name;
+        if (part.function?.arguments) call.function.arguments += part.function.arguments;
+      }
+    }
+
+    const calls = toolCalls.filter(Boolean);
+    return {
+      content,
+      tool_calls: calls.length > 0 ? calls : null,
+      usage
+    };
+  }
+
+  async readAnthropicStream(response, { onDelta, onChunk }) {
+    let content = '';
+    const usage = {};
+    const blocks = [];
+
+    for await (const { data } of readServerSentEvents(response)) {
+      onChunk();
+
+      const event = parseJSON(data);
+      if (!event) continue;
+
+      switch (event.type) {
+        case 'message_start':
+          Object.assign(usage, event.message?.usage);
+          break;
+        case 'content_block_start':
+          blocks[event.index] = { ...event.content_block, partial_json: '' };
+          break;
+        case 'content_block_delta': {
+          const block = blocks[event.index];
+          if (event.delta?.type === 'text_delta') {
+            content += event.delta.text;
+            onDelta(event.delta.text);
+          } else if (event.delta?.type === 'input_json_delta' && block) {
+            block.partial_json += event.delta.partial_json;
+          }
+          break;
+        }
+        case 'message_delta':
+          Object.assign(usage, event.usage);
+          break;
+        case 'error': {
+          const err = new Error(event.error?.message || 'Anthropic stream error');
+          if (event.error?.type === 'overloaded_error') err.status = 529;
+          throw err;
+        }
+      }
+    }
+
+    const toolUses = blocks.filter(b => b?.type === 'tool_use');
+
+    return {
+      content,
+      tool_calls: toolUses.length > 0
+        ? toolUses.map(tu => ({
+            id: tu.id,
+            function: {
+              name: tu.name,
+              arguments: tu.partial_json || '{}'
+            }
+          }))
+        : null,
+      usage
+    };
+  }
+
+  async readLocalStream(response, { onDelta, onChunk }) {
+    let content = '';
+    const toolCalls = [];
+
+    for await (const line of readLines(response)) {
+      onChunk();
+
+      const chunk = parseJSON(line);
+      if (!chunk) continue;
+      if (chunk.error) throw new Error(`Local LLM error: ${chunk.error}`);
+
+      const text = chunk.message?.content;
+      if (text) {
+        content += text;
+        onDelta(text);
+      }
+
+      // Ollama sends complete tool calls rather than fragments
+      if (chunk.message?.tool_calls) {
+        toolCalls.push(...chunk.message.tool_calls);
+      }
+      if (chunk.done) break;
+    }
+
     return {
-      content: data.message?.content || '',
-      tool_calls: null
+      content,
+      tool_calls: mapOllamaToolCalls(toolCalls)
     };
   }
 }
+
+function cancelledError() {
+  const err = new Error('Request cancelled');
+  err.cancelled = true;
+  return err;
+}
+
+/**
+ * Images from tool results wait for the end of the run of tool messages, since
+ * the calls' results must follow the assistant turn directly. Tool messages
+ * take only text, so the images go in a user turn of their own.
+ */
+function withToolImages(messages, format, imageTurn) {
+  const formatted = [];
+  let pending = [];
+  const flush = () => {
+    if (pending.length > 0) formatted.push(imageTurn(pending));
+    pending = [];
+  };
+
+  for (const m of messages) {
+    if (m.role !== 'tool') flush();
+    if (m.role === 'tool' && m.images?.length) pending.push(...m.images);
+    formatted.push(format(m));
+  }
+  flush();
+  return formatted;
+}
+
+function formatOpenAIMessages(messages) {
+  const imagePart = image => ({ type: 'image_url', image_url: { url: `data:${image.mediaType};base64,${image.data}` } });
+
+  return withToolImages(messages, m => {
+    const msg = { role: m.role, content: m.content };
+    if (m.tool_calls) msg.tool_calls = m.tool_calls;
+    if (m.tool_call_id) msg.tool_call_id = m.tool_call_id;
+    if (m.images?.length && m.role !== 'tool') {
+      msg.content = [{ type: 'text', text: m.content || '' }, ...m.images.map(imagePart)];
+    }
+    return msg;
+  }, images => ({
+    role: 'user',
+    content: [{ type: 'text', text: 'Images returned by the tool calls above:' }, ...images.map(imagePart)]
+  }));
+}
+
+/**
+ * Convert the OpenAI-style history into Anthropic content blocks. Tool calls
+ * become tool_use blocks, tool results become tool_result blocks in a user
+ * turn, and consecutive turns from the same role are merged.
+ */
+function formatAnthropicMessages(messages) {
+  const formatted = [];
+  // Anthropic takes images inside tool results, so they stay with their call
+  const imageBlocks = m => (m.images || []).map(image => ({
+    type: 'image',
+    source: { type: 'base64', media_type: image.mediaType, data: image.data }
+  }));
+
+  for (const m of messages) {
+    if (m.role === 'system') continue;
+
+    let role = m.role;
+    let blocks;
+
+    if (m.role === 'tool') {
+      role = 'user';
+      blocks = [{
+        type: 'tool_result',
+        tool_use_id: m.tool_call_id,
+        content: m.images?.length ? [{ type: 'text', text: m.content }, ...imageBlocks(m)] : m.content
+      }];
+    } else if (m.role === 'assistant' && m.tool_calls) {
+      blocks = [
+        ...(m.content ? [{ type: 'text', text: m.content }] : []),
+        ...m.tool_calls.map(tc => ({
+          type: 'tool_use',
+          id: tc.id,
+          name: tc.function.name,
+          input: parseJSON(tc.function.arguments) || {}
+        }))
+      ];
+    } else {
+      blocks = [{ type: 'text', text: m.content || '' }, ...imageBlocks(m)];
+    }
+
+    const previous = formatted[formatted.length - 1];
+    if (previous?.role === role) {
+      previous.content.push(...blocks);
+    } else {
+      formatted.push({ role, content: blocks });
+    }
+  }
+
+  return formatted;
+}
+
+// Ollama tool calling helpers
+
+// Ollama takes images as bare base64 strings on a message
+function formatOllamaMessages(messages) {
+  const toolNames = new Map();
+
+  return withToolImages(messages, m => {
+    if (m.role === 'assistant' && m.tool_calls) {
+      m.tool_calls.forEach(tc => toolNames.set(tc.id, tc.function.name));
+      return {
+        role: 'assistant',
+        content: m.content || '',
+        tool_calls: m.tool_calls.map(tc => ({
+          function: {
+            name: tc.function.name,
+            arguments: parseJSON(tc.function.arguments) || {}
+          }
+        }))
+      };
+    }
+    if (m.role === 'tool') {
+      return { role: 'tool', content: m.content, tool_name: toolNames.get(m.tool_call_id) };
+    }
+    return m.images?.length
+      ? { role: m.role, content: m.content, images: m.images.map(image => image.data) }
+      : { role: m.role, content: m.content };
+  }, images => ({
+    role: 'user',
+    content: 'Images returned by the tool calls above:',
+    images: images.map(image => image.data)
+  }));
+}
+
+function mapOllamaToolCalls(toolCalls) {
+  if (!toolCalls?.length) return null;
+
+  // Ollama doesn't assign call IDs, but the rest of the tool flow pairs results by ID
+  return toolCalls.map((tc, i) => ({
+    id: `call_${Date.now().toString(36)}_${i}`,
+    function: {
+      name: tc.function.name,
+      arguments: typeof tc.function.arguments === 'string'
+        ? tc.function.arguments
+        : JSON.stringify(tc.function.arguments || {})
+    }
+  }));
+}
+
+function formatPromptToolMessages(system, messages, tools) {
+  const toolList = tools.map(t =>
+    `- ${t.function.name}: ${t.function.description}\n  Parameters: ${JSON.stringify(t.function.parameters)}`
+  ).join('\n');
+
+  const instructions = `You can call tools. To call one or more tools, reply with ONLY a JSON object and no other text:
+{"tool_calls": [{"name": "<tool name>", "arguments": {<parameters>}}]}
+
+Available tools:
+${toolList}
+
+Tool results will be sent back to you as messages starting with "Tool result". When you don't need a tool, answer normally in plain text.`;
+
+  const formatted = [{ role: 'system', content: `${system}\n\n${instructions}` }];
+  const toolNames = new Map();
+
+  for (const m of messages) {
+    if (m.role === 'assistant' && m.tool_calls) {
+      m.tool_calls.forEach(tc => toolNames.set(tc.id, tc.function.name));
+      formatted.push({
+        role: 'assistant',
+        content: JSON.stringify({
+          tool_calls: m.tool_calls.map(tc => ({
+            name: tc.function.name,
+            arguments: parseJSON(tc.function.arguments) || {}
+          }))
+        })
+      });
+    } else if (m.role === 'tool') {
+      formatted.push({
+        role: 'user',
+        content: `Tool result (${toolNames.get(m.tool_call_id) || 'tool'}): ${m.content}`,
+        ...(m.images?.length ? { images: m.images.map(image => image.data) } : {})
+      });
+    } else {
+      formatted.push({
+        role: m.role,
+        content: m.content,
+        ...(m.images?.length ? { images: m.images.map(image => image.data) } : {})
+      });
+    }
+  }
+
+  return formatted;
+}
+
+function parsePromptToolCalls(content, tools) {
+  const text = content.trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+  if (!text.startsWith('{')) return null;
+
+  const parsed = parseJSON(text);
+  if (!Array.isArray(parsed?.tool_calls)) return null;
+
+  const known = new Set(tools.map(t => t.function.name));
+  const calls = parsed.tool_calls
+    .filter(tc => known.has(tc?.name))
+    .map(tc => ({ function: { name: tc.name, arguments: tc.arguments || {} } }));
+
+  if (calls.length === 0) return null;
+  return { content: '', tool_calls: mapOllamaToolCalls(calls) };
+}
+
+const TOOL_CALL_START = '{"tool_calls"';
+
+// Whether streamed text can still become a prompt tool call: {"tool_calls": …}, maybe in a ```json fence
+function mayBeToolCall(text) {
+  let rest = text.trimStart();
+  const fence = rest.match(/^```(?:json)?/i);
+  if (fence) {
+    rest = rest.slice(fence[0].length);
+    // "```js" may still become "```json"
+    if (fence[0].length === 3 && rest && 'json'.startsWith(rest.toLowerCase())) return true;
+  } else if ('```'.startsWith(rest)) {
+    return true;
+  }
+
+  const compact = rest.replace(/\s+/g, '');
+  return TOOL_CALL_START.startsWith(compact) || compact.startsWith(TOOL_CALL_START);
+}
+
+/**
+ * Wrap stream callbacks so a reply that starts like a JSON tool call is not
+ * shown to the user. Everything else, JSON and code answers included, is
+ * passed through as soon as it can no longer be one.
+ */
+function holdBackToolCallText(stream) {
+  let buffer = '';
+  let passthrough = false;
+
+  return {
+    onChunk: stream.onChunk,
+    onDelta: (text) => {
+      if (passthrough) {
+        stream.onDelta(text);
+        return;
+      }
+      buffer += text;
+      if (buffer.trim() && !mayBeToolCall(buffer)) {
+        passthrough = true;
+        stream.onDelta(buffer);
+      }
+    }
+  };
+}
+
+// Stream helpers
+
+async function* readLines(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.trim()) yield line;
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) yield buffer;
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+async function* readServerSentEvents(response) {
+  let event = null;
+
+  // readLines drops the blank separator lines, so each data line is emitted on its own
+  for await (const line of readLines(response)) {
+    if (line.startsWith(':')) continue;
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      yield { event, data: line.slice(5).trim() };
+      event = null;
+    }
+  }
+}
+
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
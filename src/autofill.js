@@ -0,0 +1,79 @@
+/**
+ * Autofill
+ * Matches the fields of a page's form to the keys of a saved profile
+ */
+
+/*
+ * The keys the profile editor suggests. A field means one of them when its
+ * autocomplete token says so, or when its name, id, label or placeholder
+ * matches the pattern. Profiles may hold other keys too; those are matched by
+ * name or left to the model.
+ */
+export const PROFILE_FIELDS = {
+  full_name: { label: 'Full name', autocomplete: ['name'], pattern: /^(full[\s_-]?)?name$|^your[\s_-]?name$|contact[\s_-]?name/i },
+  given_name: { label: 'First name', autocomplete: ['given-name'], pattern: /first[\s_-]?name|given[\s_-]?name|^fname$|forename/i },
+  family_name: { label: 'Last name', autocomplete: ['family-name'], pattern: /last[\s_-]?name|family[\s_-]?name|surname|^lname$/i },
+  email: { label: 'Email', autocomplete: ['email'], pattern: /e-?mail/i },
+  phone: { label: 'Phone', autocomplete: ['tel', 'tel-national'], pattern: /phone|mobile|^tel$|telephone/i },
+  organization: { label: 'Company', autocomplete: ['organization'], pattern: /company|organi[sz]ation|business[\s_-]?name|employer/i },
+  job_title: { label: 'Job title', autocomplete: ['organization-title'], pattern: /job[\s_-]?title|^title$|position/i },
+  address_line1: { label: 'Address line 1', autocomplete: ['address-line1', 'street-address'], pattern: /address[\s_-]?(line)?[\s_-]?1|street|^address$/i },
+  address_line2: { label: 'Address line 2', autocomplete: ['address-line2'], pattern: /address[\s_-]?(line)?[\s_-]?2|apartment|suite|^apt/i },
+  city: { label: 'City', autocomplete: ['address-level2'], pattern: /city|town|locality/i },
+  region: { label: 'State / region', autocomplete: ['address-level1'], pattern: /^state$|province|region|county/i },
+  postal_code: { label: 'Postal code', autocomplete: ['postal-code'], pattern: /zip|postal|post[\s_-]?code/i },
+  country: { label: 'Country', autocomplete: ['country', 'country-name'], pattern: /country/i },
+  website: { label: 'Website', autocomplete: ['url'], pattern: /website|homepage|^url$/i }
+};
+
+// Field types a text profile never fills; passwords stay with the browser's password manager
+const SKIPPED_TYPES = ['hidden', 'submit', 'button', 'reset', 'image', 'file', 'checkbox', 'radio', 'password'];
+
+const normalize = text => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+export function isFillable(field) {
+  return field.visible !== false
+    && ['input', 'select', 'textarea'].includes(field.tag)
+    && !SKIPPED_TYPES.includes(field.type);
+}
+
+// How a field presents itself, for the model and the preview
+export function describeFormField(field) {
+  const parts = [field.label && `"${field.label}"`, field.name && `name=${field.name}`, field.id && `id=${field.id}`,
+    field.placeholder && `placeholder="${field.placeholder}"`, field.type && `type=${field.type}`];
+  return parts.filter(Boolean).join(' ') || field.ref;
+}
+
+function matchField(field, keys) {
+  // The autocomplete attribute ends in the field's meaning ("shipping postal-code")
+  const token = (field.autocomplete || '').trim().split(/\s+/).pop();
+  const byAutocomplete = keys.find(key => PROFILE_FIELDS[key]?.autocomplete.includes(token));
+  if (byAutocomplete) return { key: byAutocomplete };
+
+  const names = [field.name, field.id, field.label, field.placeholder, field.ariaLabel].filter(Boolean);
+  const exact = keys.find(key => names.some(name => normalize(name) === normalize(key)));
+  if (exact) return { key: exact };
+
+  const candidates = keys.filter(key => PROFILE_FIELDS[key] && names.some(name => PROFILE_FIELDS[key].pattern.test(name)));
+  return candidates.length === 1 ? { key: candidates[0] } : { candidates };
+}
+
+/**
+ * Pair a form's fillable fields with the profile keys they ask for. Fields
+ * the rules can't place (several keys fit, or none of the known patterns do
+ * while the profile has custom keys) are returned as `ambiguous` for the model
+ * to decide.
+ */
+export function matchProfileFields(fields, profileFields) {
+  const keys = Object.keys(profileFields).filter(key => profileFields[key] !== '');
+  const customKeys = keys.filter(key => !PROFILE_FIELDS[key]);
+  const matched = [];
+  const ambiguous = [];
+
+  for (const field of fields.filter(isFillable)) {
+    const { key, candidates } = matchField(field, keys);
+    if (key) matched.push({ field, key });
+    else if (candidates.length > 1 || customKeys.length > 0) ambiguous.push(field);
+  }
+  return { matched, ambiguous };
+}
@@ -3,21 +3,121 @@
  * Orchestrates AI processing, tab management, and message routing
  */
 
-import { AIClient } from './ai-client.js';
-import { StorageManager } from './utils.js';
+import { AIClient, estimateTokens, estimateMessagesTokens } from './ai-client.js';
+import { StorageManager, ConcurrencyLimiter } from './utils.js';
+import { resolveToolPolicy } from './policies.js';
+import { SessionStore, domainOf } from './session-store.js';
+import { conversationToMarkdown, conversationToJSON, batchToJSON, tableToCSV, downloadFile, safeFilename } from './exporters.js';
+import { packPageContext, prioritiesFor, splitIntoChunks, mergeFrameSnapshots } from './page-context.js';
+import { ProfileStore } from './profile-store.js';
+import { matchProfileFields, describeFormField, isFillable } from './autofill.js';
+import { BatchRunner, batchTable, parseAnswer } from './batch-runner.js';
 
 const CONFIG = {
-  MAX_HISTORY_PER_TAB: 20,
+  // Shares of the model's context window. History above its share is compacted,
+  // keeping at most half of it verbatim; page content gets what's left, up to its share.
+  HISTORY_SHARE: 0.3,
+  PAGE_CONTEXT_SHARE: 0.5,
+  // Within one turn tool results may take history up to this share; older results are trimmed beyond it
+  TURN_HISTORY_SHARE: 0.5,
+  // Instructions and page header around the packed page content
+  PROMPT_OVERHEAD_TOKENS: 600,
   CONTEXT_REFRESH_INTERVAL: 5 * 60 * 1000,
   DEFAULT_MODEL: 'gpt-4-turbo-preview',
-  STALE_SESSION_MS: 60 * 60 * 1000
+  STALE_SESSION_MS: 60 * 60 * 1000,
+  // Tool-calling rounds per message: the default and the most the settings allow
+  MAX_AGENT_STEPS: 8,
+  MAX_AGENT_STEPS_LIMIT: 30,
+  PAGE_SETTLE_DELAY: 400,
+  PAGE_SETTLE_TIMEOUT: 15000,
+  // Long-page summaries: chunk size, parallel requests, spacing between them, output per chunk
+  SUMMARY_CHUNK_TOKENS: 6000,
+  SUMMARY_CONCURRENCY: 3,
+  SUMMARY_REQUEST_INTERVAL: 500,
+  SUMMARY_SECTION_TOKENS: 500,
+  // Iframes read into the page snapshot, and the smallest one worth reading (px per side)
+  MAX_FRAMES: 10,
+  MIN_FRAME_SIZE: 50,
+  // wait_for on the URL; the content script applies the same limits to its waits
+  WAIT_DEFAULT_TIMEOUT: 10000,
+  WAIT_MAX_TIMEOUT: 30000,
+  // How long after the content script goes away a submit_form navigation may still be reported
+  SUBMIT_NAVIGATION_GRACE: 1000,
+  // Screenshots are scaled down to this width and re-encoded at this JPEG quality
+  SCREENSHOT_MAX_WIDTH: 1280,
+  SCREENSHOT_QUALITY: 0.7,
+  // Cross-tab tools: how many tabs list_tabs reports, and the page budget of a read_tab result
+  MAX_LISTED_TABS: 50,
+  READ_TAB_TOKENS: 3000,
+  // Batch prompts answer from this much of each page
+  BATCH_PAGE_TOKENS: 6000,
+  // extract_all_pages: default and largest page and item limits, and how many
+  // rounds in a row may bring no new items before the crawl stops
+  CRAWL_DEFAULT_PAGES: 10,
+  CRAWL_MAX_PAGES: 50,
+  CRAWL_DEFAULT_ITEMS: 200,
+  CRAWL_MAX_ITEMS: 1000,
+  CRAWL_STALE_ROUNDS: 2,
+  CRAWL_LOAD_TIMEOUT: 8000
 };
 
+// Tools after which the page may have changed and needs to be re-read
+const PAGE_CHANGING_TOOLS = new Set([
+  'navigate', 'click_element', 'wait_for', 'press_key', 'hover', 'check', 'uncheck', 'choose_radio', 'submit_form',
+  'fill_form_from_profile', 'open_tab', 'switch_tab', 'close_tab', 'extract_all_pages'
+]);
+
+// Tools that reach beyond the conversation's tab; left out when the user limits the agent to it
+const CROSS_TAB_TOOLS = new Set(['list_tabs', 'open_tab', 'switch_tab', 'close_tab', 'read_tab']);
+
+// Tools that ask for approval themselves, once they know what they would do
+const SELF_APPROVING_TOOLS = new Set(['fill_form_from_profile']);
+
+// Tools that look for their target in the iframes when the top page doesn't have it
+const FRAME_SEARCH_TOOLS = new Set([
+  'click_element', 'fill_form', 'check', 'uncheck', 'choose_radio', 'hover', 'focus', 'clear', 'press_key', 'submit_form',
+  'extract_table'
+]);
+
+// Stands in for an old tool result dropped to keep a long turn inside the context window
+const TRIMMED_TOOL_RESULT = JSON.stringify({
+  trimmed: true,
+  note: 'Result removed to save context; run the tool again if it is still needed'
+});
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // Chunked, since spreading a large array into fromCharCode overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function formatTranscript(messages) {
+  return messages.map(m => {
+    if (m.role === 'tool') return `Tool result: ${m.content.slice(0, 600)}`;
+    if (m.tool_calls) {
+      const calls = m.tool_calls.map(tc => `${tc.function.name}(${tc.function.arguments})`).join(', ');
+      return `Assistant: ${m.content ? `${m.content}\n` : ''}[called ${calls}]`;
+    }
+    return `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`;
+  }).join('\n\n');
+}
+
 class AIBrowserAssistant {
   constructor() {
     this.ai = null;
-    this.sessions = new Map();
     this.storage = new StorageManager();
+    this.sessions = new SessionStore(this.storage);
+    this.profiles = new ProfileStore(this.storage);
+    this.batches = new BatchRunner({
+      storage: this.storage,
+      processRow: (job, row, signal) => this.runBatchRow(job, row, signal),
+      // Nobody is listening when the side panel is closed
+      onUpdate: job => chrome.runtime.sendMessage({ action: 'batch_update', job }).catch(() => {})
+    });
     this.initialized = false;
   }
 
@@ -25,16 +125,12 @@ class AIBrowserAssistant {
     if (this.initialized) return;
 
     const config = await this.storage.get('ai_config');
-    if (config?.apiKey) {
-      this.ai = new AIClient({
-        provider: config.provider || 'openai',
-        apiKey: config.apiKey,
-        model: config.model || CONFIG.DEFAULT_MODEL
-      });
-    }
+    this.ai = this.createClient(config);
 
     this.setupListeners();
     this.setupAlarms();
+    await this.sessions.restore();
+    await this.batches.restore();
     this.initialized = true;
     console.log('[AI Assistant] Background service initialized');
   }
@@ -50,6 +146,11 @@ class AIBrowserAssistant {
       return true;
     });
 
+    // Long-lived connection used by the side panel for streamed responses
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name === 'chat-stream') this.handlePort(port);
+    });
+
     chrome.tabs.onRemoved.addListener((tabId) => this.cleanupTab(tabId));
     chrome.tabs.onActivated.addListener(({ tabId }) => this.updateActiveContext(tabId));
 
@@ -94,12 +195,79 @@ class AIBrowserAssistant {
       await this.updateConfig(request.config);
       return { success: true };
     }
+    if (request.action === 'set_tool_policies') {
+      await this.storage.set('tool_policies', request.policies);
+      return { success: true };
+    }
     if (request.action === 'clear_history') {
-      this.sessions.delete(tabId);
+      const session = await this.sessions.find(tabId, request.url || await this.getTabUrl(tabId));
+      if (session) await this.sessions.delete(session.id);
       return { success: true };
     }
     if (request.action === 'get_history') {
-      return { history: this.sessions.get(tabId)?.history || [] };
+      const session = await this.sessions.find(tabId, request.url || await this.getTabUrl(tabId));
+      return {
+        history: session?.history || [],
+        summary: session?.summary || null,
+        compactedMessages: session?.compactedMessages || 0
+      };
+    }
+    if (request.action === 'list_conversations') {
+      return { conversations: await this.sessions.search(request.query) };
+    }
+    if (request.action === 'get_conversation') {
+      await this.sessions.restore();
+      return { conversation: await this.sessions.load(request.id) };
+    }
+    if (request.action === 'delete_conversation') {
+      await this.sessions.delete(request.id);
+      return { success: true };
+    }
+    if (request.action === 'export_conversation') {
+      return this.exportConversation(request.id, request.format);
+    }
+    if (request.action === 'list_profiles') {
+      try {
+        return { profiles: await this.profiles.list() };
+      } catch (error) {
+        if (!error.undecryptable) throw error;
+        return { error: error.message, undecryptable: true };
+      }
+    }
+    if (request.action === 'get_profile') {
+      return { profile: await this.profiles.get(request.id) };
+    }
+    if (request.action === 'save_profile') {
+      return { profile: await this.profiles.save(request.profile) };
+    }
+    if (request.action === 'delete_profile') {
+      await this.profiles.remove(request.id);
+      return { success: true };
+    }
+    if (request.action === 'clear_profiles') {
+      await this.profiles.clear();
+      return { success: true };
+    }
+    if (request.action === 'get_batch') {
+      return { job: this.batches.job };
+    }
+    if (request.action === 'start_batch') {
+      if (request.batch.prompt && !this.ai) {
+        return { error: 'AI not configured. Please set API key in settings.' };
+      }
+      return { job: this.batches.start(request.batch) };
+    }
+    if (request.action === 'retry_batch') {
+      if (this.batches.job?.prompt && !this.ai) {
+        return { error: 'AI not configured. Please set API key in settings.' };
+      }
+      return { job: this.batches.retry(request.rows) };
+    }
+    if (request.action === 'cancel_batch') {
+      return { job: this.batches.cancel() };
+    }
+    if (request.action === 'export_batch') {
+      return this.exportBatch(request.format);
     }
     if (request.action === 'dom_changed') {
       return { acknowledged: true };
@@ -128,84 +296,331 @@ class AIBrowserAssistant {
     }
   }
 
-  async handleChat(tabId, message, pageContext) {
-    if (!this.sessions.has(tabId)) {
-      this.sessions.set(tabId, {
-        history: [],
-        pageContext: null,
-        lastActivity: Date.now()
-      });
-    }
+  handlePort(port) {
+    let connected = true;
+    const controller = new AbortController();
+    const approvals = new Map();
 
-    const session = this.sessions.get(tabId);
-    session.lastActivity = Date.now();
+    port.onDisconnect.addListener(() => {
+      connected = false;
+      controller.abort();
+    });
 
-    const systemPrompt = this.buildSystemPrompt(pageContext);
-    session.history.push({ role: 'user', content: message });
+    const emit = (event) => {
+      if (connected) port.postMessage(event);
+    };
+
+    // Blocks until the panel answers; cancelling the run counts as a rejection
+    const requestApproval = (details) => new Promise(resolve => {
+      const id = `approval_${Date.now().toString(36)}_${approvals.size}`;
+      const onAbort = () => settle(false);
+      const settle = (approved) => {
+        approvals.delete(id);
+        controller.signal.removeEventListener('abort', onAbort);
+        resolve(approved);
+      };
 
-    const response = await this.ai.complete({
-      system: systemPrompt,
-      messages: session.history,
-      tools: this.getAvailableTools(),
-      temperature: 0.7
+      if (controller.signal.aborted) return resolve(false);
+      controller.signal.addEventListener('abort', onAbort);
+      approvals.set(id, settle);
+      emit({ type: 'approval', id, ...details });
     });
 
-    if (response.tool_calls?.length > 0) {
-      const results = await this.executeToolCalls(tabId, response.tool_calls);
+    port.onMessage.addListener(async (request) => {
+      if (request.action === 'cancel') {
+        controller.abort();
+        return;
+      }
+      if (request.action === 'approval') {
+        approvals.get(request.id)?.(!!request.approved);
+        return;
+      }
+
+      try {
+        if (!this.initialized) await this.init();
+        if (!this.ai) {
+          emit({ type: 'error', error: 'AI not configured. Please set API key in settings.' });
+          return;
+        }
+
+        const tabId = request.tabId || (await this.getActiveTab())?.id;
+
+        if (request.action === 'chat') {
+          const result = await this.handleChat(tabId, request.message, request.pageContext, {
+            emit,
+            signal: controller.signal,
+            requestApproval
+          });
+          emit({ type: 'done', ...result });
+        } else if (request.action === 'summarize') {
+          const result = await this.summarizePage(tabId, request.pageContext, {
+            emit,
+            signal: controller.signal
+          }).catch(error => {
+            if (error.cancelled) return { response: '_(Stopped by user)_', cancelled: true };
+            throw error;
+          });
+          await this.recordExchange(tabId, request.pageContext, request.message, result.response);
+          emit({ type: 'done', ...result });
+        } else {
+          emit({ type: 'error', error: `Unknown stream action: ${request.action}` });
+        }
+      } catch (error) {
+        console.error('[AI Assistant] Stream error:', error);
+        emit({ type: 'error', error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Agent loop: let the model call tools, feed results back and repeat until it
+   * answers without tool calls, the step limit is hit, or `signal` is aborted.
+   * The page is re-read after tools that may navigate or change it.
+   *
+   * `run` carries the side panel connection: `emit` for progress events,
+   * `signal` for cancellation and `requestApproval` for risky tool calls.
+   *
+   * Tools act on the agent's current tab, which starts as `tabId` and moves
+   * with switch_tab and open_tab. The conversation stays with `tabId`.
+   */
+  async handleChat(tabId, message, pageContext, run = {}) {
+    const { emit, signal } = run;
+    const session = await this.sessions.getOrCreate(tabId, {
+      url: pageContext?.url || await this.getTabUrl(tabId),
+      title: pageContext?.title,
+      model: this.ai.model
+    });
+    session.history.push({ role: 'user', content: message });
+    await this.compactHistory(session, run);
+    pageContext = await this.withMainContent(tabId, await this.withFrames(tabId, pageContext));
+
+    const config = await this.storage.get('ai_config');
+    const maxSteps = Math.min(Math.max(Math.round(config?.maxSteps) || CONFIG.MAX_AGENT_STEPS, 1), CONFIG.MAX_AGENT_STEPS_LIMIT);
+    const tabScope = config?.tabScope || 'tab';
+    const tools = this.getAvailableTools({ tabScope });
+    const onDelta = emit ? (text) => emit({ type: 'delta', text }) : undefined;
+
+    const actions = [];
+    const usedTools = [];
+    let step = 0;
+    let response;
+    let currentTabId = tabId;
+
+    try {
+      while (true) {
+        const outOfSteps = step >= maxSteps;
+        // Rebuilt every step: tool results use up budget the page content had
+        const systemPrompt = this.buildSystemPrompt(
+          pageContext,
+          session.summary,
+          this.pageContextBudget(session.history, outOfSteps ? null : tools),
+          tabScope === 'tab' ? null : currentTabId
+        );
+
+        response = await this.ai.complete({
+          system: outOfSteps
+            ? `${systemPrompt}\n\nThe step limit has been reached. Do not call tools; report what was done and what remains.`
+            : systemPrompt,
+          messages: session.history,
+          tools: outOfSteps ? undefined : tools,
+          temperature: 0.7,
+          onDelta,
+          signal
+        });
+
+        if (!response.tool_calls?.length || outOfSteps) break;
+
+        step++;
+        const names = response.tool_calls.map(t => t.function.name);
+        usedTools.push(...names);
+        emit?.({ type: 'step', step, maxSteps, status: `Running ${names.join(', ')}` });
 
-      const finalResponse = await this.ai.complete({
-        system: systemPrompt,
-        messages: [
-          ...session.history,
+        const results = await this.executeToolCalls(currentTabId, response.tool_calls, { ...run, originTabId: tabId, tabScope });
+        currentTabId = results.filter(r => r.switched).at(-1)?.tabId ?? currentTabId;
+        actions.push(...results);
+        emit?.({ type: 'actions', step, actions: results });
+
+        // Calls and their results are stored together so history never holds unanswered calls
+        session.history.push(
           { role: 'assistant', content: response.content || '', tool_calls: response.tool_calls },
-          ...results.map((r, i) => ({
+          ...results.map(({ image, ...r }, i) => ({
             role: 'tool',
             tool_call_id: response.tool_calls[i].id,
-            content: JSON.stringify(r)
+            content: JSON.stringify(r),
+            ...(image ? { images: [image] } : {})
           }))
-        ]
-      });
+        );
 
-      session.history.push({ role: 'assistant', content: finalResponse.content });
-      this.trimHistory(session);
+        if (signal?.aborted) throw Object.assign(new Error('Request cancelled'), { cancelled: true });
+        await this.compactHistory(session, run);
+        this.trimToolResults(session.history);
 
-      return {
-        response: finalResponse.content,
-        actions: results,
-        usedTools: response.tool_calls.map(t => t.function.name)
-      };
+        // A stale ref means the snapshot is out of date even if no page-changing tool ran
+        if (names.some(name => PAGE_CHANGING_TOOLS.has(name)) || results.some(r => r.staleRef)) {
+          emit?.({ type: 'step', step, maxSteps, status: 'Reading updated page' });
+          await this.waitForPageSettle(currentTabId);
+          pageContext = await this.withMainContent(currentTabId, await this.getPageStructure(currentTabId));
+        }
+      }
+    } catch (error) {
+      if (!error.cancelled) {
+        await this.saveSession(session, tabId);
+        throw error;
+      }
+
+      session.history.push({ role: 'assistant', content: '_(Stopped by user)_' });
+      await this.saveSession(session, tabId);
+      return { response: '_(Stopped by user)_', cancelled: true, actions, usedTools, steps: step };
     }
 
     session.history.push({ role: 'assistant', content: response.content });
-    this.trimHistory(session);
+    await this.saveSession(session, tabId);
 
-    return { response: response.content };
+    return { response: response.content, actions, usedTools, steps: step };
   }
 
-  async summarizePage(tabId, pageContext) {
-    const structure = pageContext || await this.getPageStructure(tabId);
-    const bodyText = structure?.textContent?.body || '';
+  // Add a one-off request (e.g. a page summary) to the tab's conversation for follow-ups
+  async recordExchange(tabId, pageContext, message, response) {
+    const session = await this.sessions.getOrCreate(tabId, {
+      url: pageContext?.url || await this.getTabUrl(tabId),
+      title: pageContext?.title,
+      model: this.ai.model
+    });
+    session.history.push({ role: 'user', content: message }, { role: 'assistant', content: response });
+    await this.saveSession(session, tabId);
+  }
+
+  /**
+   * Persist a conversation. If the agent navigated elsewhere the conversation
+   * follows the tab, so follow-up questions on the new page keep the context.
+   */
+  async saveSession(session, tabId) {
+    // Screenshots only serve the run that took them; stored they would eat the quota
+    for (const message of session.history) delete message.images;
+
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (tab?.url) {
+      session.url = tab.url;
+      session.domain = domainOf(tab.url);
+      session.title = tab.title || session.title;
+    }
+    session.model = this.ai?.model || session.model;
+    await this.sessions.save(session);
+  }
 
-    if (!bodyText || bodyText.length < 50) {
+  /**
+   * Summarize the whole page. Text that fits the context budget goes out in one
+   * call. Longer pages are split at section boundaries, the chunks summarized
+   * in parallel within the rate limit, and the partial summaries combined into
+   * one summary that cites sections as §n. `run.emit` gets progress events.
+   */
+  async summarizePage(tabId, pageContext, { emit, signal } = {}) {
+    const structure = await this.withMainContent(tabId, pageContext || await this.getPageStructure(tabId));
+    const text = structure?.mainContent?.markdown || structure?.textContent?.body || '';
+
+    if (!text || text.length < 50) {
       return { response: 'Not enough content on this page to summarize.' };
     }
 
+    const header = `Title: ${structure.title || 'Unknown'}\nURL: ${structure.url || 'Unknown'}`;
+    const onDelta = emit ? (delta) => emit({ type: 'delta', text: delta }) : undefined;
+    const budget = this.pageContextBudget();
+
+    if (estimateTokens(text) <= budget) {
+      const content = packPageContext(structure, budget, prioritiesFor('summarize', structure));
+      const result = await this.ai.complete({
+        system: 'You are a concise summarizer. Provide clear, well-structured summaries.',
+        messages: [{
+          role: 'user',
+          content: `Summarize the main content of this page in 3-5 bullet points:\n\n${header}\n\n${content}`
+        }],
+        temperature: 0.3,
+        onDelta,
+        signal
+      });
+      return { response: result.content };
+    }
+
+    const chunks = splitIntoChunks(text, Math.min(budget, CONFIG.SUMMARY_CHUNK_TOKENS));
+    let done = 0;
+    const progress = (status) => emit?.({ type: 'progress', done, total: chunks.length, status });
+    progress(`Summarizing ${chunks.length} sections`);
+
+    // One failed section stops the others rather than paying for them
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort);
+    const limiter = new ConcurrencyLimiter(CONFIG.SUMMARY_CONCURRENCY, CONFIG.SUMMARY_REQUEST_INTERVAL);
+
+    let partials;
+    try {
+      partials = await Promise.all(chunks.map(chunk => limiter.run(async () => {
+        const result = await this.ai.complete({
+          system: 'You summarize one section of a long web page. List its key points, facts, figures and conclusions as short bullet points, without an introduction.',
+          messages: [{
+            role: 'user',
+            content: `${header}\nSection §${chunk.index} of ${chunks.length}: ${chunk.label}\n\n${chunk.text}`
+          }],
+          temperature: 0.2,
+          max_tokens: CONFIG.SUMMARY_SECTION_TOKENS,
+          signal: controller.signal
+        });
+        done++;
+        progress(`Summarized §${chunk.index} ${chunk.label}`);
+        return `§${chunk.index} ${chunk.label}\n${result.content}`;
+      })));
+    } catch (error) {
+      controller.abort();
+      throw signal?.aborted ? Object.assign(new Error('Request cancelled'), { cancelled: true }) : error;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+
+    progress('Combining section summaries');
+    const summaries = await this.condenseSummaries(partials, header, budget, limiter, signal);
+
     const result = await this.ai.complete({
-      system: 'You are a concise summarizer. Provide clear, well-structured summaries.',
+      system: 'You combine section summaries of a long web page into one summary of the whole page. Start with 2-3 sentences on what the page is about, then give the key points as bullets grouped by theme. Cite the sections each point comes from, like (§2) or (§3, §5). Do not invent section numbers.',
       messages: [{
         role: 'user',
-        content: `Summarize the main content of this page in 3-5 bullet points:\n\nTitle: ${structure.title || 'Unknown'}\nURL: ${structure.url || 'Unknown'}\n\nContent:\n${bodyText}`
+        content: `${header}\n\nSection summaries:\n\n${summaries.join('\n\n')}`
       }],
-      temperature: 0.3
+      temperature: 0.3,
+      onDelta,
+      signal
     });
 
-    return { response: result.content };
+    return { response: result.content, sections: chunks.length };
+  }
+
+  /**
+   * Merge section summaries in groups until they fit the budget together.
+   * Only needed for very long pages; section references are kept. Requests
+   * go through the map step's `limiter`, so they share its rate limit.
+   */
+  async condenseSummaries(summaries, header, budget, limiter, signal) {
+    while (summaries.length > 1 && estimateTokens(summaries.join('\n\n')) > budget) {
+      const groups = splitIntoChunks(summaries.join('\n\n'), Math.min(budget, CONFIG.SUMMARY_CHUNK_TOKENS));
+      if (groups.length >= summaries.length) break;
+
+      summaries = await Promise.all(groups.map(group => limiter.run(async () => {
+        const result = await this.ai.complete({
+          system: 'Merge these section summaries into fewer, shorter bullet points. Keep every section reference (§n) a point comes from.',
+          messages: [{ role: 'user', content: `${header}\n\n${group.text}` }],
+          temperature: 0.2,
+          max_tokens: CONFIG.SUMMARY_SECTION_TOKENS * 2,
+          signal
+        });
+        return result.content;
+      })));
+    }
+    return summaries;
   }
 
   async extractPageData(tabId, schema, pageContext) {
     if (schema) {
       try {
-        const result = await chrome.tabs.sendMessage(tabId, {
+        const result = await this.sendToFrame(tabId, {
           action: 'execute_tool',
           tool: 'extract_data',
           params: { schema }
@@ -216,12 +631,12 @@ class AIBrowserAssistant {
       }
     }
 
-    const structure = pageContext || await this.getPageStructure(tabId);
+    const structure = await this.withMainContent(tabId, pageContext || await this.getPageStructure(tabId));
     const result = await this.ai.complete({
       system: 'Extract all structured data (names, dates, prices, emails, addresses, phone numbers) from the page content. Return as a clear, organized list.',
       messages: [{
         role: 'user',
-        content: `Extract data from:\n\nTitle: ${structure?.title}\nURL: ${structure?.url}\n\nContent:\n${structure?.textContent?.body || ''}`
+        content: `Extract data from:\n\nTitle: ${structure?.title}\nURL: ${structure?.url}\n\n${packPageContext(structure, this.pageContextBudget(), prioritiesFor('extract', structure))}`
       }],
       temperature: 0.2
     });
@@ -229,47 +644,83 @@ class AIBrowserAssistant {
     return { response: result.content };
   }
 
-  buildSystemPrompt(pageContext) {
+  /**
+   * Tokens available for page content: the context window minus the reply,
+   * the conversation, tool definitions and the rest of the prompt, capped at
+   * PAGE_CONTEXT_SHARE of the window.
+   */
+  pageContextBudget(messages = [], tools = null) {
+    const { contextWindow } = this.ai.capabilities;
+    const used = this.ai.outputBudget
+      + CONFIG.PROMPT_OVERHEAD_TOKENS
+      + estimateMessagesTokens(messages)
+      + (tools ? estimateTokens(tools) : 0);
+
+    return Math.max(0, Math.min(contextWindow * CONFIG.PAGE_CONTEXT_SHARE, contextWindow - used));
+  }
+
+  // `tabId` is given when the agent may use other tabs, which refer to tabs by id
+  buildSystemPrompt(pageContext, summary, budget = this.pageContextBudget(), tabId = null) {
     let prompt = `You are an AI web browsing assistant. You help users navigate, understand, and interact with web pages.
 
 Current page: ${pageContext?.title || 'Unknown'}
-URL: ${pageContext?.url || 'Unknown'}`;
+URL: ${pageContext?.url || 'Unknown'}${tabId ? `\nTab ID: ${tabId}` : ''}`;
 
-    if (pageContext?.structure) {
-      prompt += `\n\nPage info:
-- Has login form: ${pageContext.structure.hasLoginForm}
-- Has search: ${pageContext.structure.hasSearch}
-- Content areas: ${pageContext.structure.contentAreas}
-- Interactive elements: ${pageContext.interactive?.total || 0}
-- Forms: ${pageContext.forms?.length || 0}`;
+    if (summary) {
+      prompt += `\n\nSummary of the earlier conversation (older messages were condensed):\n${summary}`;
     }
 
-    if (pageContext?.headings?.length > 0) {
-      prompt += '\n\nPage headings:\n' + pageContext.headings
-        .slice(0, 10)
-        .map(h => `${'  '.repeat(h.level - 1)}H${h.level}: ${h.text}`)
-        .join('\n');
+    const packed = packPageContext(pageContext, budget - estimateTokens(summary), prioritiesFor('chat', pageContext));
+    if (packed) {
+      prompt += `\n\n${packed}`;
     }
 
     prompt += `\n\nYou can use tools to:
 - Click elements by description
-- Fill form fields
+- Fill form fields, tick checkboxes, choose radio buttons and dropdown options
+- Submit forms and see which fields the site rejected
+- Fill whole forms from the user's saved autofill profiles${this.ai?.capabilities.vision ? '\n- Take screenshots of the page, with numbered marks on its controls' : ''}
+- Press keys and shortcuts, hover, focus and clear fields
 - Scroll pages
 - Find and highlight text
-- Extract structured data
-- Navigate to URLs
+- Extract structured data and tables, from one page or across all pages of a paginated or infinite list
+- Navigate to URLs${tabId ? '\n- List, open, read, switch between and close browser tabs' : ''}
+- Wait for content to load, elements or text to appear or disappear, or the URL to change
 
 Instructions:
 1. Explain what you will do before using tools
-2. Use the most specific selector or description available
-3. Confirm success or explain failures
-4. Be concise, helpful, and accurate`;
+2. Target elements by their [ref] from the page snapshot when listed; otherwise use the most specific selector or description (with frame_id for content inside an embedded frame)
+3. Work step by step: after each round of tools you get the results and, if the page changed, its updated structure. After an action that loads content (search, submit, tab switch), use wait_for rather than assuming it is there
+4. Answer without calling tools once the task is complete or cannot be completed
+5. Check the validation in fill_form and submit_form results; when the site rejects a value, correct it before moving on
+6. Confirm success or explain failures
+7. Be concise, helpful, and accurate`;
 
     return prompt;
   }
 
-  getAvailableTools() {
-    return [
+  getAvailableTools({ tabScope = 'tab' } = {}) {
+    // Parameters of the tools that act on one element
+    const target = (what, required = true) => ({
+      description: {
+        type: 'string',
+        description: `Human-readable description of the ${what}${required ? '' : ' (optional)'}`
+      },
+      ref: {
+        type: 'string',
+        description: `Ref of the ${what} from the page snapshot (e.g. "e12"). Most reliable; use it whenever the ${what} is listed`
+      },
+      selector: {
+        type: 'string',
+        description: 'CSS selector if known (optional)'
+      },
+      frame_id: {
+        type: 'integer',
+        description: 'Frame to act in, as listed under embedded frames (default: the top page). Not needed with a ref'
+      }
+    });
+
+    const tools = [
       {
         type: 'function',
         function: {
@@ -282,9 +733,17 @@ Instructions:
                 type: 'string',
                 description: 'Human-readable description of the element to click (e.g., "Submit button", "Read more link")'
               },
+              ref: {
+                type: 'string',
+                description: 'Element ref from the page snapshot (e.g. "e12", or "f3e12" inside frame 3). Most reliable; use it whenever the element is listed'
+              },
               selector: {
                 type: 'string',
-                description: 'CSS selector if known (optional, more reliable than description)'
+                description: 'CSS selector if known (optional, more reliable than description; reaches into shadow DOM)'
+              },
+              frame_id: {
+                type: 'integer',
+                description: 'Frame to act in, as listed under embedded frames (default: the top page). Not needed with a ref'
               }
             },
             required: ['description']
@@ -295,7 +754,7 @@ Instructions:
         type: 'function',
         function: {
           name: 'fill_form',
-          description: 'Fill a form input, textarea, or select field with a value',
+          description: 'Fill a form field by typing like a user (works with React, Vue and Angular inputs and rich-text editors), picking an option in native or custom dropdowns, or setting a checkbox ("true"/"false"). The result includes the field\'s validation state and any error messages the site shows for it',
           parameters: {
             type: 'object',
             properties: {
@@ -307,9 +766,17 @@ Instructions:
                 type: 'string',
                 description: 'Text to enter or option to select'
               },
+              ref: {
+                type: 'string',
+                description: 'Field ref from the page snapshot (e.g. "e7", or "f3e7" inside frame 3). Most reliable; use it whenever the field is listed'
+              },
               selector: {
                 type: 'string',
                 description: 'CSS selector if known (optional)'
+              },
+              frame_id: {
+                type: 'integer',
+                description: 'Frame to act in, as listed under embedded frames (default: the top page). Not needed with a ref'
               }
             },
             required: ['field_description', 'value']
@@ -332,6 +799,10 @@ Instructions:
               amount: {
                 type: 'number',
                 description: 'Pixels to scroll (default: 500, ignored for top/bottom)'
+              },
+              ref: {
+                type: 'string',
+                description: 'Ref of a scrollable element (a feed or list pane) to scroll instead of the page'
               }
             },
             required: ['direction']
@@ -342,7 +813,7 @@ Instructions:
         type: 'function',
         function: {
           name: 'find_text',
-          description: 'Find and highlight all occurrences of text on the page, scrolling to the first match',
+          description: 'Find and highlight all occurrences of text on the page, scrolling to the first match. Matches may span inline elements (e.g. a word split by bold text); whitespace in the query matches any whitespace. Returns the match count and context for the first matches',
           parameters: {
             type: 'object',
             properties: {
@@ -369,13 +840,73 @@ Instructions:
             properties: {
               schema: {
                 type: 'object',
-                description: 'Object where keys are field names and values define how to extract: { selector: string, attribute?: "text"|"href"|"src"|"value"|attr, multiple?: boolean, transform?: "number"|"date"|"trim" }'
+                description: 'Object where keys are field names and values define how to extract: { selector?: string, multiple?: boolean, attribute?: "text"|"href"|"src"|"value"|attr, transform?: "number"|"date"|"trim", fields?: nested schema relative to each selected element, expression?: string }. '
+                  + 'An expression derives a value from the selected element with operations joined by "|": '
+                  + 'find(css), findAll(css), closest(css), parent, next, prev, text, attr(name, ...fallbacks), value, url, '
+                  + 'trim, lower, upper, replace(regex, with), match(regex, group?), matchAll(regex, group?), split(sep), '
+                  + 'number(decimalSep?), int, date, default(value), first, last, nth(i), count, join(sep?), unique, compact, flatten. '
+                  + 'Example: "find(\'.price\') | text | match(\'([\\d.,]+)\') | number". JavaScript is not accepted.'
+              },
+              frame_id: {
+                type: 'integer',
+                description: 'Frame to extract from, as listed under embedded frames (default: the top page)'
               }
             },
             required: ['schema']
           }
         }
       },
+      {
+        type: 'function',
+        function: {
+          name: 'extract_table',
+          description: 'Read an HTML table or ARIA grid as rows keyed by column name. Headers are inferred, merged cells expanded, and numeric, single-currency and percentage columns returned as numbers (codes with leading zeros stay text). Without a target, reads the biggest table and lists the others. Prefer this over extract_data for tabular data',
+          parameters: {
+            type: 'object',
+            properties: {
+              ...target('table (its caption, heading or columns)', false),
+              max_rows: {
+                type: 'integer',
+                description: 'Rows to return at most (default: 100, max: 1000)'
+              }
+            }
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'extract_all_pages',
+          description: 'Extract a list of items across every page of a paginated or infinitely scrolling list: follows "Next" links, numbered paginators and "Load more" buttons, or scrolls for more, then returns the items of all pages with duplicates removed. Use instead of extract_data when the list continues beyond the current page',
+          parameters: {
+            type: 'object',
+            properties: {
+              item_selector: {
+                type: 'string',
+                description: 'CSS selector matching each item of the list (a row, card or result)'
+              },
+              fields: {
+                type: 'object',
+                description: 'extract_data schema for one item, with selectors relative to the item element, e.g. { "name": { "selector": "h3" }, "price": { "selector": ".price", "expression": "text | number" } }'
+              },
+              max_pages: {
+                type: 'integer',
+                description: `Pages (or scroll rounds) to read at most (default: ${CONFIG.CRAWL_DEFAULT_PAGES}, max: ${CONFIG.CRAWL_MAX_PAGES})`
+              },
+              max_items: {
+                type: 'integer',
+                description: `Stop after this many unique items (default: ${CONFIG.CRAWL_DEFAULT_ITEMS}, max: ${CONFIG.CRAWL_MAX_ITEMS})`
+              },
+              unique_by: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Fields that identify an item, such as a URL or ID field (default: all fields)'
+              }
+            },
+            required: ['item_selector', 'fields']
+          }
+        }
+      },
       {
         type: 'function',
         function: {
@@ -392,29 +923,331 @@ Instructions:
             required: ['url']
           }
         }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'wait_for',
+          description: 'Wait until the page is ready: an element appears or disappears, text appears or disappears, the URL changes, or the page or network goes idle. Use after actions that load content asynchronously',
+          parameters: {
+            type: 'object',
+            properties: {
+              condition: {
+                type: 'string',
+                enum: ['element', 'element_gone', 'text', 'text_gone', 'url', 'dom_idle', 'network_idle'],
+                description: 'What to wait for. element/element_gone need a selector or ref, text/text_gone need text; url waits for any URL change, or for one containing `url`'
+              },
+              selector: {
+                type: 'string',
+                description: 'CSS selector of the element (for element/element_gone)'
+              },
+              ref: {
+                type: 'string',
+                description: 'Element ref from the page snapshot, instead of a selector'
+              },
+              text: {
+                type: 'string',
+                description: 'Text to look for, case-insensitive (for text/text_gone)'
+              },
+              url: {
+                type: 'string',
+                description: 'Part of the expected URL (for url; omit to wait for any change)'
+              },
+              timeout: {
+                type: 'integer',
+                description: `Milliseconds to wait at most (default: ${CONFIG.WAIT_DEFAULT_TIMEOUT}, max: ${CONFIG.WAIT_MAX_TIMEOUT})`
+              },
+              frame_id: {
+                type: 'integer',
+                description: 'Frame to watch, as listed under embedded frames (default: the top page)'
+              }
+            },
+            required: ['condition']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'check',
+          description: 'Tick a checkbox or turn on a switch (native or ARIA). Does nothing if it is already checked',
+          parameters: { type: 'object', properties: target('checkbox'), required: ['description'] }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'uncheck',
+          description: 'Untick a checkbox or turn off a switch. Does nothing if it is already unchecked',
+          parameters: { type: 'object', properties: target('checkbox'), required: ['description'] }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'choose_radio',
+          description: 'Select a radio button by its label',
+          parameters: {
+            type: 'object',
+            properties: {
+              option: {
+                type: 'string',
+                description: 'Label (or value) of the radio button to select, e.g. "Express shipping"'
+              },
+              group: {
+                type: 'string',
+                description: 'Question or group the option belongs to, when several groups have similar options (optional)'
+              },
+              ref: target('radio button').ref,
+              selector: target('radio button').selector,
+              frame_id: target('radio button').frame_id
+            },
+            required: ['option']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'hover',
+          description: 'Move the mouse over an element, e.g. to open a hover menu or show a tooltip',
+          parameters: { type: 'object', properties: target('element'), required: ['description'] }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'press_key',
+          description: 'Press a key or shortcut on an element, or on the focused element if none is given. Enter submits forms and activates buttons, Tab moves focus, Escape closes dialogs and menus',
+          parameters: {
+            type: 'object',
+            properties: {
+              key: {
+                type: 'string',
+                description: 'Key or combination, e.g. "Enter", "Tab", "Shift+Tab", "Escape", "ArrowDown", "Control+a", "Meta+k"'
+              },
+              ...target('element to send the key to', false)
+            },
+            required: ['key']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'focus',
+          description: 'Move keyboard focus to a field or element, e.g. before press_key',
+          parameters: { type: 'object', properties: target('element'), required: ['description'] }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'clear',
+          description: 'Empty a text field or rich-text editor',
+          parameters: { type: 'object', properties: target('field'), required: ['description'] }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'submit_form',
+          description: 'Submit a form through its submit button, then report the fields the site marks invalid (with their error messages) and any alerts. Without a target, submits the form of the focused field or the only form on the page',
+          parameters: { type: 'object', properties: target('form, or a field or button in it', false) }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'fill_form_from_profile',
+          description: 'Fill every field of a form that a saved autofill profile has a value for (name, email, address, custom keys). Unless the user allows it without asking, they see the changes before they are applied. Profile values are not shown to you: the result lists which fields were filled from which keys, and page snapshots hide the filled values',
+          parameters: {
+            type: 'object',
+            properties: {
+              profile: {
+                type: 'string',
+                description: 'Name of the saved profile, as the user calls it'
+              },
+              form: {
+                type: 'string',
+                description: 'Which form: its number in the page snapshot ("1" for Form 1) or its id. Default: the form the profile fits best'
+              }
+            },
+            required: ['profile']
+          }
+        }
       }
     ];
-  }
-
-  async executeToolCalls(tabId, toolCalls) {
-    const results = [];
-
-    for (const call of toolCalls) {
-      try {
-        let params;
-        try {
-          params = JSON.parse(call.function.arguments);
-        } catch {
-          params = {};
-        }
 
-        const result = await chrome.tabs.sendMessage(tabId, {
+    tools.push(
+      {
+        type: 'function',
+        function: {
+          name: 'list_tabs',
+          description: 'List the open browser tabs you may use, with their tab_id, title and URL. The current tab is marked',
+          parameters: { type: 'object', properties: {} }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'open_tab',
+          description: 'Open a URL in a new tab next to the current one and, by default, switch to it so the following tools act on it. Use switch_tab to come back',
+          parameters: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'Full URL to open (must include protocol)'
+              },
+              switch: {
+                type: 'boolean',
+                description: 'Act on the new tab from now on (default: true)'
+              }
+            },
+            required: ['url']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'switch_tab',
+          description: 'Make another tab the current one: the page snapshot and all page tools then refer to it',
+          parameters: {
+            type: 'object',
+            properties: {
+              tab_id: {
+                type: 'integer',
+                description: 'Tab ID from list_tabs or open_tab'
+              },
+              show: {
+                type: 'boolean',
+                description: 'Also bring the tab to the front for the user (default: false; needed for take_screenshot)'
+              }
+            },
+            required: ['tab_id']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'read_tab',
+          description: 'Read another tab\'s page (title, URL, headings, forms, controls and text) without switching to it, e.g. to compare pages',
+          parameters: {
+            type: 'object',
+            properties: {
+              tab_id: {
+                type: 'integer',
+                description: 'Tab ID from list_tabs or open_tab'
+              }
+            },
+            required: ['tab_id']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'close_tab',
+          description: 'Close a tab, e.g. one you opened and no longer need. The tab the user is chatting in can\'t be closed',
+          parameters: {
+            type: 'object',
+            properties: {
+              tab_id: {
+                type: 'integer',
+                description: 'Tab ID from list_tabs or open_tab'
+              }
+            },
+            required: ['tab_id']
+          }
+        }
+      }
+    );
+
+    // Only offered to models that can look at the image
+    if (this.ai?.capabilities.vision) {
+      tools.push({
+        type: 'function',
+        function: {
+          name: 'take_screenshot',
+          description: 'Take a screenshot of the visible part of the page. With marks (the default), interactive elements get numbered red badges and the result maps each number to its ref, for acting on icon-only buttons, canvases and layouts the snapshot doesn\'t convey',
+          parameters: {
+            type: 'object',
+            properties: {
+              marks: {
+                type: 'boolean',
+                description: 'Draw numbered badges on interactive elements (default: true)'
+              }
+            }
+          }
+        }
+      });
+    }
+    return tabScope === 'tab' ? tools.filter(t => !CROSS_TAB_TOOLS.has(t.function.name)) : tools;
+  }
+
+  /**
+   * Run a round of tool calls in order on `tabId`. A call that switches tabs
+   * (its result has `switched` and the new `tabId`) moves the calls after it.
+   * `originTabId` is the conversation's tab and `tabScope` which other tabs
+   * the cross-tab tools may touch.
+   */
+  async executeToolCalls(tabId, toolCalls, { signal, emit, requestApproval, originTabId = tabId, tabScope = 'tab' } = {}) {
+    const results = [];
+    const policies = await this.storage.get('tool_policies');
+    const handlers = {
+      wait_for: this.waitFor,
+      submit_form: this.submitForm,
+      extract_all_pages: this.extractAllPages,
+      fill_form_from_profile: this.fillFromProfile,
+      take_screenshot: this.takeScreenshot,
+      list_tabs: this.listTabs,
+      open_tab: this.openTab,
+      switch_tab: this.switchTab,
+      read_tab: this.readTab,
+      close_tab: this.closeTab
+    };
+
+    for (const call of toolCalls) {
+      // Every call still needs a result so the history stays well-formed
+      if (signal?.aborted) {
+        results.push({ success: false, error: 'Cancelled by user', tool: call.function.name });
+        continue;
+      }
+
+      try {
+        let params;
+        try {
+          params = JSON.parse(call.function.arguments);
+        } catch {
+          params = {};
+        }
+
+        if (CROSS_TAB_TOOLS.has(call.function.name) && tabScope === 'tab') {
+          results.push({ success: false, tool: call.function.name, error: 'The user has limited the assistant to this tab.' });
+          continue;
+        }
+
+        const tab = await chrome.tabs.get(tabId).catch(() => null);
+        const approve = (details) => this.checkToolPolicy(tabId, tab?.url, call.function.name, params, policies, requestApproval, details);
+        const denied = SELF_APPROVING_TOOLS.has(call.function.name) ? null : await approve();
+        if (denied) {
+          results.push({ success: false, tool: call.function.name, ...denied });
+          continue;
+        }
+
+        const message = {
           action: 'execute_tool',
           tool: call.function.name,
           params,
           toolCallId: call.id
-        });
-        results.push(result);
+        };
+        const result = await (handlers[call.function.name] || this.runToolInFrames)
+          .call(this, tabId, message, approve, { originTabId, tabScope, signal, emit });
+        results.push({ tool: call.function.name, ...result });
+        if (result?.switched) tabId = result.tabId;
       } catch (error) {
         results.push({
           success: false,
@@ -427,22 +1260,656 @@ Instructions:
     return results;
   }
 
+  /**
+   * Send a tool call to the frame it targets: the frame named by its ref or
+   * frame_id, else the top page. Clicks and fills that find nothing there are
+   * tried in each iframe in turn.
+   */
+  async runToolInFrames(tabId, message) {
+    const frameId = this.frameForCall(message.params);
+    const result = await this.sendToFrame(tabId, message, frameId ?? 0);
+    if (frameId !== null || !result?.notFound || !FRAME_SEARCH_TOOLS.has(message.tool)) return result;
+
+    for (const subframe of await this.getSubframeIds(tabId)) {
+      const retry = await this.sendToFrame(tabId, message, subframe).catch(() => null);
+      if (retry && !retry.notFound) return { ...retry, frameId: subframe };
+    }
+    return result;
+  }
+
+  /**
+   * Run a wait_for call. URL changes are watched here through webNavigation,
+   * since a navigation replaces the content script; everything else waits in
+   * the page. A page that unloads mid-wait ends the wait with a note.
+   */
+  async waitFor(tabId, message) {
+    if (message.params.condition === 'url') return this.waitForUrl(tabId, message.params);
+
+    try {
+      return await this.runToolInFrames(tabId, message);
+    } catch (error) {
+      return {
+        success: false,
+        condition: message.params.condition,
+        navigated: true,
+        error: 'The page unloaded while waiting, probably because it navigated. Use the "url" condition to wait for navigations.',
+        detail: error.message
+      };
+    }
+  }
+
+  /**
+   * Run a submit_form call. A form that posts to another page unloads the
+   * content script before it can report back; when a navigation of the page
+   * (or a form submission in one of its frames) commits, that means it was
+   * submitted. Any other failure to reach the page is an error.
+   */
+  async submitForm(tabId, message) {
+    let navigated = false;
+    const onCommitted = (details) => {
+      if (details.tabId === tabId && (details.frameId === 0 || details.transitionType === 'form_submit')) navigated = true;
+    };
+    chrome.webNavigation.onCommitted.addListener(onCommitted);
+
+    try {
+      return await this.runToolInFrames(tabId, message);
+    } catch (error) {
+      // The message channel can close just before the navigation is reported
+      const deadline = Date.now() + CONFIG.SUBMIT_NAVIGATION_GRACE;
+      while (!navigated && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      if (!navigated) return { success: false, error: error.message };
+
+      return {
+        success: true,
+        submitted: true,
+        navigated: true,
+        note: 'The page navigated after the form was submitted; check the new page for the outcome',
+        detail: error.message
+      };
+    } finally {
+      chrome.webNavigation.onCommitted.removeListener(onCommitted);
+    }
+  }
+
+  /**
+   * Run an extract_all_pages call. Each round extracts the items on the page,
+   * keeps the ones not seen before, then moves on the way the page offers:
+   * navigate to the next page's URL, click a next, page-number or "Load
+   * more" control, or scroll the list. Scrolled and "Load more" lists are
+   * re-read whole, which the de-duplication takes care of. The crawl stops at
+   * the limits, when there is no way on, when the next page was seen already
+   * or is on another site, or after a few rounds without new items.
+   */
+  async extractAllPages(tabId, { params }, approve, { signal, emit } = {}) {
+    const limit = (value, fallback, max) => Math.min(Math.max(Math.round(value) || fallback, 1), max);
+    const maxPages = limit(params.max_pages, CONFIG.CRAWL_DEFAULT_PAGES, CONFIG.CRAWL_MAX_PAGES);
+    const maxItems = limit(params.max_items, CONFIG.CRAWL_DEFAULT_ITEMS, CONFIG.CRAWL_MAX_ITEMS);
+    const schema = { items: { selector: params.item_selector, multiple: true, fields: params.fields } };
+    const keyOf = item => JSON.stringify(params.unique_by?.length ? params.unique_by.map(field => item[field]) : item);
+
+    const startUrl = (await chrome.tabs.get(tabId)).url;
+    const crawl = { startUrl, visited: new Set([startUrl.split('#')[0]]), methods: new Set(), staleRounds: 0 };
+    const items = [];
+    const seen = new Set();
+    let pages = 0;
+    let duplicates = 0;
+    let stoppedBecause = null;
+
+    while (!stoppedBecause) {
+      const result = await this.sendWithContentScript(tabId, { action: 'execute_tool', tool: 'extract_data', params: { schema } })
+        .catch(error => ({ success: false, error: error.message }));
+      const found = result?.data?.items;
+      if (!Array.isArray(found)) {
+        const error = found?.error || result?.error || 'Extraction failed';
+        if (pages === 0) return { success: false, error };
+        stoppedBecause = `extraction failed on page ${pages + 1}: ${error}`;
+        break;
+      }
+      if (pages === 0 && found.length === 0) {
+        return { success: false, error: `No items match "${params.item_selector}" on this page` };
+      }
+
+      pages++;
+      let added = 0;
+      for (const item of found) {
+        const key = keyOf(item);
+        if (seen.has(key)) {
+          duplicates++;
+          continue;
+        }
+        seen.add(key);
+        if (items.length < maxItems) items.push(item);
+        added++;
+      }
+      crawl.staleRounds = added > 0 ? 0 : crawl.staleRounds + 1;
+      emit?.({ type: 'progress', done: pages, total: maxPages, status: `Collected ${items.length} items` });
+
+      stoppedBecause = items.length >= maxItems ? 'max_items'
+        : pages >= maxPages ? 'max_pages'
+        : crawl.staleRounds >= CONFIG.CRAWL_STALE_ROUNDS ? 'no new items'
+        : signal?.aborted ? 'cancelled'
+        : await this.nextListPage(tabId, params.item_selector, crawl);
+    }
+
+    return {
+      success: true,
+      items,
+      count: items.length,
+      pages,
+      duplicates,
+      method: [...crawl.methods].join(', ') || 'single page',
+      stoppedBecause,
+      url: (await chrome.tabs.get(tabId).catch(() => null))?.url
+    };
+  }
+
+  /**
+   * Move a crawl on to the next part of the list and wait for its items.
+   * Returns why the crawl has to stop instead, or null once it moved on.
+   */
+  async nextListPage(tabId, itemSelector, crawl) {
+    // Clicks and navigations are never re-sent, since a failed answer may only mean the page unloaded
+    const tool = (name, params) => this.sendToFrame(tabId, { action: 'execute_tool', tool: name, params });
+    const wait = params => this.sendWithContentScript(tabId, { action: 'execute_tool', tool: 'wait_for', params });
+    let pagination;
+    try {
+      pagination = await this.sendToFrame(tabId, { action: 'find_pagination', itemSelector });
+    } catch (error) {
+      return `could not look for the next page: ${error.message}`;
+    }
+    const { next, scroll } = pagination || {};
+
+    if (next?.href && next.kind !== 'load_more') {
+      const url = next.href.split('#')[0];
+      if (crawl.visited.has(url)) return 'reached a page already read';
+      if (new URL(url).hostname !== new URL(crawl.startUrl).hostname) return 'the next page is on another site';
+      crawl.visited.add(url);
+      crawl.methods.add(next.kind);
+      await tool('navigate', { url }).catch(() => {});
+      await this.waitForPageSettle(tabId);
+    } else if (next?.ref) {
+      crawl.methods.add(next.kind);
+      const click = await tool('click_element', { ref: next.ref }).catch(() => null);
+      if (click && !click.success) return `could not click "${next.text}": ${click.error}`;
+      await this.waitForPageSettle(tabId);
+    } else if (scroll && !crawl.methods.has('next') && !crawl.methods.has('numbered') && !(scroll.atEnd && crawl.staleRounds > 0)) {
+      // Paged lists end on their last page; only lists that never paged are scrolled for more
+      crawl.methods.add('scroll');
+      const scrolled = await tool('scroll_page', { direction: 'bottom', ref: scroll.ref || undefined })
+        .catch(error => ({ success: false, error: error.message }));
+      if (!scrolled?.success) return `could not scroll the list: ${scrolled?.error || 'no answer from the page'}`;
+    } else {
+      return 'no more pages';
+    }
+
+    // The next items may still be on their way
+    await wait({ condition: 'element', selector: itemSelector, timeout: CONFIG.CRAWL_LOAD_TIMEOUT }).catch(() => {});
+    await wait({ condition: 'network_idle', timeout: CONFIG.CRAWL_LOAD_TIMEOUT }).catch(() => {});
+    return null;
+  }
+
+  /**
+   * Run a fill_form_from_profile call: pick the form, pair its fields with
+   * profile keys (by autocomplete and field names, asking the model only about
+   * the rest), show the user what would change, then fill field by field so
+   * every value is typed and validated like fill_form. Profile values never
+   * reach the model, only which keys went where.
+   */
+  async fillFromProfile(tabId, { params }, approve) {
+    const profile = await this.profiles.get(params.profile);
+    if (!profile) {
+      const names = (await this.profiles.list()).map(p => p.name);
+      return {
+        success: false,
+        error: names.length
+          ? `No autofill profile named "${params.profile}". Saved profiles: ${names.join(', ')}`
+          : 'No autofill profiles are saved. The user can add them in the side panel settings.'
+      };
+    }
+
+    const forms = (await this.getPageStructure(tabId))?.forms || [];
+    const chosen = this.chooseProfileForm(forms, params.form, profile);
+    if (chosen.error) return { success: false, error: chosen.error };
+    const { form, matched, ambiguous } = chosen;
+
+    if (ambiguous.length > 0) matched.push(...await this.matchAmbiguousFields(ambiguous, profile));
+    if (matched.length === 0) {
+      return { success: false, error: `None of the form's fields match a key of the "${profile.name}" profile` };
+    }
+
+    const frameId = form.frameId || 0;
+    const { values } = await this.sendToFrame(tabId, { action: 'read_fields', refs: matched.map(m => m.field.ref) }, frameId);
+    const changes = matched
+      .map(({ field, key }) => ({ field, key, from: values?.[field.ref] ?? '', to: String(profile.fields[key]) }))
+      .filter(change => change.from !== change.to);
+    if (changes.length === 0) {
+      return { success: true, profile: profile.name, filled: [], unchanged: matched.length, note: 'The form already holds the profile values' };
+    }
+
+    const denied = await approve({
+      diff: changes.map(({ field, key, from, to }) => ({ field: field.label || field.name || field.ref, key, from, to }))
+    });
+    if (denied) return { success: false, ...denied };
+
+    const filled = [];
+    for (const { field, key } of changes) {
+      const result = await this.sendToFrame(tabId, {
+        action: 'execute_tool',
+        tool: 'fill_form',
+        params: { ref: field.ref, value: String(profile.fields[key]), redact: true }
+      }, frameId).catch(error => ({ success: false, error: error.message }));
+
+      filled.push({
+        field: field.label || field.name || field.ref,
+        ref: field.ref,
+        key,
+        success: !!result?.success,
+        error: result?.error,
+        validation: result?.validation
+      });
+    }
+
+    const unmatched = form.fields.filter(isFillable).filter(field => !matched.some(m => m.field === field));
+    return {
+      success: filled.every(f => f.success),
+      profile: profile.name,
+      filled,
+      unchanged: matched.length - changes.length,
+      notFilled: unmatched.map(field => field.label || field.name || field.ref)
+    };
+  }
+
+  // The form named by `wanted` (number or id), else the one the profile fits best
+  chooseProfileForm(forms, wanted, profile) {
+    if (forms.length === 0) return { error: 'The page has no forms' };
+
+    const candidates = wanted
+      ? forms.filter((form, i) => String(i + 1) === String(wanted).replace(/^form\s*/i, '') || form.id === String(wanted).replace(/^#/, ''))
+      : forms;
+    if (candidates.length === 0) return { error: `No form "${wanted}" on the page; there are ${forms.length}` };
+
+    return candidates
+      .map(form => ({ form, ...matchProfileFields(form.fields || [], profile.fields) }))
+      .sort((a, b) => b.matched.length - a.matched.length)[0];
+  }
+
+  /**
+   * Ask the model which profile keys the remaining fields want. It sees the
+   * field descriptions and the key names, never the values. Fields it can't
+   * place are left alone.
+   */
+  async matchAmbiguousFields(fields, profile) {
+    const keys = Object.keys(profile.fields).filter(key => profile.fields[key] !== '');
+    try {
+      const result = await this.ai.complete({
+        system: 'You match web form fields to autofill profile keys. Reply with a JSON object only, mapping each field number to the profile key that belongs in it, or to null when none fits. Never guess: leave a field null unless the key clearly means the same thing.',
+        messages: [{
+          role: 'user',
+          content: `Profile keys: ${keys.join(', ')}\n\nFields:\n${fields.map((field, i) => `${i + 1}. ${describeFormField(field)}`).join('\n')}`
+        }],
+        temperature: 0
+      });
+
+      const mapping = JSON.parse(result.content.match(/\{[\s\S]*\}/)?.[0] || '{}');
+      return fields
+        .map((field, i) => ({ field, key: mapping[i + 1] }))
+        .filter(({ key }) => keys.includes(key));
+    } catch (error) {
+      console.warn('[AI Assistant] Could not match profile fields:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Run a take_screenshot call: draw the set-of-marks overlay, capture the
+   * visible tab, take the overlay down again and scale the image for the
+   * model. Only the top page is marked; iframes show in the image unmarked.
+   */
+  async takeScreenshot(tabId, { params }) {
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab.active) {
+      return { success: false, error: 'Only the tab shown in its window can be captured' };
+    }
+
+    const overlay = params.marks === false
+      ? null
+      : await this.sendToFrame(tabId, { action: 'show_marks' }).catch(() => null);
+
+    let dataUrl;
+    try {
+      dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+    } catch (error) {
+      return { success: false, error: `Could not capture the tab: ${error.message}` };
+    } finally {
+      if (overlay) await this.sendToFrame(tabId, { action: 'clear_marks' }).catch(() => {});
+    }
+
+    const image = await this.scaleScreenshot(dataUrl);
+    return {
+      success: true,
+      width: image.width,
+      height: image.height,
+      marks: overlay?.marks || [],
+      note: overlay || params.marks === false ? undefined : 'Marks could not be drawn on this page',
+      image: { mediaType: image.mediaType, data: image.data }
+    };
+  }
+
+  // Shrink a captured data URL to SCREENSHOT_MAX_WIDTH, as base64 JPEG
+  async scaleScreenshot(dataUrl) {
+    const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+    const scale = Math.min(1, CONFIG.SCREENSHOT_MAX_WIDTH / bitmap.width);
+    const width = Math.round(bitmap.width * scale);
+    const height = Math.round(bitmap.height * scale);
+
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+    const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: CONFIG.SCREENSHOT_QUALITY });
+
+    return { mediaType: 'image/jpeg', data: toBase64(await blob.arrayBuffer()), width, height };
+  }
+
+  // Tabs the cross-tab tools may touch: the current tab's window, or every window
+  async tabsInScope(tabId, tabScope) {
+    if (tabScope === 'all') return chrome.tabs.query({});
+    const tab = await chrome.tabs.get(tabId);
+    return chrome.tabs.query({ windowId: tab.windowId });
+  }
+
+  // The tab behind a tab_id, or a failed result saying why the agent may not use it
+  async tabInScope(tabId, wanted, tabScope) {
+    const id = Number(wanted);
+    const tab = (await this.tabsInScope(tabId, tabScope)).find(t => t.id === id);
+    if (tab) return { tab };
+    return {
+      error: {
+        success: false,
+        error: `No tab ${wanted} that you may use${tabScope === 'all' ? '' : ' in this window'}. Call list_tabs for the tab IDs.`
+      }
+    };
+  }
+
+  async listTabs(tabId, message, approve, { tabScope }) {
+    const tabs = await this.tabsInScope(tabId, tabScope);
+    return {
+      success: true,
+      currentTabId: tabId,
+      tabs: tabs.slice(0, CONFIG.MAX_LISTED_TABS).map(tab => ({
+        tabId: tab.id,
+        title: tab.title,
+        url: tab.url,
+        current: tab.id === tabId || undefined,
+        windowId: tabScope === 'all' ? tab.windowId : undefined
+      })),
+      more: tabs.length > CONFIG.MAX_LISTED_TABS ? tabs.length - CONFIG.MAX_LISTED_TABS : undefined
+    };
+  }
+
+  async openTab(tabId, { params }) {
+    let url;
+    try {
+      url = new URL(params.url);
+      if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+    } catch {
+      return { success: false, error: `Not an http(s) URL: "${params.url}"` };
+    }
+
+    const current = await chrome.tabs.get(tabId);
+    const tab = await chrome.tabs.create({
+      url: url.href,
+      windowId: current.windowId,
+      index: current.index + 1,
+      openerTabId: tabId,
+      active: false
+    });
+    await this.waitForPageSettle(tab.id);
+
+    const loaded = await chrome.tabs.get(tab.id).catch(() => tab);
+    const switched = params.switch !== false;
+    return { success: true, tabId: tab.id, url: loaded.url || url.href, title: loaded.title, switched };
+  }
+
+  async switchTab(tabId, { params }, approve, { tabScope }) {
+    const { tab, error } = await this.tabInScope(tabId, params.tab_id, tabScope);
+    if (error) return error;
+
+    if (params.show) {
+      await chrome.tabs.update(tab.id, { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+    }
+    return { success: true, switched: true, tabId: tab.id, url: tab.url, title: tab.title };
+  }
+
+  async readTab(tabId, { params }, approve, { tabScope }) {
+    const { tab, error } = await this.tabInScope(tabId, params.tab_id, tabScope);
+    if (error) return error;
+    if (tab.discarded) {
+      return { success: false, tabId: tab.id, error: 'The tab is unloaded to save memory; switch_tab with show: true to reload it' };
+    }
+
+    const page = await this.getPageStructure(tab.id);
+    if (page?.error) return { success: false, tabId: tab.id, error: `Could not read the tab: ${page.error}` };
+
+    return {
+      success: true,
+      tabId: tab.id,
+      url: page.url,
+      title: page.title,
+      page: packPageContext(page, CONFIG.READ_TAB_TOKENS, prioritiesFor('chat', page))
+    };
+  }
+
+  // Closing the current tab moves the agent back to the conversation's tab
+  async closeTab(tabId, { params }, approve, { originTabId, tabScope }) {
+    const { tab, error } = await this.tabInScope(tabId, params.tab_id, tabScope);
+    if (error) return error;
+    if (tab.id === originTabId) {
+      return { success: false, error: 'This is the tab the user is chatting in; it can\'t be closed.' };
+    }
+
+    await chrome.tabs.remove(tab.id);
+    return tab.id === tabId
+      ? { success: true, closed: tab.id, switched: true, tabId: originTabId }
+      : { success: true, closed: tab.id };
+  }
+
+  /**
+   * Wait for the tab's URL to change, or to contain `url` when given. Single
+   * page apps changing the URL through the History API count as well.
+   */
+  async waitForUrl(tabId, { url: expected, timeout } = {}) {
+    const limit = Math.min(Math.max(Number(timeout) || CONFIG.WAIT_DEFAULT_TIMEOUT, 0), CONFIG.WAIT_MAX_TIMEOUT);
+    const started = Date.now();
+    const initial = (await chrome.tabs.get(tabId).catch(() => null))?.url || '';
+
+    if (expected && initial.includes(expected)) {
+      return { success: true, condition: 'url', url: initial, waited: 0 };
+    }
+
+    const events = [
+      chrome.webNavigation.onCommitted,
+      chrome.webNavigation.onHistoryStateUpdated,
+      chrome.webNavigation.onReferenceFragmentUpdated
+    ];
+
+    return new Promise(resolve => {
+      const finish = (result) => {
+        clearTimeout(timer);
+        events.forEach(event => event.removeListener(listener));
+        resolve({ condition: 'url', waited: Date.now() - started, ...result });
+      };
+      const listener = (details) => {
+        if (details.tabId !== tabId || details.frameId !== 0) return;
+        if (expected ? details.url.includes(expected) : details.url !== initial) {
+          finish({ success: true, url: details.url });
+        }
+      };
+      const timer = setTimeout(() => finish({
+        success: false,
+        timedOut: true,
+        url: initial,
+        error: `Timed out after ${limit}ms waiting for the URL to ${expected ? `contain "${expected}"` : 'change'}`
+      }), limit);
+
+      events.forEach(event => event.addListener(listener));
+    });
+  }
+
+  // Refs from iframes name their frame ("f3e12"); otherwise the model may give frame_id
+  frameForCall(params = {}) {
+    const fromRef = typeof params.ref === 'string' && params.ref.match(/^f(\d+)e\d+$/);
+    if (fromRef) return Number(fromRef[1]);
+    return Number.isInteger(params.frame_id) ? params.frame_id : null;
+  }
+
+  /**
+   * Message the content script in one frame of a tab; the top page unless
+   * given. Without a frameId every frame would receive it and the first to
+   * answer would win. The frame also learns its own id this way.
+   */
+  sendToFrame(tabId, message, frameId = 0) {
+    return chrome.tabs.sendMessage(tabId, { ...message, frameId }, { frameId });
+  }
+
+  async getSubframeIds(tabId) {
+    const frames = await chrome.webNavigation.getAllFrames({ tabId }).catch(() => null);
+    return (frames || [])
+      .filter(frame => frame.frameId !== 0 && !frame.errorOccurred)
+      .map(frame => frame.frameId);
+  }
+
+  /**
+   * Apply the user's tool policy to one call. Returns null when the call may
+   * run, or the fields of a failed tool result explaining why it may not.
+   */
+  async checkToolPolicy(tabId, url, tool, params, policies, requestApproval, details = {}) {
+    const policy = resolveToolPolicy(policies, tool, [url, await this.destinationOf(tool, params)]);
+
+    if (policy === 'always') return null;
+    if (policy === 'never') {
+      return { blocked: true, error: `The user's settings do not allow "${tool}" on this site.` };
+    }
+    if (!requestApproval) {
+      return { rejected: true, error: `"${tool}" needs the user's approval, but the side panel is not open.` };
+    }
+
+    // Point at the element the call would act on while the user decides
+    const frameId = this.frameForCall(params) ?? 0;
+    await this.sendToFrame(tabId, { action: 'preview_target', tool, params }, frameId).catch(() => {});
+
+    let site = null;
+    try {
+      site = new URL(url).hostname;
+    } catch {
+      // Pages like chrome:// have no usable host
+    }
+
+    const approved = await requestApproval({ tool, params, site, ...details });
+    await this.sendToFrame(tabId, { action: 'clear_preview' }, frameId).catch(() => {});
+
+    return approved ? null : { rejected: true, error: 'The user rejected this action.' };
+  }
+
+  // The other page a call touches, for site rules: where it navigates, or the tab it targets
+  async destinationOf(tool, params) {
+    if (tool === 'navigate' || tool === 'open_tab') return params.url;
+    if (CROSS_TAB_TOOLS.has(tool) && params.tab_id !== undefined) {
+      return (await chrome.tabs.get(Number(params.tab_id)).catch(() => null))?.url;
+    }
+    return null;
+  }
+
+  /**
+   * Wait for a tab to finish loading after an action that may have started a
+   * navigation. Resolves after the timeout even if the page never settles.
+   */
+  async waitForPageSettle(tabId, timeout = CONFIG.PAGE_SETTLE_TIMEOUT) {
+    await new Promise(resolve => setTimeout(resolve, CONFIG.PAGE_SETTLE_DELAY));
+
+    await new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      };
+      const listener = (id, changeInfo) => {
+        if (id === tabId && changeInfo.status === 'complete') done();
+      };
+      const timer = setTimeout(done, timeout);
+
+      chrome.tabs.onUpdated.addListener(listener);
+      chrome.tabs.get(tabId)
+        .then(tab => { if (tab.status === 'complete') done(); })
+        .catch(done);
+    });
+  }
+
   async getPageStructure(tabId) {
+    const config = await this.storage.get('ai_config');
+    const request = { action: 'get_structure', format: config?.contextFormat || 'structure' };
+
+    let page;
     try {
-      return await chrome.tabs.sendMessage(tabId, { action: 'get_structure' });
+      page = await this.sendWithContentScript(tabId, request);
+    } catch (error) {
+      return { url: 'unknown', title: 'unknown', error: error.message };
+    }
+    return this.withFrames(tabId, page);
+  }
+
+  // Tabs opened before the extension was installed or reloaded have no content script yet
+  async sendWithContentScript(tabId, message) {
+    try {
+      return await this.sendToFrame(tabId, message);
     } catch {
-      try {
-        await chrome.scripting.executeScript({
-          target: { tabId },
-          files: ['content.js']
-        });
-        return await chrome.tabs.sendMessage(tabId, { action: 'get_structure' });
-      } catch (retryError) {
-        return { url: 'unknown', title: 'unknown', error: retryError.message };
-      }
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        files: ['extract-expression.js', 'content.js']
+      });
+      return this.sendToFrame(tabId, message);
+    }
+  }
+
+  /**
+   * Add the snapshots of the tab's iframes to the top page's. Frames too small
+   * to show anything (trackers, hidden widgets) and frames the content script
+   * can't run in are left out.
+   */
+  async withFrames(tabId, page) {
+    if (!page || page.error || page.frames) return page;
+
+    const subframes = await this.getSubframeIds(tabId);
+    if (subframes.length === 0) return page;
+
+    const config = await this.storage.get('ai_config');
+    const request = { action: 'get_structure', format: config?.contextFormat || 'structure' };
+    const snapshots = await Promise.all(subframes.map(frameId => this.sendToFrame(tabId, request, frameId).catch(() => null)));
+    const frames = snapshots
+      .filter(frame => frame && !frame.error
+        && frame.viewport?.width >= CONFIG.MIN_FRAME_SIZE && frame.viewport?.height >= CONFIG.MIN_FRAME_SIZE)
+      .slice(0, CONFIG.MAX_FRAMES);
+
+    return frames.length > 0 ? mergeFrameSnapshots(page, frames) : page;
+  }
+
+  async getMainContent(tabId) {
+    try {
+      return await this.sendToFrame(tabId, { action: 'get_main_content' });
+    } catch {
+      return null;
     }
   }
 
+  // Attach the page's main article as Markdown; it replaces the raw body text in prompts
+  async withMainContent(tabId, page) {
+    if (!page || page.error || page.mainContent) return page;
+    const mainContent = await this.getMainContent(tabId);
+    return mainContent?.markdown ? { ...page, mainContent } : page;
+  }
+
   async analyzePage(tabId) {
     const structure = await this.getPageStructure(tabId);
 
@@ -450,7 +1917,7 @@ Instructions:
       system: 'Analyze this webpage structure concisely. Identify: page purpose, key interactive elements, forms, navigation structure, and any notable features.',
       messages: [{
         role: 'user',
-        content: `Analyze this page:\n${JSON.stringify(structure, null, 2)}`
+        content: `Analyze this page:\n\nTitle: ${structure?.title || 'Unknown'}\nURL: ${structure?.url || 'Unknown'}\n\n${packPageContext(structure, this.pageContextBudget(), prioritiesFor('analyze', structure))}`
       }],
       temperature: 0.3
     });
@@ -459,36 +1926,98 @@ Instructions:
   }
 
   async executeAction(tabId, actionData) {
-    return chrome.tabs.sendMessage(tabId, {
+    return this.sendToFrame(tabId, {
       action: 'execute_action',
       data: actionData
     });
   }
 
-  trimHistory(session) {
-    if (session.history.length > CONFIG.MAX_HISTORY_PER_TAB) {
-      session.history = session.history.slice(-CONFIG.MAX_HISTORY_PER_TAB);
+  /**
+   * Keep the history within budget by folding the oldest turns into a running
+   * summary written by the model. A turn starts at a user message and includes
+   * every assistant/tool message after it, so calls and results stay paired.
+   */
+  async compactHistory(session, { emit, signal } = {}) {
+    const budget = Math.floor(this.ai.capabilities.contextWindow * CONFIG.HISTORY_SHARE);
+    if (estimateMessagesTokens(session.history) <= budget) return;
+
+    const turns = [];
+    for (const m of session.history) {
+      if (m.role === 'user' || turns.length === 0) turns.push([]);
+      turns[turns.length - 1].push(m);
+    }
+
+    // Keep the newest turns verbatim, always at least the current one
+    const kept = [turns.pop()];
+    let keptTokens = estimateMessagesTokens(kept[0]);
+    while (turns.length > 0) {
+      const tokens = estimateMessagesTokens(turns[turns.length - 1]);
+      if (keptTokens + tokens > budget / 2) break;
+      kept.unshift(turns.pop());
+      keptTokens += tokens;
+    }
+
+    const older = turns.flat();
+    if (older.length === 0) return;
+
+    try {
+      const result = await this.ai.complete({
+        system: 'You maintain a running summary of a conversation between a user and a web browsing assistant. Merge the new messages into the existing summary. Keep user goals, decisions, facts and data found, pages visited, actions taken and anything still pending. Use short bullet points.',
+        messages: [{
+          role: 'user',
+          content: `Existing summary:\n${session.summary || '(none)'}\n\nNew messages:\n${formatTranscript(older)}`
+        }],
+        temperature: 0.2,
+        max_tokens: 1024,
+        signal
+      });
+      session.summary = result.content;
+    } catch (error) {
+      if (error.cancelled) throw error;
+      // Still drop the turns; losing old detail beats overflowing the context
+      console.warn('[AI Assistant] History summary failed:', error.message);
+    }
+
+    session.history = kept.flat();
+    session.compactedMessages = (session.compactedMessages || 0) + older.length;
+
+    emit?.({
+      type: 'compacted',
+      summary: session.summary,
+      compactedMessages: session.compactedMessages
+    });
+  }
+
+  /**
+   * compactHistory always keeps the current turn, which a long tool loop can
+   * grow past the context window on its own. Past TURN_HISTORY_SHARE, tool
+   * results are replaced with a note, oldest first; the latest round stays.
+   */
+  trimToolResults(history) {
+    const budget = Math.floor(this.ai.capabilities.contextWindow * CONFIG.TURN_HISTORY_SHARE);
+    let tokens = estimateMessagesTokens(history);
+    const latestRound = history.findLastIndex(m => m.role === 'assistant' && m.tool_calls);
+
+    for (let i = 0; i < latestRound && tokens > budget; i++) {
+      const m = history[i];
+      if (m.role !== 'tool' || m.content === TRIMMED_TOOL_RESULT) continue;
+
+      const trimmed = { role: 'tool', tool_call_id: m.tool_call_id, content: TRIMMED_TOOL_RESULT };
+      tokens += estimateMessagesTokens([trimmed]) - estimateMessagesTokens([m]);
+      history[i] = trimmed;
     }
   }
 
   cleanupTab(tabId) {
-    this.sessions.delete(tabId);
+    this.sessions.detachTab(tabId);
   }
 
   cleanupStaleSessions() {
-    const now = Date.now();
-    for (const [tabId, session] of this.sessions.entries()) {
-      if (now - session.lastActivity > CONFIG.STALE_SESSION_MS) {
-        this.sessions.delete(tabId);
-      }
-    }
+    this.sessions.prune(CONFIG.STALE_SESSION_MS);
   }
 
   handleNavigation(tabId, url) {
-    const session = this.sessions.get(tabId);
-    if (session) {
-      session.pageContext = { url, timestamp: Date.now() };
-    }
+    this.sessions.trackNavigation(tabId, url);
   }
 
   async updateActiveContext(tabId) {
@@ -502,6 +2031,77 @@ Instructions:
     }
   }
 
+  async exportConversation(id, format = 'markdown') {
+    await this.sessions.restore();
+    const session = await this.sessions.load(id);
+    if (!session) throw new Error('Conversation not found');
+
+    const date = new Date(session.lastActivity).toISOString().slice(0, 10);
+    const base = `${safeFilename(session.title || session.domain)}-${date}`;
+
+    return format === 'json'
+      ? downloadFile(conversationToJSON(session), `${base}.json`, 'application/json')
+      : downloadFile(conversationToMarkdown(session), `${base}.md`, 'text/markdown');
+  }
+
+  async exportBatch(format = 'csv') {
+    const job = this.batches.job;
+    if (!job) throw new Error('There are no batch results to export');
+
+    const base = `batch-${new Date(job.createdAt).toISOString().slice(0, 10)}`;
+    if (format === 'json') return downloadFile(batchToJSON(job), `${base}.json`, 'application/json');
+
+    const { columns, rows } = batchTable(job);
+    return downloadFile(tableToCSV(columns, rows), `${base}.csv`, 'text/csv');
+  }
+
+  /**
+   * One URL of a batch: open it in a background tab, run the job's schema or
+   * prompt on it, and close the tab again. The tab is closed as soon as the
+   * row is cancelled.
+   */
+  async runBatchRow(job, row, signal) {
+    const tab = await chrome.tabs.create({ url: row.url, active: false });
+    const close = () => chrome.tabs.remove(tab.id).catch(() => {});
+    signal.addEventListener('abort', close);
+
+    try {
+      await this.waitForPageSettle(tab.id);
+      if (signal.aborted) return null;
+      row.title = (await chrome.tabs.get(tab.id))?.title || null;
+
+      if (job.schema) {
+        const result = await this.sendWithContentScript(tab.id, { action: 'execute_tool', tool: 'extract_data', params: { schema: job.schema } });
+        if (!result?.success) throw new Error(result?.error || 'Extraction failed');
+        return result.data;
+      }
+
+      const page = await this.withMainContent(tab.id, await this.getPageStructure(tab.id));
+      if (page?.error) throw new Error(`Could not read the page: ${page.error}`);
+      const result = await this.ai.complete({
+        system: 'Answer the user\'s request about the web page below. Reply with a single flat JSON object whose keys are short column names and whose values are strings, numbers or booleans, so the answers for many pages fit in one table. If the page doesn\'t have the information, use null values.',
+        messages: [{
+          role: 'user',
+          content: `${job.prompt}\n\nTitle: ${page.title}\nURL: ${page.url}\n\n${packPageContext(page, Math.min(CONFIG.BATCH_PAGE_TOKENS, this.pageContextBudget()), prioritiesFor('extract', page))}`
+        }],
+        temperature: 0.2,
+        signal
+      });
+      return parseAnswer(result.content);
+    } finally {
+      signal.removeEventListener('abort', close);
+      close();
+    }
+  }
+
+  async getTabUrl(tabId) {
+    try {
+      return (await chrome.tabs.get(tabId))?.url;
+    } catch {
+      return undefined;
+    }
+  }
+
   async getActiveTab() {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     return tab;
@@ -518,11 +2118,25 @@ Instructions:
 
   async updateConfig(config) {
     await this.storage.set('ai_config', config);
-    this.ai = new AIClient({
-      provider: config.provider,
+    this.ai = this.createClient(config);
+  }
+
+  createClient(config) {
+    const provider = config?.provider || 'openai';
+
+    // Local and OpenAI-compatible servers may not need a key
+    const ready = provider === 'local'
+      || (provider === 'openai-compatible' && config.baseUrl)
+      || config?.apiKey;
+    if (!ready) return null;
+
+    return new AIClient({
+      provider,
       apiKey: config.apiKey,
       model: config.model || CONFIG.DEFAULT_MODEL,
-      baseUrl: config.baseUrl
+      baseUrl: config.baseUrl,
+      headers: config.headers,
+      contextWindow: config.contextWindow
     });
   }
 }
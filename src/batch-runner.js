@@ -0,0 +1,203 @@
+/**
+ * Batch Runner
+ * Runs one prompt or extraction schema over a list of URLs and collects a table
+ */
+
+import { StorageManager, ConcurrencyLimiter } from './utils.js';
+
+const BATCH_KEY = 'batch_job';
+
+export const BATCH_CONFIG = {
+  MAX_URLS: 200,
+  DEFAULT_CONCURRENCY: 3,
+  MAX_CONCURRENCY: 5,
+  // Spacing between page loads, so a batch doesn't hammer one site
+  START_INTERVAL: 500
+};
+
+/**
+ * The http(s) URLs in `text`, one per line or separated by spaces or commas,
+ * without duplicates. Anything else is returned as `invalid`.
+ */
+export function parseUrlList(text) {
+  const urls = [];
+  const invalid = [];
+
+  for (const item of String(text || '').split(/[\s,]+/).filter(Boolean)) {
+    try {
+      const url = new URL(item);
+      if (!['http:', 'https:'].includes(url.protocol)) throw new Error('Not a web page');
+      if (!urls.includes(url.href)) urls.push(url.href);
+    } catch {
+      invalid.push(item);
+    }
+  }
+  return { urls, invalid };
+}
+
+/**
+ * A prompt answer as a table row. Models are asked for a flat JSON object;
+ * anything else becomes a single "answer" column.
+ */
+export function parseAnswer(text) {
+  const trimmed = String(text || '').trim();
+  const json = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/)?.[1] ?? trimmed;
+  try {
+    const value = JSON.parse(json);
+    if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+  } catch {
+    // Plain text
+  }
+  return { answer: trimmed };
+}
+
+export function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value);
+  if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+    return value.filter(item => item !== null).join('; ');
+  }
+  // extract_data reports a field that failed as { error }
+  if (!Array.isArray(value) && Object.keys(value).length === 1 && typeof value.error === 'string') {
+    return `Error: ${value.error}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * The job as a table: one row per URL, one column per key found in any
+ * result, in the order the keys first appear. Cells are text.
+ */
+export function batchTable(job) {
+  const keys = [];
+  for (const row of job?.rows || []) {
+    for (const key of Object.keys(row.data || {})) {
+      if (!keys.includes(key)) keys.push(key);
+    }
+  }
+
+  return {
+    columns: ['url', 'status', ...keys, 'error'],
+    rows: (job?.rows || []).map(row => [
+      row.url,
+      row.status,
+      ...keys.map(key => cellText(row.data?.[key])),
+      row.error || ''
+    ])
+  };
+}
+
+/**
+ * One batch at a time. Rows go from pending to running to done or error (or
+ * cancelled), and `processRow(job, row, signal)` does the work for one URL,
+ * returning the row's data. The job is saved after every row, so a finished
+ * table outlives the service worker; rows that were in flight when the
+ * worker stopped come back as errors that can be retried.
+ */
+export class BatchRunner {
+  constructor({ storage = new StorageManager(), processRow, onUpdate = () => {} }) {
+    this.storage = storage;
+    this.processRow = processRow;
+    this.onUpdate = onUpdate;
+    this.job = null;
+    this.limiter = null;
+    this.controllers = new Map();
+  }
+
+  async restore() {
+    const job = await this.storage.get(BATCH_KEY);
+    if (!job) return;
+
+    for (const row of job.rows) {
+      if (row.status === 'pending' || row.status === 'running') {
+        Object.assign(row, { status: 'error', error: 'Interrupted when the extension restarted' });
+      }
+    }
+    this.job = job;
+  }
+
+  get running() {
+    return Boolean(this.job?.rows.some(row => row.status === 'pending' || row.status === 'running'));
+  }
+
+  start({ urls, prompt, schema, concurrency }) {
+    if (this.running) throw new Error('A batch is already running; cancel it first');
+    if (!urls?.length) throw new Error('Add at least one URL');
+    if (urls.length > BATCH_CONFIG.MAX_URLS) throw new Error(`A batch can have at most ${BATCH_CONFIG.MAX_URLS} URLs`);
+    if (!prompt === !schema) throw new Error('A batch needs either a prompt or an extraction schema');
+
+    this.job = {
+      id: `batch_${Date.now().toString(36)}`,
+      prompt: prompt || null,
+      schema: schema || null,
+      concurrency: Math.min(Math.max(Math.round(concurrency) || BATCH_CONFIG.DEFAULT_CONCURRENCY, 1), BATCH_CONFIG.MAX_CONCURRENCY),
+      createdAt: Date.now(),
+      rows: urls.map((url, index) => ({ index, url, status: 'pending', data: null, error: null }))
+    };
+    this.limiter = new ConcurrencyLimiter(this.job.concurrency, BATCH_CONFIG.START_INTERVAL);
+    this.job.rows.forEach(row => this.schedule(this.job, row));
+    this.changed(true);
+    return this.job;
+  }
+
+  // Run rows again: the given indexes, or every row that failed or was cancelled
+  retry(indexes) {
+    const job = this.job;
+    if (!job) throw new Error('There is no batch to retry');
+
+    const rows = indexes?.length
+      ? job.rows.filter(row => indexes.includes(row.index) && row.status !== 'pending' && row.status !== 'running')
+      : job.rows.filter(row => row.status === 'error' || row.status === 'cancelled');
+
+    this.limiter ||= new ConcurrencyLimiter(job.concurrency, BATCH_CONFIG.START_INTERVAL);
+    for (const row of rows) {
+      Object.assign(row, { status: 'pending', data: null, error: null });
+      this.schedule(job, row);
+    }
+    this.changed(true);
+    return job;
+  }
+
+  // Rows still waiting are dropped; rows in flight are aborted
+  cancel() {
+    if (!this.job) return null;
+    for (const row of this.job.rows) {
+      if (row.status === 'pending') row.status = 'cancelled';
+    }
+    for (const controller of this.controllers.values()) controller.abort();
+    // Queued tasks of the cancelled rows would still take up start slots; retries get a fresh queue
+    this.limiter = null;
+    this.changed(true);
+    return this.job;
+  }
+
+  schedule(job, row) {
+    this.limiter.run(() => this.runRow(job, row)).catch(() => {});
+  }
+
+  async runRow(job, row) {
+    // Cancelled, retried elsewhere, or replaced by a newer job while queued
+    if (row.status !== 'pending' || job !== this.job) return;
+
+    const controller = new AbortController();
+    this.controllers.set(row, controller);
+    row.status = 'running';
+    this.changed();
+
+    try {
+      row.data = await this.processRow(job, row, controller.signal);
+      row.status = controller.signal.aborted ? 'cancelled' : 'done';
+    } catch (error) {
+      row.status = controller.signal.aborted ? 'cancelled' : 'error';
+      row.error = controller.signal.aborted ? null : error.message;
+    } finally {
+      this.controllers.delete(row);
+    }
+    if (job === this.job) this.changed(true);
+  }
+
+  changed(save = false) {
+    if (save) this.storage.set(BATCH_KEY, this.job);
+    this.onUpdate(this.job);
+  }
+}
@@ -3,10 +3,313 @@
  * Runs in every webpage - provides DOM access and automation
  */
 
+// Main content extraction (Readability-style scoring)
+const UNLIKELY_CANDIDATES = /banner|breadcrumb|combx|comment|community|cookie|consent|disqus|extra|footer|gdpr|header|legends|menu|modal|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|tags|tool|widget|\bad-|advert/i;
+const LIKELY_CANDIDATES = /and|article|body|column|content|entry|hentry|main|page|post|story|text|blog/i;
+const NEGATIVE_WEIGHT = /hidden|^hid$|\bhid\b|banner|combx|comment|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+const POSITIVE_WEIGHT = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+const BOILERPLATE_CONTAINERS = 'nav, aside, footer, form, dialog, [role="navigation"], [role="complementary"], [role="contentinfo"], [aria-hidden="true"]';
+const SKIPPED_IN_CONTENT = new Set([
+  'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'IFRAME', 'FORM', 'BUTTON', 'INPUT',
+  'SELECT', 'TEXTAREA', 'NAV', 'ASIDE', 'FOOTER', 'DIALOG', 'CANVAS', 'OBJECT', 'EMBED'
+]);
+
+// Accessibility snapshot: roles implied by tags, and roles named by their content
+const IMPLICIT_ROLES = {
+  a: el => el.hasAttribute('href') ? 'link' : null,
+  article: () => 'article',
+  aside: () => 'complementary',
+  button: () => 'button',
+  dialog: () => 'dialog',
+  fieldset: () => 'group',
+  footer: el => el.closest('article, aside, main, nav, section') ? null : 'contentinfo',
+  form: () => 'form',
+  h1: () => 'heading', h2: () => 'heading', h3: () => 'heading',
+  h4: () => 'heading', h5: () => 'heading', h6: () => 'heading',
+  header: el => el.closest('article, aside, main, nav, section') ? null : 'banner',
+  img: el => el.getAttribute('alt') === '' ? null : 'img',
+  input: el => el.type in INPUT_ROLES ? INPUT_ROLES[el.type] : 'textbox',
+  li: () => 'listitem',
+  main: () => 'main',
+  nav: () => 'navigation',
+  ol: () => 'list',
+  option: () => 'option',
+  p: () => 'paragraph',
+  progress: () => 'progressbar',
+  section: el => el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby') ? 'region' : null,
+  select: el => el.multiple || el.size > 1 ? 'listbox' : 'combobox',
+  summary: () => 'button',
+  table: () => 'table',
+  td: () => 'cell',
+  textarea: () => 'textbox',
+  th: () => 'columnheader',
+  tr: () => 'row',
+  ul: () => 'list'
+};
+
+const INPUT_ROLES = {
+  button: 'button', submit: 'button', reset: 'button', image: 'button',
+  checkbox: 'checkbox', radio: 'radio', range: 'slider', number: 'spinbutton',
+  search: 'searchbox', hidden: null
+};
+
+const NAME_FROM_CONTENT = new Set([
+  'button', 'link', 'heading', 'option', 'tab', 'menuitem', 'checkbox', 'radio',
+  'switch', 'cell', 'columnheader', 'rowheader', 'tooltip', 'treeitem'
+]);
+
+// Roles that can be acted on and so get a ref in the snapshot
+const INTERACTIVE_ROLES = new Set([
+  'button', 'link', 'textbox', 'searchbox', 'checkbox', 'radio', 'switch', 'combobox',
+  'listbox', 'option', 'slider', 'spinbutton', 'tab', 'menuitem', 'treeitem'
+]);
+
+const MAX_SNAPSHOT_LINES = 2000;
+const MAX_FIND_MATCHES = 1000;
+// Links offered to a batch run from the current page
+const MAX_LINKS = 500;
+
+// wait_for: default and longest wait, quiet period that counts as idle, and a
+// slow re-check for changes the MutationObserver can't see (shadow trees, CSS)
+const WAIT_DEFAULT_TIMEOUT = 10000;
+const WAIT_MAX_TIMEOUT = 30000;
+const WAIT_IDLE_MS = 500;
+const WAIT_POLL_MS = 250;
+
+// Typing: pause between keystrokes, how much is typed key by key before the
+// rest is inserted at once, and how long a custom dropdown gets to show options
+const TYPING_DELAY = 10;
+const TYPED_CHARS_LIMIT = 200;
+const OPTION_WAIT_TIMEOUT = 2000;
+// Input types that accept a value typed one key at a time. The browser
+// sanitizes the others (number, date, color, range, …) and would drop the
+// incomplete values in between, so they get the whole value at once.
+const KEYED_INPUT_TYPES = new Set(['text', 'search', 'url', 'tel', 'email', 'password']);
+
+// Legacy keyCodes that some sites still read
+const KEY_CODES = {
+  Backspace: 8, Tab: 9, Enter: 13, Escape: 27, ' ': 32, PageUp: 33, PageDown: 34,
+  End: 35, Home: 36, ArrowLeft: 37, ArrowUp: 38, ArrowRight: 39, ArrowDown: 40, Delete: 46
+};
+const NAMED_KEYS = [
+  ...Object.keys(KEY_CODES).filter(key => key !== ' '),
+  'Control', 'Shift', 'Alt', 'Meta', 'Insert', 'ContextMenu',
+  ...Array.from({ length: 12 }, (_, i) => `F${i + 1}`)
+];
+const KEY_ALIASES = {
+  esc: 'Escape', return: 'Enter', space: ' ', del: 'Delete', up: 'ArrowUp', down: 'ArrowDown',
+  left: 'ArrowLeft', right: 'ArrowRight', ctrl: 'Control', cmd: 'Meta', command: 'Meta', option: 'Alt'
+};
+const MODIFIER_KEYS = { Control: 'ctrlKey', Shift: 'shiftKey', Alt: 'altKey', Meta: 'metaKey' };
+
+// Fields fill_form, check, clear and focus can target, native or ARIA
+const FIELD_SELECTOR = 'input, textarea, select, [contenteditable="true"], [role="textbox"], [role="searchbox"], '
+  + '[role="combobox"], [role="listbox"], [role="checkbox"], [role="switch"], [role="radio"]';
+const FOCUSABLE_SELECTOR = 'a[href], button, input:not([type="hidden"]), select, textarea, summary, [tabindex], [contenteditable="true"]';
+const TRUTHY_VALUES = /^(true|yes|on|1|checked|x)$/i;
+
+// What counts as interactive in page snapshots and screenshot marks
+const INTERACTIVE_SELECTOR = [
+  'button', 'a[href]', 'input', 'textarea', 'select',
+  '[role="button"]', '[role="link"]', '[role="textbox"]',
+  '[onclick]', '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+// Numbered badges drawn for a screenshot; more than this would cover the page
+const MAX_MARKS = 150;
+
+// Validation feedback: time for the site's own checks to render after a fill
+// or submit, where sites put error text, and the constraint checks reported
+const VALIDATION_SETTLE_MS = 300;
+const SUBMIT_SETTLE_MS = 1000;
+const ERROR_SELECTOR = '[role="alert"], [aria-live="assertive"], .error, .errors, .invalid-feedback, .field-error, '
+  + '.form-error, .error-message, .text-danger, [class*="error" i], [class*="invalid" i], [data-error]';
+const VALIDITY_FLAGS = [
+  'valueMissing', 'typeMismatch', 'patternMismatch', 'tooShort', 'tooLong',
+  'rangeUnderflow', 'rangeOverflow', 'stepMismatch', 'badInput', 'customError'
+];
+
+// Pagination for extract_all_pages: where paginators live, what can be clicked
+// in them, and how "next" and "load more" controls read
+const PAGINATION_SELECTOR = 'nav, [role="navigation"], [class*="pagination" i], [class*="pager" i], [class*="paging" i]';
+const PAGINATION_CONTROL_SELECTOR = 'a[href], button, [role="button"], [role="link"], input[type="button"], input[type="submit"]';
+const PAGE_NUMBER_SELECTOR = `${PAGINATION_CONTROL_SELECTOR}, span, em, strong, li, [aria-current]`;
+const NEXT_LABEL = /^(next|next page|more results|older|older posts|older entries)\b|^[›»→>]+$/i;
+const LOAD_MORE_LABEL = /^(load|show|view|see) more\b/i;
+
+// extract_table: what counts as a table, ARIA cells, row, column and span
+// limits, and the values that read as missing or as money in numeric columns
+const TABLE_SELECTOR = 'table:not([role="presentation"]):not([role="none"]), [role="table"], [role="grid"], [role="treegrid"]';
+const ARIA_CELL_SELECTOR = '[role="cell"], [role="gridcell"], [role="columnheader"], [role="rowheader"]';
+const DEFAULT_TABLE_ROWS = 100;
+const MAX_TABLE_ROWS = 1000;
+const MAX_TABLE_COLUMNS = 200;
+const MAX_TABLE_SPAN = 100;
+const MISSING_VALUE = /^(-|–|—|n\/a|na|none|null)$/i;
+const CURRENCY = '[$€£¥₹₩₽₺₪฿₫]|(?:USD|EUR|GBP|JPY|CNY|INR|CAD|AUD|NZD|CHF|SEK|NOK|DKK|PLN|CZK|HUF|BRL|MXN|KRW|ZAR|SGD|HKD)\\b';
+const NUMERIC_CELL = new RegExp(`^(\\()?([-−+])?\\s*(${CURRENCY})?\\s*([-−+])?\\s*(\\d(?:[\\d.,' ]*\\d)?)\\s*(%|${CURRENCY})?(\\))?$`);
+
+function collapseWhitespace(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Wrap text in Markdown emphasis, keeping surrounding spaces outside the markers
+function emphasize(text, marker) {
+  const [, before, content, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return content ? `${before}${marker}${content}${marker}${after}` : text;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// "Control+Shift+k" → { key: 'K', modifiers: { ctrlKey: true, shiftKey: true, ... } }
+function parseKeyCombo(combo) {
+  const modifiers = { ctrlKey: false, shiftKey: false, altKey: false, metaKey: false };
+  let key = null;
+
+  // A trailing "+" is the plus key itself ("Control++")
+  const parts = String(combo).trim().split(/\+(?!$)/).map(part => part.trim()).filter(Boolean);
+  for (const part of parts) {
+    const name = KEY_ALIASES[part.toLowerCase()]
+      || NAMED_KEYS.find(named => named.toLowerCase() === part.toLowerCase())
+      || part;
+    if (MODIFIER_KEYS[name] && parts.length > 1) modifiers[MODIFIER_KEYS[name]] = true;
+    else key = name;
+  }
+
+  if (key?.length === 1) key = modifiers.shiftKey ? key.toUpperCase() : key.toLowerCase();
+  return { key, modifiers };
+}
+
+function keyEvent(type, key, modifiers = {}) {
+  const code = key.length > 1 ? key
+    : /[a-z]/i.test(key) ? `Key${key.toUpperCase()}`
+    : /\d/.test(key) ? `Digit${key}`
+    : key === ' ' ? 'Space' : '';
+  const event = new KeyboardEvent(type, { key, code, bubbles: true, cancelable: true, composed: true, ...modifiers });
+  const keyCode = KEY_CODES[key] ?? (key.length === 1 ? key.toUpperCase().charCodeAt(0) : 0);
+  Object.defineProperty(event, 'keyCode', { get: () => keyCode });
+  Object.defineProperty(event, 'which', { get: () => keyCode });
+  return event;
+}
+
+// React and similar libraries track values through the prototype's setter, so
+// assigning `el.value` directly goes unnoticed by them
+function setNativeValue(el, value) {
+  const type = [HTMLInputElement, HTMLTextAreaElement, HTMLSelectElement].find(constructor => el instanceof constructor);
+  const setter = type && Object.getOwnPropertyDescriptor(type.prototype, 'value')?.set;
+  if (setter) setter.call(el, value);
+  else el.value = value;
+}
+
+// Shadow DOM: lookups that also search open shadow roots, in document order
+
+function* composedElements(root) {
+  if (root.shadowRoot) yield* composedElements(root.shadowRoot);
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+  for (let el = walker.nextNode(); el; el = walker.nextNode()) {
+    yield el;
+    if (el.shadowRoot) yield* composedElements(el.shadowRoot);
+  }
+}
+
+function deepQuerySelectorAll(selector, root = document) {
+  const results = [];
+  for (const el of composedElements(root)) {
+    if (el.matches(selector)) results.push(el);
+  }
+  return results;
+}
+
+function deepQuerySelector(selector, root = document) {
+  for (const el of composedElements(root)) {
+    if (el.matches(selector)) return el;
+  }
+  return null;
+}
+
+/**
+ * A table cell as a number: "$1,299.50", "1.234,50 €", "(200)", "-3%", "12 USD".
+ * A lone separator before three digits is a thousands separator unless it is
+ * the page language's decimal one, so "1,234" is 1234 but "1.5" is 1.5.
+ * Returns null for anything else, including versions like "1.2.3". `lossy`
+ * marks codes the number would change: leading zeros ("02139") or integers
+ * too long for a double.
+ */
+function parseCellNumber(text, decimalSeparator) {
+  const match = text.replace(/\u00a0/g, ' ').trim().match(NUMERIC_CELL);
+  if (!match) return null;
+  const [, open, leadSign, before, innerSign, digits, after, close] = match;
+  if (Boolean(open) !== Boolean(close)) return null;
+
+  const plain = digits.replace(/[\s']/g, '');
+  const dots = plain.split('.').length - 1;
+  const commas = plain.split(',').length - 1;
+  let decimal = null;
+  if (dots && commas) {
+    decimal = plain.lastIndexOf('.') > plain.lastIndexOf(',') ? '.' : ',';
+  } else if (dots + commas === 1) {
+    const separator = dots ? '.' : ',';
+    decimal = /[.,]\d{3}$/.test(plain) && separator !== decimalSeparator ? null : separator;
+  }
+
+  const [whole, fraction] = decimal ? [plain.slice(0, plain.lastIndexOf(decimal)), plain.slice(plain.lastIndexOf(decimal) + 1)] : [plain, ''];
+  if (/[.,]/.test(fraction) || (/[.,]/.test(whole) && !/^\d{1,3}([.,]\d{3})+$/.test(whole))) return null;
+  if (digits.includes(' ') && !/^\d{1,3}( \d{3})+([.,]\d+)?$/.test(digits)) return null;
+
+  const value = Number(`${whole.replace(/[.,]/g, '')}${fraction ? `.${fraction}` : ''}`);
+  const currency = [before, after].find(part => part && part !== '%') || null;
+  const negative = Boolean(open) || /[-−]/.test(`${leadSign || ''}${innerSign || ''}`);
+  const integer = whole.replace(/[.,]/g, '');
+  const lossy = /^0\d/.test(integer) || integer.length > 15;
+  return { value: negative ? -value : value, currency, percent: after === '%', lossy };
+}
+
+// The page language decides whether "1.234" is a thousand or a decimal.
+// Malformed tags like "en_US" are common; ones Intl still rejects get the default locale.
+function pageDecimalSeparator() {
+  const lang = document.documentElement.lang.replace(/_/g, '-');
+  try {
+    return (1.5).toLocaleString(lang || undefined).charAt(1);
+  } catch {
+    return (1.5).toLocaleString().charAt(1);
+  }
+}
+
+// Parent in the composed tree: a shadow root's children belong to its host
+function composedParent(node) {
+  return node.parentElement || node.parentNode?.host || null;
+}
+
+// Children as rendered: a host shows its shadow tree, a slot what is assigned to it
+function composedChildren(node) {
+  if (node.shadowRoot) return node.shadowRoot.childNodes;
+  if (node.tagName === 'SLOT') {
+    const assigned = node.assignedNodes({ flatten: true });
+    if (assigned.length > 0) return assigned;
+  }
+  return node.childNodes;
+}
+
 class PageController {
   constructor() {
     this.highlights = [];
+    this.findMatches = [];
+    this.findIndex = -1;
+    this.findQuery = null;
     this.observers = new Map();
+    // Called on every DOM mutation; wait_for conditions subscribe here
+    this.domListeners = new Set();
+    // The field fill_form last filled, whose form submit_form falls back to
+    this.lastField = null;
+    // Fields filled from an autofill profile, whose values snapshots and validation results hide
+    this.redactedFields = new WeakSet();
+    // Element references handed out in page snapshots: ref → WeakRef(element) and back
+    this.refs = new Map();
+    this.elementRefs = new WeakMap();
+    this.nextRef = 1;
+    // Set by the background, which knows the frame's id; refs outside the top frame carry it
+    this.frameId = 0;
     this.isInitialized = false;
     this.init();
   }
@@ -33,9 +336,14 @@ class PageController {
   }
 
   async handleMessage(request) {
+    if (Number.isInteger(request.frameId)) this.frameId = request.frameId;
+
     switch (request.action) {
       case 'get_structure':
-        return this.getPageStructure();
+        return this.getPageStructure(request.format);
+
+      case 'get_main_content':
+        return this.getMainContent();
       
       case 'execute_tool':
         return this.executeTool(request.tool, request.params);
@@ -49,23 +357,55 @@ class PageController {
       case 'scroll_to':
         return this.scrollToElement(request.selector);
       
+      case 'find_text':
+        return this.findAndHighlight(request.query, request.caseSensitive);
+
+      case 'find_step':
+        return this.stepFindMatch(request.direction);
+
+      case 'find_clear':
+        return this.clearHighlights();
+
       case 'get_selection':
         return { text: window.getSelection().toString() };
+
+      case 'read_fields':
+        return this.readFields(request.refs);
+
+      case 'get_links':
+        return this.getLinks();
+
+      case 'find_pagination':
+        return this.findPagination(request.itemSelector);
+
+      case 'preview_target':
+        return this.previewTarget(request.tool, request.params);
+
+      case 'clear_preview':
+        return this.clearPreview();
+
+      case 'show_marks':
+        return this.showMarks();
+
+      case 'clear_marks':
+        return this.clearMarks();
       
       default:
         throw new Error(`Unknown action: ${request.action}`);
     }
   }
 
-  getPageStructure() {
-    const getElementInfo = (el, includeText = false) => {
+  getPageStructure(format = 'structure') {
+    const getElementInfo = (el, includeText = false, withRef = false) => {
       if (!el) return null;
       const rect = el.getBoundingClientRect();
       return {
+        ref: withRef ? this.refFor(el) : undefined,
+        frameId: this.frameId,
         tag: el.tagName.toLowerCase(),
         id: el.id || null,
         classes: Array.from(el.classList),
-        text: includeText ? el.innerText?.slice(0, 200) : undefined,
+        text: includeText && !this.redactedFields.has(el) ? el.innerText?.slice(0, 200) : undefined,
         ariaLabel: el.getAttribute('aria-label') || null,
         ariaRole: el.getAttribute('role') || null,
         placeholder: el.placeholder || null,
@@ -84,198 +424,1596 @@ class PageController {
     };
 
     // Get interactive elements
-    const interactiveSelectors = [
-      'button', 'a[href]', 'input', 'textarea', 'select',
-      '[role="button"]', '[role="link"]', '[role="textbox"]',
-      '[onclick]', '[tabindex]:not([tabindex="-1"])'
-    ];
-
     const interactiveElements = Array.from(
-      document.querySelectorAll(interactiveSelectors.join(', '))
-    ).filter(el => this.isVisible(el)).slice(0, 100);
+      deepQuerySelectorAll(INTERACTIVE_SELECTOR)
+    ).filter(el => this.isVisible(el)).slice(0, 300);
 
     // Get forms
-    const forms = Array.from(document.forms).map(form => ({
+    const forms = deepQuerySelectorAll('form').map(form => ({
       ...getElementInfo(form),
       action: form.action,
       method: form.method,
       fields: Array.from(form.elements)
         .filter(el => el.name || el.id)
-        .map(el => getElementInfo(el, true))
+        .map(el => ({
+          ...getElementInfo(el, true, true),
+          label: this.accessibleName(el, this.accessibleRole(el)) || null,
+          autocomplete: el.getAttribute('autocomplete') || null
+        }))
     }));
 
     // Get main content areas
     const contentSelectors = ['main', 'article', '[role="main"]', '.content', '#content', '.main'];
     const contentAreas = contentSelectors
-      .map(sel => document.querySelector(sel))
+      .map(sel => deepQuerySelector(sel))
       .filter(Boolean)
       .map(el => getElementInfo(el, true));
 
     // Get headings for structure
-    const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+    const headings = deepQuerySelectorAll('h1, h2, h3, h4, h5, h6')
       .filter(h => this.isVisible(h))
       .map(h => ({
+        ...getElementInfo(h),
         level: parseInt(h.tagName[1]),
-        text: h.innerText?.slice(0, 200),
-        ...getElementInfo(h)
-      }));
+        text: h.innerText?.slice(0, 200)
+      }))
+      .slice(0, 200);
 
     // Get navigation
-    const navElements = Array.from(
-      document.querySelectorAll('nav, [role="navigation"], header, .nav, .navbar, #nav')
-    ).map(el => getElementInfo(el, true));
+    const navElements = deepQuerySelectorAll('nav, [role="navigation"], header, .nav, .navbar, #nav')
+      .map(el => getElementInfo(el, true));
+
+    const bodyText = this.getPageText();
+    const interactiveInfo = interactiveElements.map(el => getElementInfo(el, true, true));
+    const accessibilityTree = format === 'accessibility' ? this.getAccessibilitySnapshot() : undefined;
+    this.pruneRefs();
 
+    // Send generously; the background trims to the model's context budget
     return {
       url: location.href,
       title: document.title,
+      frameId: this.frameId,
+      viewport: { width: window.innerWidth, height: window.innerHeight },
       meta: {
         description: document.querySelector('meta[name="description"]')?.content || null,
         keywords: document.querySelector('meta[name="keywords"]')?.content || null,
         author: document.querySelector('meta[name="author"]')?.content || null
       },
       structure: {
-        hasLoginForm: !!document.querySelector('input[type="password"]'),
-        hasSearch: !!document.querySelector('input[type="search"], input[name*="search"], input[placeholder*="search" i]'),
+        hasLoginForm: !!deepQuerySelector('input[type="password"]'),
+        hasSearch: !!deepQuerySelector('input[type="search"], input[name*="search"], input[placeholder*="search" i]'),
         hasNavigation: navElements.length > 0,
         contentAreas: contentAreas.length
       },
-      headings: headings.slice(0, 20),
+      headings,
       interactive: {
-        total: interactiveElements.length,
-        buttons: interactiveElements.filter(el => el.tag === 'button' || el.ariaRole === 'button').length,
-        links: interactiveElements.filter(el => el.tag === 'a').slice(0, 30),
-        inputs: interactiveElements.filter(el => ['input', 'textarea', 'select'].includes(el.tag)).slice(0, 20),
-        elements: interactiveElements.slice(0, 50)
+        total: interactiveInfo.length,
+        buttons: interactiveInfo.filter(el => el.tag === 'button' || el.ariaRole === 'button').length,
+        links: interactiveInfo.filter(el => el.tag === 'a').slice(0, 30),
+        inputs: interactiveInfo.filter(el => ['input', 'textarea', 'select'].includes(el.tag)).slice(0, 20),
+        elements: interactiveInfo
       },
       forms: forms,
       navigation: navElements,
+      accessibilityTree,
       textContent: {
-        body: document.body.innerText.slice(0, 3000),
-        wordCount: document.body.innerText.split(/\s+/).length
+        body: bodyText.slice(0, 200000),
+        wordCount: bodyText.split(/\s+/).length
       },
       timestamp: Date.now()
     };
   }
 
-  executeTool(tool, params) {
-    const tools = {
-      click_element: (p) => this.findAndClick(p.description, p.selector),
-      fill_form: (p) => this.fillFormField(p.field_description, p.value, p.selector),
-      scroll_page: (p) => this.scrollPage(p.direction, p.amount),
-      find_text: (p) => this.findAndHighlight(p.query, p.case_sensitive),
-      extract_data: (p) => this.extractData(p.schema),
-      navigate: (p) => this.navigate(p.url)
-    };
-
-    const handler = tools[tool];
-    if (!handler) {
-      throw new Error(`Unknown tool: ${tool}`);
+  /**
+   * Visible text of the page. innerText skips shadow trees, so on pages with
+   * web components the text is collected from the rendered (flat) tree instead.
+   */
+  getPageText() {
+    if (!this.hasShadowRoots()) return document.body.innerText;
+    return this.collectPageText().text
+      .split('\0')
+      .map(collapseWhitespace)
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  hasShadowRoots() {
+    for (const el of composedElements(document.body)) {
+      if (el.shadowRoot) return true;
+    }
+    return false;
+  }
+
+  executeTool(tool, params) {
+    const tools = {
+      click_element: (p) => this.findAndClick(p.description, p.selector, p.ref),
+      fill_form: (p) => this.fillFormField(p.field_description, p.value, p.selector, p.ref, p.redact),
+      scroll_page: (p) => this.scrollPage(p.direction, p.amount, p.ref),
+      find_text: (p) => this.findAndHighlight(p.query, p.case_sensitive),
+      extract_data: (p) => this.extractData(p.schema),
+      extract_table: (p) => this.extractTable(p),
+      navigate: (p) => this.navigate(p.url),
+      wait_for: (p) => this.waitFor(p),
+      check: (p) => this.checkField(p.description, p.selector, p.ref, true),
+      uncheck: (p) => this.checkField(p.description, p.selector, p.ref, false),
+      choose_radio: (p) => this.chooseRadio(p.option, p.group, p.selector, p.ref),
+      hover: (p) => this.hoverElement(p.description, p.selector, p.ref),
+      press_key: (p) => this.pressKey(p.key, p.description, p.selector, p.ref),
+      focus: (p) => this.focusField(p.description, p.selector, p.ref),
+      clear: (p) => this.clearFormField(p.description, p.selector, p.ref),
+      submit_form: (p) => this.submitForm(p.description, p.selector, p.ref)
+    };
+
+    const handler = tools[tool];
+    if (!handler) {
+      throw new Error(`Unknown tool: ${tool}`);
+    }
+
+    return handler(params);
+  }
+
+  findAndClick(description, selector, ref) {
+    const { element, method, error } = this.locateElement(description, selector, ref);
+
+    if (error) return error;
+
+    if (!element) {
+      return { 
+        success: false, 
+        notFound: true,
+        error: `Could not find element matching: "${description}"`,
+        attempted: { description, selector }
+      };
+    }
+
+    if (!this.isVisible(element)) {
+      return {
+        success: false,
+        error: `Element found but not visible: "${description}"`,
+        element: this.describeElement(element)
+      };
+    }
+
+    // Scroll into view with smooth animation
+    element.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+    
+    // Visual feedback
+    this.flashElement(element);
+    
+    // Click with delay to allow scroll
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        try {
+          this.clickLikeUser(element);
+          resolve({
+            success: true,
+            method: method,
+            element: this.describeElement(element)
+          });
+        } catch (error) {
+          resolve({
+            success: false,
+            error: `Click failed: ${error.message}`,
+            element: this.describeElement(element)
+          });
+        }
+      }, 500);
+    });
+  }
+
+  async fillFormField(description, value, selector, ref, redact = false) {
+    const { element: input, method, error } = this.locateField(description, selector, ref);
+
+    if (error) return error;
+
+    if (!input) {
+      return {
+        success: false,
+        notFound: true,
+        error: `Could not find form field: "${description}"`
+      };
+    }
+
+    input.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    this.flashElement(input);
+    await sleep(300);
+
+    try {
+      const text = String(value ?? '');
+      const kind = this.fieldKind(input);
+      this.lastField = input;
+      if (redact) this.redactedFields.add(input);
+      else this.redactedFields.delete(input);
+      switch (kind) {
+        case 'select':
+          this.selectNativeOption(input, text);
+          break;
+        case 'checkbox':
+        case 'radio':
+          this.setChecked(input, TRUTHY_VALUES.test(text));
+          break;
+        case 'combobox':
+        case 'listbox':
+          await this.chooseListOption(input, text);
+          break;
+        default:
+          input.focus();
+          this.clearField(input);
+          await this.typeText(input, text);
+          input.dispatchEvent(new Event('change', { bubbles: true }));
+          // Many sites validate a text field when it loses focus
+          input.blur();
+      }
+
+      await sleep(VALIDATION_SETTLE_MS);
+      return {
+        success: true,
+        method: method,
+        field: {
+          tag: input.tagName,
+          name: input.name,
+          type: input.type,
+          value: redact ? undefined : this.fieldValue(input).slice(0, 50) // Truncate for privacy
+        },
+        validation: this.validationState(input)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * What the page says about a field's value: native constraint validation,
+   * aria-invalid, the messages the field points to (aria-errormessage,
+   * aria-describedby) and error text the site rendered next to it.
+   */
+  validationState(el) {
+    const errors = [];
+    // Browser messages like "Please include an '@' in …" quote the value
+    const hidden = this.redactedFields.has(el) && collapseWhitespace(this.fieldValue(el));
+    const add = text => {
+      let message = collapseWhitespace(text);
+      if (hidden) message = message.split(hidden).join('(hidden)');
+      message = message.slice(0, 200);
+      if (message && !errors.includes(message)) errors.push(message);
+    };
+
+    const nativeInvalid = !!(el.willValidate && el.validity && !el.validity.valid);
+    const ariaInvalid = ['true', 'grammar', 'spelling'].includes(el.getAttribute('aria-invalid'));
+    if (nativeInvalid) add(el.validationMessage || 'Invalid value');
+
+    const root = el.getRootNode();
+    const referenced = attribute => (el.getAttribute(attribute) || '').split(/\s+/)
+      .filter(Boolean)
+      .map(id => root.getElementById(id))
+      .filter(node => node && this.isVisible(node));
+
+    if (ariaInvalid) referenced('aria-errormessage').forEach(node => add(node.textContent));
+    // Descriptions are usually hints; they count once the field is invalid or they look like errors
+    referenced('aria-describedby')
+      .filter(node => nativeInvalid || ariaInvalid || node.matches(ERROR_SELECTOR))
+      .forEach(node => add(node.textContent));
+    this.nearbyErrors(el).forEach(add);
+
+    return {
+      valid: !nativeInvalid && !ariaInvalid && errors.length === 0,
+      errors,
+      failed: nativeInvalid ? VALIDITY_FLAGS.filter(flag => el.validity[flag]) : undefined
+    };
+  }
+
+  /**
+   * Visible error text inside the field's own wrapper: the largest ancestor,
+   * up to a few levels, that holds no other field.
+   */
+  nearbyErrors(el) {
+    let wrapper = null;
+    for (let node = composedParent(el), depth = 0; node && node !== document.body && depth < 4; node = composedParent(node), depth++) {
+      const others = deepQuerySelectorAll(FIELD_SELECTOR, node)
+        .filter(field => field !== el && field.type !== 'hidden' && !(el.name && field.name === el.name));
+      if (others.length > 0) break;
+      wrapper = node;
+    }
+    if (!wrapper) return [];
+
+    return deepQuerySelectorAll(ERROR_SELECTOR, wrapper)
+      .filter(node => !node.contains(el) && this.isVisible(node))
+      // Nested matches (an .error inside a [role=alert]) would repeat the same text
+      .filter((node, i, nodes) => !nodes.some(other => other !== node && other.contains(node)))
+      .map(node => node.textContent)
+      .filter(text => collapseWhitespace(text));
+  }
+
+  /**
+   * Submit a form the way pressing Enter or clicking its button would: through
+   * the submit button (so its click handlers run) or requestSubmit(), both of
+   * which apply the browser's constraint checks. Then report which fields the
+   * page considers invalid, and any alerts it shows, so the agent can correct
+   * them. The form is the one holding the target, the focused or last filled
+   * field, or the only form on the page.
+   */
+  async submitForm(description, selector, ref) {
+    let form = null;
+    let submitter = null;
+    let method = 'focus';
+
+    if (description || selector || ref) {
+      const result = this.locateTarget(this.locateElement(description, selector, ref), description || selector || ref);
+      if (result.error) return result.error;
+      const el = result.element;
+      form = el.tagName === 'FORM' ? el : el.form || el.closest('form');
+      if (el.matches('button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]')) submitter = el;
+      method = result.method;
+    } else {
+      const field = [this.activeElement(), this.lastField].find(el => el?.isConnected && (el.form || el.closest?.('form')));
+      form = field ? field.form || field.closest('form') : null;
+      if (!form) {
+        const visible = deepQuerySelectorAll('form').filter(candidate => this.isVisible(candidate));
+        form = visible.length === 1 ? visible[0] : null;
+        method = 'only form';
+      }
+    }
+
+    if (!form) {
+      return {
+        success: false,
+        notFound: true,
+        error: 'No form found. Name the form or a field in it, or click the submit button with click_element if the page has no <form>.'
+      };
+    }
+
+    submitter = submitter || form.querySelector('button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]');
+    let submitted = false;
+    const onSubmit = () => { submitted = true; };
+    form.addEventListener('submit', onSubmit, { capture: true });
+    try {
+      if (submitter) this.clickLikeUser(submitter);
+      else form.requestSubmit();
+    } finally {
+      form.removeEventListener('submit', onSubmit, { capture: true });
+    }
+
+    await sleep(SUBMIT_SETTLE_MS);
+
+    const fields = new Set([...Array.from(form.elements), ...deepQuerySelectorAll(FIELD_SELECTOR, form)]);
+    const invalidFields = Array.from(fields)
+      .filter(field => field.matches(FIELD_SELECTOR) && field.type !== 'hidden' && !field.disabled)
+      .map(field => ({ field, state: this.validationState(field) }))
+      .filter(({ state }) => !state.valid)
+      .map(({ field, state }) => ({
+        ref: this.refFor(field),
+        label: this.accessibleName(field, this.accessibleRole(field)) || field.name || null,
+        ...state
+      }));
+
+    const alerts = deepQuerySelectorAll('[role="alert"], [aria-live="assertive"]')
+      .filter(node => this.isVisible(node) && collapseWhitespace(node.textContent))
+      .map(node => collapseWhitespace(node.textContent).slice(0, 200))
+      .slice(0, 5);
+
+    return {
+      success: submitted && invalidFields.length === 0,
+      method,
+      submitted,
+      error: submitted ? undefined : 'The browser blocked submission because some fields are invalid',
+      invalidFields,
+      alerts
+    };
+  }
+
+  fieldKind(el) {
+    const role = el.getAttribute('role');
+    if (el.tagName === 'SELECT') return 'select';
+    if (el.type === 'checkbox' || role === 'checkbox' || role === 'switch') return 'checkbox';
+    if (el.type === 'radio' || role === 'radio') return 'radio';
+    if (role === 'combobox' || el.getAttribute('aria-haspopup') === 'listbox') return 'combobox';
+    if (role === 'listbox') return 'listbox';
+    return el.isContentEditable ? 'editable' : 'text';
+  }
+
+  fieldValue(el) {
+    if (el.isContentEditable) return collapseWhitespace(el.innerText);
+    if (el.tagName === 'SELECT') return el.selectedOptions[0]?.text || '';
+    if ('checked' in el && ['checkbox', 'radio'].includes(el.type)) return String(el.checked);
+    if (el.hasAttribute('aria-checked')) return el.getAttribute('aria-checked');
+    return String(el.value ?? el.textContent ?? '');
+  }
+
+  // Current values of the fields behind `refs`, for showing what a fill would change
+  readFields(refs = []) {
+    const values = {};
+    for (const ref of refs) {
+      const { element } = this.resolveRef(ref);
+      values[ref] = element ? this.fieldValue(element) : null;
+    }
+    return { values };
+  }
+
+  // The page's web links, once each and without their #fragment
+  getLinks() {
+    const links = new Map();
+    for (const a of deepQuerySelectorAll('a[href]')) {
+      if (links.size >= MAX_LINKS) break;
+      let url;
+      try {
+        url = new URL(a.href, location.href);
+      } catch {
+        continue;
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) continue;
+      url.hash = '';
+      if (!links.has(url.href)) links.set(url.href, collapseWhitespace(a.innerText || a.title || '').slice(0, 100));
+    }
+    return { links: Array.from(links, ([url, text]) => ({ url, text })) };
+  }
+
+  selectNativeOption(select, value) {
+    const wanted = value.toLowerCase();
+    const options = Array.from(select.options);
+    const option = options.find(opt => opt.text.trim().toLowerCase() === wanted || opt.value.toLowerCase() === wanted)
+      || options.find(opt => opt.text.toLowerCase().includes(wanted) || opt.value.toLowerCase().includes(wanted));
+    if (!option) {
+      throw new Error(`Option "${value}" not found in dropdown`);
+    }
+    select.focus();
+    setNativeValue(select, option.value);
+    select.dispatchEvent(new Event('input', { bubbles: true }));
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  /**
+   * Type `text` the way a user does: for each key a keydown, keypress, the
+   * edit (with beforeinput/input events) and a keyup, so controlled inputs in
+   * React, Vue or Angular see every change. Texts longer than
+   * TYPED_CHARS_LIMIT have the remainder inserted in one go.
+   */
+  async typeText(el, text) {
+    const keyed = Array.from(text).slice(0, TYPED_CHARS_LIMIT);
+
+    if (el.tagName === 'INPUT' && !KEYED_INPUT_TYPES.has(el.type)) {
+      for (const key of keyed) el.dispatchEvent(keyEvent('keydown', key));
+      setNativeValue(el, text);
+      el.dispatchEvent(new InputEvent('input', { inputType: 'insertText', data: text, bubbles: true, composed: true }));
+      for (const key of keyed) el.dispatchEvent(keyEvent('keyup', key));
+      return;
+    }
+
+    for (const char of keyed) {
+      const key = char === '\n' ? 'Enter' : char;
+      const down = keyEvent('keydown', key);
+      el.dispatchEvent(down);
+      if (!down.defaultPrevented) {
+        el.dispatchEvent(keyEvent('keypress', key));
+        this.insertText(el, char);
+      }
+      el.dispatchEvent(keyEvent('keyup', key));
+      await sleep(TYPING_DELAY);
+    }
+
+    const rest = Array.from(text).slice(TYPED_CHARS_LIMIT).join('');
+    if (rest) this.insertText(el, rest);
+  }
+
+  // Insert at the caret, replacing any selection
+  insertText(el, text) {
+    if (el.isContentEditable) {
+      // execCommand goes through the editor's own input handling and undo stack
+      if (document.execCommand('insertText', false, text)) return;
+
+      const selection = window.getSelection();
+      if (!selection.rangeCount || !el.contains(selection.anchorNode)) {
+        selection.selectAllChildren(el);
+        selection.collapseToEnd();
+      }
+      const range = selection.getRangeAt(0);
+      range.deleteContents();
+      range.insertNode(document.createTextNode(text));
+      range.collapse(false);
+      el.dispatchEvent(new InputEvent('input', { inputType: 'insertText', data: text, bubbles: true, composed: true }));
+      return;
+    }
+
+    const beforeInput = new InputEvent('beforeinput', { inputType: 'insertText', data: text, bubbles: true, cancelable: true, composed: true });
+    if (!el.dispatchEvent(beforeInput)) return;
+
+    // Inputs like email and number have no selection API
+    const value = String(el.value ?? '');
+    const start = el.selectionStart ?? value.length;
+    const end = el.selectionEnd ?? value.length;
+    setNativeValue(el, value.slice(0, start) + text + value.slice(end));
+    try {
+      el.setSelectionRange(start + text.length, start + text.length);
+    } catch {
+      // Not supported for this input type
+    }
+    el.dispatchEvent(new InputEvent('input', { inputType: 'insertText', data: text, bubbles: true, composed: true }));
+  }
+
+  clearField(el) {
+    if (el.isContentEditable) {
+      el.focus();
+      window.getSelection().selectAllChildren(el);
+      if (!document.execCommand('delete')) {
+        el.textContent = '';
+        el.dispatchEvent(new InputEvent('input', { inputType: 'deleteContentBackward', bubbles: true, composed: true }));
+      }
+      return;
+    }
+    if (!('value' in el) || !el.value) return;
+
+    setNativeValue(el, '');
+    el.dispatchEvent(new InputEvent('input', { inputType: 'deleteContentBackward', bubbles: true, composed: true }));
+  }
+
+  // Toggle by clicking, as a user would, so the page's own handlers run
+  setChecked(el, checked) {
+    const isChecked = () => ('checked' in el && el.type ? el.checked : el.getAttribute('aria-checked') === 'true');
+    if (isChecked() === checked) return;
+
+    if (!checked && (el.type === 'radio' || el.getAttribute('role') === 'radio')) {
+      throw new Error('A radio button can\'t be unchecked; choose another option in its group instead');
+    }
+    this.clickLikeUser(el);
+    if (isChecked() !== checked) {
+      throw new Error(`Clicking did not ${checked ? 'check' : 'uncheck'} the element; it may be disabled or controlled by another element`);
+    }
+  }
+
+  /**
+   * Pick `value` in a custom dropdown: type into editable comboboxes to filter
+   * them, click the others open, then click the matching option once it shows.
+   */
+  async chooseListOption(el, value) {
+    if (this.fieldKind(el) === 'combobox') {
+      if (el.tagName === 'INPUT' || el.isContentEditable) {
+        el.focus();
+        this.clearField(el);
+        await this.typeText(el, value);
+      } else {
+        this.clickLikeUser(el);
+      }
+    }
+
+    const option = await this.pollFor(() => this.findListOption(el, value), OPTION_WAIT_TIMEOUT);
+    if (!option) {
+      throw new Error(`No option matching "${value}" appeared in the list`);
+    }
+    option.scrollIntoView({ block: 'nearest' });
+    this.clickLikeUser(option);
+  }
+
+  // Visible options of a listbox, or of the list a combobox controls (any open list if it doesn't say)
+  findListOption(el, value) {
+    let lists = [el];
+    if (this.fieldKind(el) === 'combobox') {
+      const ids = `${el.getAttribute('aria-controls') || ''} ${el.getAttribute('aria-owns') || ''}`.split(/\s+/).filter(Boolean);
+      lists = ids.map(id => el.getRootNode().getElementById(id)).filter(Boolean);
+    }
+
+    const options = (lists.length > 0
+      ? lists.flatMap(list => deepQuerySelectorAll('[role="option"]', list))
+      : deepQuerySelectorAll('[role="option"]'))
+      .filter(option => this.isVisible(option) && option.getAttribute('aria-disabled') !== 'true');
+
+    const wanted = collapseWhitespace(value).toLowerCase();
+    const name = option => this.accessibleName(option, 'option').toLowerCase();
+    return options.find(option => name(option) === wanted)
+      || options.find(option => name(option).includes(wanted))
+      || null;
+  }
+
+  async pollFor(find, timeout, interval = 100) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const found = find();
+      if (found || Date.now() >= deadline) return found || null;
+      await sleep(interval);
+    }
+  }
+
+  // Pointer and mouse events before the click, for widgets that act on mousedown
+  clickLikeUser(el) {
+    this.dispatchPointer(el, ['pointerdown', 'mousedown', 'pointerup', 'mouseup']);
+    el.click();
+  }
+
+  dispatchPointer(el, types) {
+    const rect = el.getBoundingClientRect();
+    const init = {
+      cancelable: true,
+      composed: true,
+      view: window,
+      button: 0,
+      clientX: rect.left + rect.width / 2,
+      clientY: rect.top + rect.height / 2,
+      pointerType: 'mouse',
+      isPrimary: true
+    };
+    for (const type of types) {
+      const EventType = type.startsWith('pointer') && typeof PointerEvent === 'function' ? PointerEvent : MouseEvent;
+      // enter/leave events don't bubble
+      el.dispatchEvent(new EventType(type, { ...init, bubbles: !type.endsWith('enter') && !type.endsWith('leave') }));
+    }
+  }
+
+  // Resolve a tool's target element, or the failed result explaining why not
+  locateTarget({ element, method, error }, description) {
+    if (error) return { error };
+    if (!element) {
+      return { error: { success: false, notFound: true, error: `Could not find element matching: "${description}"` } };
+    }
+    return { element, method };
+  }
+
+  checkField(description, selector, ref, checked) {
+    const { element, method, error } = this.locateTarget(this.locateField(description, selector, ref), description);
+    if (error) return error;
+
+    try {
+      this.setChecked(element, checked);
+    } catch (err) {
+      return { success: false, error: err.message, element: this.describeElement(element) };
+    }
+    this.flashElement(element);
+    return { success: true, method, checked, element: this.describeElement(element) };
+  }
+
+  /**
+   * Find a radio button by its label (`option`), optionally within a group
+   * named by its fieldset legend, radiogroup label or input name.
+   */
+  findRadio(option, group, selector, ref) {
+    if (ref || selector) return this.locateField(option, selector, ref);
+
+    const wantedGroup = group?.toLowerCase();
+    const radios = deepQuerySelectorAll('input[type="radio"], [role="radio"]').filter(radio => {
+      if (!wantedGroup) return true;
+      const container = radio.closest('fieldset, [role="radiogroup"]');
+      const groupName = `${radio.name || ''} ${container ? this.accessibleName(container, 'group') : ''}`;
+      return groupName.toLowerCase().includes(wantedGroup);
+    });
+
+    const wanted = collapseWhitespace(option).toLowerCase();
+    const name = radio => this.accessibleName(radio, 'radio').toLowerCase();
+    const element = radios.find(radio => name(radio) === wanted)
+      || radios.find(radio => radio.value?.toLowerCase() === wanted)
+      || radios.find(radio => name(radio).includes(wanted))
+      || null;
+    return { element, method: 'label' };
+  }
+
+  chooseRadio(option, group, selector, ref) {
+    const { element, method, error } = this.locateTarget(this.findRadio(option, group, selector, ref), option);
+    if (error) return error;
+
+    try {
+      this.setChecked(element, true);
+    } catch (err) {
+      return { success: false, error: err.message, element: this.describeElement(element) };
+    }
+    this.flashElement(element);
+    return { success: true, method, group: element.name || null, element: this.describeElement(element) };
+  }
+
+  hoverElement(description, selector, ref) {
+    const { element, method, error } = this.locateTarget(this.locateElement(description, selector, ref), description);
+    if (error) return error;
+
+    element.scrollIntoView({ behavior: 'instant', block: 'center' });
+    this.dispatchPointer(element, ['pointerover', 'pointerenter', 'mouseover', 'mouseenter', 'pointermove', 'mousemove']);
+    return {
+      success: true,
+      method,
+      element: this.describeElement(element),
+      note: 'Script hover handlers ran; pure CSS :hover effects cannot be triggered'
+    };
+  }
+
+  focusField(description, selector, ref) {
+    const located = this.locateField(description, selector, ref);
+    const { element, method, error } = this.locateTarget(
+      located.element || located.error ? located : this.locateElement(description, selector, ref),
+      description
+    );
+    if (error) return error;
+
+    element.focus();
+    const focused = element.getRootNode().activeElement === element;
+    return {
+      success: focused,
+      method,
+      element: this.describeElement(element),
+      error: focused ? undefined : 'The element did not take focus; it may not be focusable'
+    };
+  }
+
+  clearFormField(description, selector, ref) {
+    const { element, method, error } = this.locateTarget(this.locateField(description, selector, ref), description);
+    if (error) return error;
+
+    element.focus();
+    this.clearField(element);
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    this.flashElement(element);
+    return { success: true, method, element: this.describeElement(element) };
+  }
+
+  /**
+   * Press a key or shortcut ("Enter", "Shift+Tab", "Control+a") on an element
+   * or on whatever has focus. Synthetic key events don't trigger the browser's
+   * defaults, so the common ones are carried out here: Enter submits forms and
+   * activates buttons and links, Tab moves focus, Space toggles controls,
+   * Ctrl/Cmd+A selects a field's text, and printable keys type into fields.
+   */
+  pressKey(combo, description, selector, ref) {
+    const { key, modifiers } = parseKeyCombo(combo || '');
+    if (!key) return { success: false, error: 'A key is required, e.g. "Enter" or "Control+a"' };
+
+    let target = this.activeElement();
+    let method = 'focus';
+    if (description || selector || ref) {
+      const located = this.locateField(description, selector, ref);
+      const result = this.locateTarget(
+        located.element || located.error ? located : this.locateElement(description, selector, ref),
+        description
+      );
+      if (result.error) return result.error;
+      ({ element: target, method } = result);
+      target.focus();
+    }
+
+    const down = keyEvent('keydown', key, modifiers);
+    target.dispatchEvent(down);
+    let effect = null;
+    if (!down.defaultPrevented) {
+      if (key.length === 1 || key === 'Enter') target.dispatchEvent(keyEvent('keypress', key, modifiers));
+      effect = this.keyDefault(target, key, modifiers);
+    }
+    target.dispatchEvent(keyEvent('keyup', key, modifiers));
+
+    return {
+      success: true,
+      key: combo,
+      method,
+      target: this.describeElement(target),
+      effect,
+      prevented: down.defaultPrevented || undefined
+    };
+  }
+
+  // The browser behaviour a real key press would have had
+  keyDefault(target, key, { ctrlKey, shiftKey, altKey, metaKey }) {
+    const editable = target.isContentEditable || (['INPUT', 'TEXTAREA'].includes(target.tagName) && !['checkbox', 'radio', 'button', 'submit', 'reset'].includes(target.type));
+    const activates = target.matches('button, a[href], summary, [role="button"], [role="link"], [role="menuitem"], [role="tab"], input[type="submit"], input[type="button"]');
+
+    if ((ctrlKey || metaKey) && key.toLowerCase() === 'a' && editable) {
+      if (target.isContentEditable) window.getSelection().selectAllChildren(target);
+      else target.select?.();
+      return 'selected all text';
+    }
+    if (ctrlKey || metaKey || altKey) return null;
+
+    if (key === 'Enter') {
+      if (target.tagName === 'TEXTAREA' || target.isContentEditable) {
+        this.insertText(target, '\n');
+        return 'inserted a line break';
+      }
+      if (activates) {
+        target.click();
+        return 'clicked';
+      }
+      if (editable && target.form) {
+        // Implicit submission goes through the default button, like the browser does
+        const submitter = target.form.querySelector('button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]');
+        if (submitter) submitter.click();
+        else target.form.requestSubmit();
+        return 'submitted the form';
+      }
+      return null;
+    }
+    if (key === 'Tab') {
+      const next = this.moveFocus(target, shiftKey ? -1 : 1);
+      return next ? `moved focus to ${next.tagName.toLowerCase()}${next.id ? `#${next.id}` : ''}` : null;
+    }
+    if (key === ' ' && !editable && (activates || ['checkbox', 'radio'].includes(this.fieldKind(target)))) {
+      target.click();
+      return 'clicked';
+    }
+    if (key.length === 1 && editable) {
+      this.insertText(target, key);
+      return 'typed';
+    }
+    if (key === 'Backspace' && editable && !target.isContentEditable && target.value) {
+      const value = target.value;
+      const start = target.selectionStart ?? value.length;
+      const end = target.selectionEnd ?? value.length;
+      const from = start === end ? Math.max(0, start - 1) : start;
+      setNativeValue(target, value.slice(0, from) + value.slice(end));
+      target.dispatchEvent(new InputEvent('input', { inputType: 'deleteContentBackward', bubbles: true, composed: true }));
+      return 'deleted';
+    }
+    return null;
+  }
+
+  // Next focusable element in tab order (positive tabindex first, then document order)
+  moveFocus(from, direction) {
+    const focusable = deepQuerySelectorAll(FOCUSABLE_SELECTOR)
+      .filter(el => el.tabIndex >= 0 && !el.disabled && this.isVisible(el));
+    const order = [
+      ...focusable.filter(el => el.tabIndex > 0).sort((a, b) => a.tabIndex - b.tabIndex),
+      ...focusable.filter(el => el.tabIndex === 0)
+    ];
+    if (order.length === 0) return null;
+
+    const index = order.indexOf(from);
+    const next = order[index === -1 ? (direction > 0 ? 0 : order.length - 1) : (index + direction + order.length) % order.length];
+    next.focus();
+    return next;
+  }
+
+  // The focused element, looking inside shadow roots
+  activeElement() {
+    let active = document.activeElement;
+    while (active?.shadowRoot?.activeElement) active = active.shadowRoot.activeElement;
+    return active || document.body;
+  }
+
+  // Scrolls the window, or the scrollable element behind `ref` (a feed or list pane)
+  scrollPage(direction, amount = 500, ref) {
+    const scrollOptions = { behavior: 'smooth' };
+    let target = window;
+    if (ref) {
+      const { element, error } = this.resolveRef(ref);
+      if (error) return error;
+      target = element;
+    }
+    const height = target === window ? document.body.scrollHeight : target.scrollHeight;
+
+    switch (direction) {
+      case 'up':
+        target.scrollBy({ top: -amount, ...scrollOptions });
+        break;
+      case 'down':
+        target.scrollBy({ top: amount, ...scrollOptions });
+        break;
+      case 'top':
+        target.scrollTo({ top: 0, ...scrollOptions });
+        break;
+      case 'bottom':
+        target.scrollTo({ top: height, ...scrollOptions });
+        break;
+      default:
+        throw new Error(`Unknown direction: ${direction}`);
+    }
+
+    return {
+      success: true,
+      direction: direction,
+      newPosition: target === window ? window.scrollY : target.scrollTop,
+      maxScroll: height - (target === window ? window.innerHeight : target.clientHeight)
+    };
+  }
+
+  /**
+   * How the list of `itemSelector` items goes on, for extract_all_pages: a
+   * link or button to the next page (rel=next, a "Next" control, or the number
+   * after the current one in a paginator), else a "Load more" button, else the
+   * element that scrolls the items, for infinite scroll. Next links outside a
+   * paginator only count when they are real links, since "Next" buttons
+   * elsewhere are mostly carousels.
+   */
+  findPagination(itemSelector) {
+    const itemCount = itemSelector ? deepQuerySelectorAll(itemSelector).length : 0;
+    const found = next => ({ success: true, itemCount, next, scroll: null });
+    const label = el => collapseWhitespace(el.getAttribute('aria-label') || el.innerText || el.value || el.title || '');
+    const usable = el => this.isVisible(el) && !el.disabled && el.getAttribute('aria-disabled') !== 'true'
+      && !/\bdisabled\b/i.test(el.getAttribute('class') || '');
+    // Links that only run script ("#", javascript:) have no URL to go to and are clicked like buttons
+    const pageUrl = el => {
+      const url = el.href ? new URL(el.href, location.href) : null;
+      const real = url && /^https?:$/.test(url.protocol) && url.href.split('#')[0] !== location.href.split('#')[0];
+      return real ? url.href : null;
+    };
+    const control = (el, kind) => ({ kind, ref: el.tagName === 'LINK' ? null : this.refFor(el), text: label(el).slice(0, 60), href: pageUrl(el) });
+
+    const relNext = deepQuerySelectorAll('a[rel~="next"], link[rel~="next"]').find(el => el.tagName === 'LINK' || usable(el));
+    if (relNext) return found(control(relNext, 'next'));
+
+    const paginators = deepQuerySelectorAll(PAGINATION_SELECTOR);
+    const inPaginators = [...new Set(paginators.flatMap(p => deepQuerySelectorAll(PAGINATION_CONTROL_SELECTOR, p)))].filter(usable);
+    const next = inPaginators.find(el => NEXT_LABEL.test(label(el)))
+      || deepQuerySelectorAll('a[href]').find(el => usable(el) && NEXT_LABEL.test(label(el)) && pageUrl(el));
+    if (next) return found(control(next, 'next'));
+
+    // Numbered paginators: the page after the one marked as current
+    const isCurrent = el => el.getAttribute('aria-current') === 'page'
+      || /\b(active|current|selected)\b/i.test(`${el.getAttribute('class') || ''} ${el.parentElement?.getAttribute('class') || ''}`);
+    const current = paginators
+      .flatMap(p => deepQuerySelectorAll(PAGE_NUMBER_SELECTOR, p))
+      .find(el => /^\d+$/.test(label(el)) && isCurrent(el));
+    const numbered = current && inPaginators.find(el => label(el) === String(Number(label(current)) + 1));
+    if (numbered) return found(control(numbered, 'numbered'));
+
+    const loadMore = deepQuerySelectorAll(PAGINATION_CONTROL_SELECTOR).find(el => usable(el) && LOAD_MORE_LABEL.test(label(el)));
+    if (loadMore) return found(control(loadMore, 'load_more'));
+
+    const items = itemSelector ? deepQuerySelectorAll(itemSelector) : [];
+    const container = items.length > 0 ? this.scrollableAncestor(items[items.length - 1]) : null;
+    const scroller = container || document.scrollingElement || document.documentElement;
+    return {
+      success: true,
+      itemCount,
+      next: null,
+      scroll: {
+        ref: container ? this.refFor(container) : null,
+        atEnd: scroller.scrollTop + scroller.clientHeight >= scroller.scrollHeight - 2
+      }
+    };
+  }
+
+  // The nearest ancestor that scrolls on its own, or null when the page itself scrolls
+  scrollableAncestor(el) {
+    for (let node = composedParent(el); node && node !== document.documentElement && node !== document.body; node = composedParent(node)) {
+      const { overflowY } = getComputedStyle(node);
+      if (/auto|scroll|overlay/.test(overflowY) && node.scrollHeight > node.clientHeight + 1) return node;
+    }
+    return null;
+  }
+
+  /**
+   * Highlight every occurrence of `query` without touching the page's markup.
+   * Matches are Ranges over the page text, so they can span several elements;
+   * they are painted with the CSS Custom Highlight API, or by wrapping the
+   * matched text nodes in <mark> where that API is missing. Whitespace in the
+   * query matches any run of whitespace on the page.
+   */
+  findAndHighlight(query, caseSensitive = false) {
+    this.clearHighlights();
+
+    if (!query || query.trim().length < 2) {
+      return { success: false, error: 'Query too short' };
+    }
+
+    const pattern = query.trim().split(/\s+/).map(part => this.escapeRegex(part)).join('\\s+');
+    const regex = new RegExp(pattern, caseSensitive ? 'g' : 'gi');
+    const { text, segments } = this.collectPageText();
+
+    const matches = [];
+    let match;
+    while ((match = regex.exec(text)) && matches.length < MAX_FIND_MATCHES) {
+      const range = this.rangeForOffsets(segments, match.index, match.index + match[0].length);
+      // Context is read now; wrapping in marks later moves the range boundaries
+      if (range) matches.push({ range, text: this.matchContext(range) });
+    }
+
+    this.findMatches = matches;
+    this.findQuery = query;
+    const summary = matches.slice(0, 10).map(({ range, text: context }) => ({
+      text: context,
+      element: this.describeElement(range.commonAncestorContainer.nodeType === Node.ELEMENT_NODE
+        ? range.commonAncestorContainer
+        : range.commonAncestorContainer.parentElement)
+    }));
+
+    this.paintHighlights();
+    if (matches.length > 0) this.selectFindMatch(0);
+
+    return {
+      success: true,
+      count: matches.length,
+      current: matches.length > 0 ? 1 : 0,
+      query,
+      matches: summary
+    };
+  }
+
+  /**
+   * Visible page text as one string, with the text node behind each part.
+   * Text from different blocks is separated by a NUL character that belongs to
+   * no node and that no query matches, so a match can't join the end of one
+   * paragraph to the next.
+   */
+  collectPageText() {
+    const segments = [];
+    let text = '';
+    let lastBlock = null;
+    const visibility = new Map();
+    const blocks = new Map();
+
+    const isVisible = (el) => {
+      if (!visibility.has(el)) visibility.set(el, el.checkVisibility ? el.checkVisibility() : true);
+      return visibility.get(el);
+    };
+
+    // Walk the rendered tree so text inside open shadow roots is included
+    const walk = (node) => {
+      for (const child of composedChildren(node)) {
+        if (child.nodeType === Node.ELEMENT_NODE) {
+          if (!['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA'].includes(child.tagName)) walk(child);
+          continue;
+        }
+        if (child.nodeType !== Node.TEXT_NODE || child.data.length === 0) continue;
+
+        const parent = composedParent(child);
+        if (!parent || !isVisible(parent)) continue;
+
+        const block = this.blockAncestor(parent, blocks);
+        if (lastBlock && block !== lastBlock) text += '\0';
+        lastBlock = block;
+        segments.push({ node: child, start: text.length });
+        text += child.data;
+      }
+    };
+    walk(document.body);
+
+    return { text, segments };
+  }
+
+  blockAncestor(el, cache = new Map()) {
+    if (!el || el === document.body) return document.body;
+    if (!cache.has(el)) {
+      const display = window.getComputedStyle(el).display;
+      const inline = display.startsWith('inline') || display === 'contents';
+      cache.set(el, inline ? this.blockAncestor(composedParent(el), cache) : el);
+    }
+    return cache.get(el);
+  }
+
+  // Map offsets in collectPageText() output back to a Range
+  rangeForOffsets(segments, start, end) {
+    const locate = (offset, isEnd) => {
+      let low = 0;
+      let high = segments.length - 1;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (segments[mid].start <= offset - (isEnd ? 1 : 0)) low = mid;
+        else high = mid - 1;
+      }
+      const segment = segments[low];
+      const local = offset - segment.start;
+      // Offsets inside a block separator belong to no node
+      if (local < 0 || local > segment.node.data.length || (!isEnd && local === segment.node.data.length)) return null;
+      return { node: segment.node, offset: local };
+    };
+
+    const from = locate(start, false);
+    const to = locate(end, true);
+    // A range can't cross into or out of a shadow root
+    if (!from || !to || from.node.getRootNode() !== to.node.getRootNode()) return null;
+
+    const range = document.createRange();
+    range.setStart(from.node, from.offset);
+    range.setEnd(to.node, to.offset);
+    return range;
+  }
+
+  matchContext(range) {
+    const container = range.startContainer;
+    const before = container.data.slice(Math.max(0, range.startOffset - 30), range.startOffset);
+    return `${before}${range.toString()}`.replace(/\s+/g, ' ').trim().slice(0, 100);
+  }
+
+  paintHighlights() {
+    // Page styles don't reach into shadow trees, so matches there need their own copy
+    new Set(this.findMatches.map(m => m.range.startContainer.getRootNode()))
+      .forEach(root => this.injectStyles(root));
+
+    if (window.CSS?.highlights && typeof Highlight === 'function') {
+      CSS.highlights.set('ai-assistant-find', new Highlight(...this.findMatches.map(m => m.range)));
+      return;
+    }
+
+    // Fallback: wrap matched text in <mark>, last match first so earlier ranges stay valid
+    for (let i = this.findMatches.length - 1; i >= 0; i--) {
+      this.highlights.unshift(...this.wrapRange(this.findMatches[i].range, i));
+    }
+  }
+
+  /**
+   * Wrap the text of `range` in marks by splitting the text nodes it covers.
+   * Each split is recorded so clearHighlights() can merge the pieces back into
+   * the original node instead of normalizing (and replacing) page nodes.
+   */
+  wrapRange(range, index) {
+    const nodes = [];
+    const walker = document.createTreeWalker(range.commonAncestorContainer, NodeFilter.SHOW_TEXT);
+    walker.currentNode = range.startContainer;
+    for (let node = range.startContainer; node; node = walker.nextNode()) {
+      if (node.nodeType === Node.TEXT_NODE) nodes.push(node);
+      if (node === range.endContainer) break;
+    }
+
+    const wrapped = [];
+    nodes.reverse().forEach(node => {
+      const start = node === range.startContainer ? range.startOffset : 0;
+      const end = node === range.endContainer ? range.endOffset : node.data.length;
+      if (end <= start) return;
+
+      const middle = node.splitText(start);
+      const tail = middle.splitText(end - start);
+      const mark = document.createElement('mark');
+      mark.className = 'ai-assistant-highlight';
+      mark.dataset.aiMatch = index;
+      middle.replaceWith(mark);
+      mark.appendChild(middle);
+      wrapped.push({ mark, head: node, middle, tail });
+    });
+    return wrapped;
+  }
+
+  selectFindMatch(index) {
+    const count = this.findMatches?.length || 0;
+    if (count === 0) return { success: false, count: 0, current: 0 };
+
+    this.findIndex = ((index % count) + count) % count;
+    const { range, text } = this.findMatches[this.findIndex];
+
+    if (window.CSS?.highlights && typeof Highlight === 'function') {
+      CSS.highlights.set('ai-assistant-find-current', new Highlight(range));
+    } else {
+      deepQuerySelectorAll('.ai-assistant-highlight-current').forEach(mark => {
+        mark.classList.remove('ai-assistant-highlight-current');
+      });
+      deepQuerySelectorAll(`mark[data-ai-match="${this.findIndex}"]`).forEach(mark => {
+        mark.classList.add('ai-assistant-highlight-current');
+      });
+    }
+
+    const target = deepQuerySelector(`mark[data-ai-match="${this.findIndex}"]`) || composedParent(range.startContainer);
+    target?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    return { success: true, count, current: this.findIndex + 1, query: this.findQuery, text };
+  }
+
+  stepFindMatch(direction = 1) {
+    return this.selectFindMatch((this.findIndex ?? -1) + (direction < 0 ? -1 : 1));
+  }
+
+  /**
+   * Extract fields described by `schema`. Each field may give a `selector`
+   * (relative to the parent for nested `fields`), `multiple`, and either
+   * `attribute`/`transform` or an `expression` in the ExtractExpression
+   * language. Errors are reported per field.
+   */
+  extractData(schema, root = document) {
+    const data = {};
+
+    for (const [key, config] of Object.entries(schema || {})) {
+      try {
+        data[key] = this.extractField(config, root);
+      } catch (error) {
+        data[key] = { error: error.message };
+      }
+    }
+
+    return { success: true, data };
+  }
+
+  extractField(config, root) {
+    if (config.evaluate !== undefined) {
+      // Page-controlled text reaches the model, so model-written code must never run here
+      throw new Error('"evaluate" is not supported; use "expression" instead, e.g. "find(\'.price\') | text | number"');
+    }
+
+    const stages = config.expression ? ExtractExpression.parse(config.expression) : null;
+    const elements = config.selector
+      ? deepQuerySelectorAll(config.selector, root)
+      : [root === document ? document.documentElement : root];
+
+    const extractOne = (el) => {
+      if (!el) return null;
+      if (config.fields) return this.extractData(config.fields, el).data;
+      if (stages) return ExtractExpression.evaluate(stages, el);
+      return this.extractValue(el, config.attribute, config.transform);
+    };
+
+    return config.multiple ? elements.map(extractOne) : extractOne(elements[0]);
+  }
+
+  /**
+   * Read a <table> or ARIA grid into row objects keyed by column name. Spans
+   * are expanded so every row has every column; header rows come from
+   * <thead>, rows of header cells, or else a first row that looks like one.
+   * Columns whose cells are all numbers, amounts in one currency or
+   * percentages become numbers; codes with leading zeros stay text. Without
+   * a target the biggest table on the page is read, and the others are
+   * listed so the model can ask for one of them.
+   */
+  extractTable({ description, selector, ref, max_rows: maxRows } = {}) {
+    const tables = deepQuerySelectorAll(TABLE_SELECTOR).filter(table => this.isVisible(table));
+    let table;
+
+    if (ref || selector) {
+      const { element, error } = this.locateTarget(this.locateElement(description, selector, ref), selector || ref);
+      if (error) return error;
+      for (let node = element; node && !table; node = composedParent(node)) {
+        if (node.matches(TABLE_SELECTOR)) table = node;
+      }
+      table ||= deepQuerySelector(TABLE_SELECTOR, element);
+    } else if (description) {
+      // The table whose caption, label, nearby heading or headers share the most words with the description
+      const words = description.toLowerCase().split(/\W+/).filter(word => word.length > 2);
+      const score = candidate => {
+        const text = `${this.tableLabel(candidate)} ${this.tableGrid(candidate).slice(0, 2).flat().map(slot => slot?.text).join(' ')}`.toLowerCase();
+        return words.filter(word => text.includes(word)).length;
+      };
+      table = tables.map(candidate => ({ candidate, score: score(candidate) }))
+        .sort((a, b) => b.score - a.score)
+        .find(({ score }) => score > 0)?.candidate;
+    } else {
+      table = tables
+        .map(candidate => ({ candidate, size: this.tableGrid(candidate).reduce((sum, row) => sum + row.length, 0) }))
+        .sort((a, b) => b.size - a.size)[0]?.candidate;
+    }
+
+    if (!table) {
+      return {
+        success: false,
+        notFound: true,
+        error: tables.length ? `No table matches "${description || selector || ref}"` : 'There are no tables on this page'
+      };
+    }
+
+    const grid = this.tableGrid(table);
+    const headerCount = this.headerRowCount(table, grid);
+    const width = Math.min(Math.max(0, ...grid.map(row => row.length)), MAX_TABLE_COLUMNS);
+    const columns = this.tableColumns(grid.slice(0, headerCount), width);
+
+    // Rows made only of header cells inside the body are repeated headers or section titles
+    const bodyRows = grid.slice(headerCount)
+      .filter(row => row.some(slot => slot?.text) && !row.every(slot => !slot || slot.header));
+    const limit = Math.min(Math.max(Math.round(maxRows) || DEFAULT_TABLE_ROWS, 1), MAX_TABLE_ROWS);
+    const values = bodyRows.slice(0, limit).map(row => columns.map((column, c) => row[c]?.text ?? null));
+
+    const decimalSeparator = pageDecimalSeparator();
+    columns.forEach((column, c) => {
+      const cells = values.map(row => row[c]).filter(text => text && !MISSING_VALUE.test(text));
+      const numbers = cells.map(text => parseCellNumber(text, decimalSeparator));
+      // Codes like ZIPs and ids stay text, and so do amounts in several currencies
+      if (cells.length === 0 || numbers.some(number => !number || number.lossy)) return;
+      const currencies = [...new Set(numbers.map(number => number.currency).filter(Boolean))];
+      if (currencies.length > 1) return;
+
+      column.type = currencies.length ? 'currency' : numbers.every(number => number.percent) ? 'percent' : 'number';
+      if (currencies.length === 1) column.currency = currencies[0];
+      for (const row of values) {
+        row[c] = row[c] && !MISSING_VALUE.test(row[c]) ? parseCellNumber(row[c], decimalSeparator).value : null;
+      }
+    });
+
+    return {
+      success: true,
+      ref: this.refFor(table),
+      caption: this.tableLabel(table) || null,
+      columns,
+      rows: values.map(row => Object.fromEntries(columns.map((column, c) => [column.name, row[c]]))),
+      rowCount: bodyRows.length,
+      truncated: bodyRows.length > limit,
+      otherTables: tables.filter(other => other !== table).slice(0, 10).map(other => ({
+        ref: this.refFor(other),
+        caption: this.tableLabel(other) || null,
+        rows: this.tableGrid(other).length
+      }))
+    };
+  }
+
+  // Caption or label of a table, else the heading just before it
+  tableLabel(table) {
+    const name = collapseWhitespace(this.accessibleName(table, table.getAttribute('role') || 'table'));
+    if (name) return name;
+    for (let node = table, depth = 0; node && depth < 3; node = node.parentElement, depth++) {
+      for (let prev = node.previousElementSibling; prev; prev = prev.previousElementSibling) {
+        if (/^H[1-6]$/.test(prev.tagName)) return collapseWhitespace(prev.textContent);
+        if (prev.matches(TABLE_SELECTOR) || prev.querySelector(TABLE_SELECTOR)) return '';
+      }
+    }
+    return '';
+  }
+
+  /**
+   * The table as a grid of slots, `{ text, header }` each, with colspan and
+   * rowspan (or their ARIA forms) copied into every position they cover.
+   * Rows and cells of nested tables are left to those tables.
+   */
+  tableGrid(table) {
+    const native = table.tagName === 'TABLE';
+    const rows = native
+      ? Array.from(table.rows)
+      : deepQuerySelectorAll('[role="row"]', table).filter(row => row.parentElement?.closest(TABLE_SELECTOR) === table);
+    const cellsOf = row => native
+      ? Array.from(row.cells)
+      : deepQuerySelectorAll(ARIA_CELL_SELECTOR, row).filter(cell => cell.parentElement?.closest('[role="row"]') === row);
+
+    const grid = rows.map(() => []);
+    rows.forEach((row, r) => {
+      let c = 0;
+      for (const cell of cellsOf(row)) {
+        while (grid[r][c]) c++;
+        // Virtualized grids say where a cell belongs; a gap can't be wider than a span
+        const colIndex = Math.min(Number(cell.getAttribute('aria-colindex')) || 0, c + 1 + MAX_TABLE_SPAN);
+        if (colIndex > c + 1) c = colIndex - 1;
+        if (c >= MAX_TABLE_COLUMNS) break;
+
+        const colspan = Math.min(Number(cell.getAttribute('colspan') || cell.getAttribute('aria-colspan')) || 1, MAX_TABLE_SPAN);
+        const rowspanValue = cell.getAttribute('rowspan') ?? cell.getAttribute('aria-rowspan');
+        // rowspan="0" runs to the end of the table
+        const rowspan = rowspanValue === '0' ? rows.length - r : Math.min(Number(rowspanValue) || 1, rows.length - r);
+        const role = cell.getAttribute('role');
+        const scope = cell.getAttribute('scope');
+        const slot = {
+          text: collapseWhitespace(cell.innerText ?? cell.textContent)
+            || cell.getAttribute('aria-label') || cell.querySelector('img[alt]')?.alt || '',
+          header: role === 'columnheader' || (cell.tagName === 'TH' && !['row', 'rowgroup'].includes(scope) && role !== 'rowheader') || scope === 'col'
+        };
+        for (let dr = 0; dr < rowspan; dr++) {
+          for (let dc = 0; dc < colspan; dc++) grid[r + dr][c + dc] = slot;
+        }
+        c += colspan;
+      }
+    });
+    return grid;
+  }
+
+  /**
+   * How many leading rows are headers: those in <thead> or made only of
+   * header cells. A table without any header cells takes its first row when
+   * every cell in it is distinct, non-empty text.
+   */
+  headerRowCount(table, grid) {
+    const rows = table.tagName === 'TABLE' ? Array.from(table.rows) : [];
+    let count = 0;
+    while (count < grid.length - 1
+      && (rows[count]?.parentElement?.tagName === 'THEAD' || (grid[count].length > 0 && grid[count].every(slot => slot?.header)))) {
+      count++;
+    }
+    if (count > 0 || grid.length < 2 || grid.some(row => row.some(slot => slot?.header))) return count;
+
+    const first = grid[0].map(slot => slot?.text || '');
+    const looksLikeHeader = first.length > 0
+      && first.every(text => text && parseCellNumber(text, '.') === null)
+      && new Set(first).size === first.length;
+    return looksLikeHeader ? 1 : 0;
+  }
+
+  // Column names from the header rows; stacked headers are joined ("Price / USD")
+  tableColumns(headerRows, width) {
+    const used = new Map();
+    return Array.from({ length: width }, (_, c) => {
+      const parts = [];
+      for (const row of headerRows) {
+        const text = row[c]?.text;
+        if (text && parts[parts.length - 1] !== text) parts.push(text);
+      }
+      const base = parts.join(' / ') || `Column ${c + 1}`;
+      const seen = used.get(base) || 0;
+      used.set(base, seen + 1);
+      return { name: seen ? `${base} (${seen + 1})` : base, type: 'text' };
+    });
+  }
+
+  navigate(url) {
+    window.location.href = url;
+    return { success: true, navigating: true };
+  }
+
+  /**
+   * Wait until a condition holds: an element appears or goes away, text shows
+   * up or disappears, or the DOM or network goes quiet. Checks run on DOM
+   * mutations, with a slow poll as backup. Never rejects; a timeout is reported
+   * in the result. URL changes are watched by the background, which outlives
+   * the page.
+   */
+  waitFor({ condition, selector, ref, text, timeout } = {}) {
+    const limit = Math.min(Math.max(Number(timeout) || WAIT_DEFAULT_TIMEOUT, 0), WAIT_MAX_TIMEOUT);
+    const started = performance.now();
+
+    let check;
+    let describe;
+    let idle = null;
+    switch (condition) {
+      case 'element':
+      case 'element_gone': {
+        if (!selector && !ref) return { success: false, error: `"${condition}" needs a selector or ref` };
+        const find = () => {
+          const element = ref ? this.resolveRef(ref).element : deepQuerySelector(selector);
+          return element && this.isVisible(element) ? element : null;
+        };
+        check = condition === 'element' ? find : () => !find();
+        describe = `${ref ? `ref ${ref}` : `"${selector}"`} to ${condition === 'element' ? 'appear' : 'disappear'}`;
+        break;
+      }
+      case 'text':
+      case 'text_gone': {
+        if (!text) return { success: false, error: `"${condition}" needs text` };
+        const wanted = collapseWhitespace(text).toLowerCase();
+        const present = () => collapseWhitespace(this.getPageText()).toLowerCase().includes(wanted);
+        check = condition === 'text' ? present : () => !present();
+        describe = `the text "${text}" to ${condition === 'text' ? 'appear' : 'disappear'}`;
+        break;
+      }
+      case 'dom_idle':
+        idle = 'dom';
+        describe = `the page to stop changing for ${WAIT_IDLE_MS}ms`;
+        break;
+      case 'network_idle':
+        idle = 'network';
+        describe = `network requests to stop for ${WAIT_IDLE_MS}ms`;
+        break;
+      default:
+        return { success: false, error: `Unknown wait condition: "${condition}"` };
+    }
+
+    return new Promise(resolve => {
+      let quietSince = performance.now();
+      let resourceObserver = null;
+      let scheduled = false;
+      let done = false;
+
+      const finish = (result) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        clearInterval(poll);
+        this.domListeners.delete(onChange);
+        resourceObserver?.disconnect();
+        resolve({ condition, waited: Math.round(performance.now() - started), ...result });
+      };
+
+      const evaluate = () => {
+        if (idle) {
+          // Network idle also needs the page itself to have finished loading
+          const loaded = idle === 'dom' || document.readyState === 'complete';
+          if (loaded && performance.now() - quietSince >= WAIT_IDLE_MS) finish({ success: true });
+          return;
+        }
+        const met = check();
+        if (met) finish({ success: true, element: met instanceof Element ? this.describeElement(met) : undefined });
+      };
+
+      // Mutations come in bursts; check once per burst
+      const onChange = () => {
+        if (idle === 'dom') quietSince = performance.now();
+        if (idle || scheduled) return;
+        scheduled = true;
+        setTimeout(() => {
+          scheduled = false;
+          if (!done) evaluate();
+        }, 50);
+      };
+
+      if (idle === 'network' && typeof PerformanceObserver === 'function') {
+        // Resource timing only reports finished requests, so this is "nothing finished lately"
+        resourceObserver = new PerformanceObserver(() => { quietSince = performance.now(); });
+        resourceObserver.observe({ type: 'resource' });
+      }
+
+      const timer = setTimeout(() => finish({
+        success: false,
+        timedOut: true,
+        error: `Timed out after ${limit}ms waiting for ${describe}`
+      }), limit);
+      const poll = setInterval(evaluate, idle ? WAIT_IDLE_MS / 5 : WAIT_POLL_MS);
+
+      this.domListeners.add(onChange);
+      evaluate();
+    });
+  }
+
+  // Element lookup shared by actions and approval previews
+
+  /**
+   * Ref for an element, reusing the one it got in an earlier snapshot so refs
+   * stay stable while the element stays in the page.
+   */
+  refFor(el) {
+    let ref = this.elementRefs.get(el);
+    if (!ref) {
+      ref = `${this.frameId ? `f${this.frameId}` : ''}e${this.nextRef++}`;
+      this.elementRefs.set(el, ref);
+      this.refs.set(ref, new WeakRef(el));
+    }
+    return ref;
+  }
+
+  // Forget refs whose elements were removed or garbage collected
+  pruneRefs() {
+    for (const [ref, weak] of this.refs) {
+      if (!weak.deref()?.isConnected) this.refs.delete(ref);
     }
+  }
 
-    return handler(params);
+  /**
+   * Resolve a ref exactly; no guessing. Returns `error` (a tool result) when
+   * the ref is unknown or its element has left the page.
+   */
+  resolveRef(ref) {
+    const weak = this.refs.get(ref);
+    const element = weak?.deref();
+
+    if (element?.isConnected) return { element, method: 'ref' };
+
+    return {
+      element: null,
+      method: 'ref',
+      error: {
+        success: false,
+        staleRef: true,
+        error: weak
+          ? `Stale ref "${ref}": the element is no longer on the page. Use a ref from the updated page snapshot.`
+          : `Unknown ref "${ref}": it is not in the current page snapshot. Use a ref from the updated page snapshot.`
+      }
+    };
   }
 
-  findAndClick(description, selector) {
+  locateElement(description, selector, ref) {
+    if (ref) return this.resolveRef(ref);
+
     let element = null;
     let method = 'unknown';
 
     if (selector) {
-      element = document.querySelector(selector);
+      element = deepQuerySelector(selector);
       method = 'selector';
     }
 
-    if (!element) {
+    if (!element && description) {
       // Try text content matching
       element = this.findElementByText(description);
       method = element ? 'text' : method;
     }
 
-    if (!element) {
+    if (!element && description) {
       // Try ARIA label matching
       element = this.findElementByAria(description);
       method = element ? 'aria' : method;
     }
 
-    if (!element) {
+    if (!element && description) {
       // Try fuzzy matching on interactive elements
       element = this.fuzzyFindElement(description);
       method = element ? 'fuzzy' : method;
     }
 
-    if (!element) {
-      return { 
-        success: false, 
-        error: `Could not find element matching: "${description}"`,
-        attempted: { description, selector }
-      };
-    }
-
-    if (!this.isVisible(element)) {
-      return {
-        success: false,
-        error: `Element found but not visible: "${description}"`,
-        element: this.describeElement(element)
-      };
-    }
-
-    // Scroll into view with smooth animation
-    element.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
-    
-    // Visual feedback
-    this.flashElement(element);
-    
-    // Click with delay to allow scroll
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        try {
-          element.click();
-          resolve({
-            success: true,
-            method: method,
-            element: this.describeElement(element)
-          });
-        } catch (error) {
-          resolve({
-            success: false,
-            error: `Click failed: ${error.message}`,
-            element: this.describeElement(element)
-          });
-        }
-      }, 500);
-    });
+    return { element, method };
   }
 
-  fillFormField(description, value, selector) {
+  locateField(description, selector, ref) {
+    if (ref) return this.resolveRef(ref);
+
     let input = null;
     let method = 'unknown';
 
     if (selector) {
-      input = document.querySelector(selector);
+      input = deepQuerySelector(selector);
       method = 'selector';
     }
 
-    if (!input) {
+    if (!input && description) {
       // Find by label text
-      const labels = Array.from(document.querySelectorAll('label'));
+      const labels = deepQuerySelectorAll('label');
       const label = labels.find(l => 
         l.textContent.toLowerCase().includes(description.toLowerCase())
       );
       if (label) {
         const forId = label.getAttribute('for');
-        input = forId ? document.getElementById(forId) : label.querySelector('input, textarea, select');
+        // `for` refers to an id in the label's own document or shadow root
+        input = forId ? label.getRootNode().getElementById(forId) : label.querySelector('input, textarea, select');
         method = 'label';
       }
     }
 
-    if (!input) {
+    if (!input && description) {
       // Find by placeholder
-      input = document.querySelector(`[placeholder*="${description}" i]`);
+      input = deepQuerySelector(`[placeholder*="${description}" i]`);
       method = input ? 'placeholder' : method;
     }
 
-    if (!input) {
+    if (!input && description) {
       // Find by name or id
-      const inputs = Array.from(document.querySelectorAll('input, textarea, select'));
+      const inputs = deepQuerySelectorAll(FIELD_SELECTOR);
       input = inputs.find(el => 
         el.name?.toLowerCase().includes(description.toLowerCase()) ||
         el.id?.toLowerCase().includes(description.toLowerCase())
@@ -283,209 +2021,436 @@ class PageController {
       method = input ? 'name/id' : method;
     }
 
-    if (!input) {
-      return {
-        success: false,
-        error: `Could not find form field: "${description}"`
-      };
+    if (!input && description) {
+      // Find by accessible name (aria-label, aria-labelledby), for custom widgets
+      input = deepQuerySelectorAll(FIELD_SELECTOR).find(el =>
+        this.accessibleName(el, this.accessibleRole(el)).toLowerCase().includes(description.toLowerCase())
+      );
+      method = input ? 'aria' : method;
     }
 
-    // Focus and scroll
-    input.focus();
-    input.scrollIntoView({ behavior: 'smooth', block: 'center' });
-    this.flashElement(input);
+    return { element: input, method };
+  }
 
-    // Fill based on input type
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        try {
-          if (input.tagName === 'SELECT') {
-            // Handle dropdown
-            const option = Array.from(input.options).find(opt => 
-              opt.text.toLowerCase().includes(value.toLowerCase()) ||
-              opt.value.toLowerCase().includes(value.toLowerCase())
-            );
-            if (option) {
-              input.value = option.value;
-            } else {
-              throw new Error(`Option "${value}" not found in dropdown`);
-            }
-          } else {
-            // Clear and type
-            input.value = '';
-            input.value = value;
-          }
-
-          // Trigger events
-          input.dispatchEvent(new Event('input', { bubbles: true }));
-          input.dispatchEvent(new Event('change', { bubbles: true }));
-          input.dispatchEvent(new KeyboardEvent('keyup', { bubbles: true }));
+  /**
+   * Outline the element a pending tool call would act on, so the user can see
+   * it while approving. Stays until clearPreview().
+   */
+  previewTarget(tool, params = {}) {
+    this.clearPreview();
 
-          resolve({
-            success: true,
-            method: method,
-            field: {
-              tag: input.tagName,
-              name: input.name,
-              type: input.type,
-              value: input.value.slice(0, 50) // Truncate for privacy
-            }
-          });
-        } catch (error) {
-          resolve({
-            success: false,
-            error: error.message
-          });
-        }
-      }, 300);
+    let element = null;
+    if (['click_element', 'hover', 'submit_form'].includes(tool)) {
+      element = this.locateElement(params.description, params.selector, params.ref).element;
+    } else if (tool === 'fill_form') {
+      element = this.locateField(params.field_description, params.selector, params.ref).element;
+    } else if (tool === 'choose_radio') {
+      element = this.findRadio(params.option, params.group, params.selector, params.ref).element;
+    } else if (['check', 'uncheck', 'clear', 'focus', 'press_key'].includes(tool)) {
+      element = this.locateField(params.description, params.selector, params.ref).element
+        || this.locateElement(params.description, params.selector, params.ref).element;
+    } else if (tool === 'extract_all_pages' && params.item_selector) {
+      element = deepQuerySelectorAll(params.item_selector)[0];
+    }
+
+    if (!element) return { success: false, found: false };
+
+    this.injectStyles(element.getRootNode());
+    element.classList.add('ai-assistant-pending');
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return { success: true, found: true, element: this.describeElement(element) };
+  }
+
+  clearPreview() {
+    deepQuerySelectorAll('.ai-assistant-pending').forEach(el => {
+      el.classList.remove('ai-assistant-pending');
     });
+    return { success: true };
   }
 
-  scrollPage(direction, amount = 500) {
-    const scrollOptions = { behavior: 'smooth' };
-    
-    switch (direction) {
-      case 'up':
-        window.scrollBy({ top: -amount, ...scrollOptions });
-        break;
-      case 'down':
-        window.scrollBy({ top: amount, ...scrollOptions });
-        break;
-      case 'top':
-        window.scrollTo({ top: 0, ...scrollOptions });
-        break;
-      case 'bottom':
-        window.scrollTo({ top: document.body.scrollHeight, ...scrollOptions });
-        break;
-      default:
-        throw new Error(`Unknown direction: ${direction}`);
-    }
+  /**
+   * Accessibility-tree style outline of the page as indented text, one node
+   * per line: role, accessible name, [ref] for actionable nodes and states.
+   * Elements without a role (div, span) are flattened into their parent.
+   */
+  getAccessibilitySnapshot() {
+    const lines = [];
+
+    const walk = (node, depth, inLabel = false) => {
+      if (lines.length >= MAX_SNAPSHOT_LINES) return;
+
+      if (node.nodeType === Node.TEXT_NODE) {
+        // Label text already names its control
+        const text = inLabel ? '' : collapseWhitespace(node.textContent);
+        if (text) lines.push(`${'  '.repeat(depth)}- text "${text.slice(0, 200)}"`);
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE || this.isHiddenFromAccessibility(node)) return;
+
+      const role = this.accessibleRole(node);
+      if (!role) {
+        const labelling = inLabel || (node.tagName === 'LABEL' && !!node.control);
+        composedChildren(node).forEach(child => walk(child, depth, labelling));
+        return;
+      }
+
+      // Content used as the name isn't repeated below, unless it holds controls
+      const leaf = (NAME_FROM_CONTENT.has(role) || ['paragraph', 'listitem', 'img'].includes(role))
+        && !node.querySelector('a[href], button, input, select, textarea, [role="button"], [role="link"]');
+      const name = leaf || !['paragraph', 'listitem'].includes(role) ? this.accessibleName(node, role) : '';
+
+      let line = `${'  '.repeat(depth)}- ${role}`;
+      if (name) line += ` "${name.slice(0, 200)}"`;
+      if (INTERACTIVE_ROLES.has(role) || node.matches('[contenteditable="true"]')) {
+        line += ` [ref=${this.refFor(node)}]`;
+      }
+      line += this.accessibleStates(node, role).map(state => ` [${state}]`).join('');
+      lines.push(line);
+
+      if (leaf) return;
+      composedChildren(node).forEach(child => walk(child, depth + 1));
+    };
+
+    walk(document.body, 0);
+
+    if (lines.length >= MAX_SNAPSHOT_LINES) lines.push('- (snapshot truncated)');
+    return lines.join('\n');
+  }
+
+  /**
+   * Find the main article the way Readability does: score paragraphs into
+   * their ancestors, penalise link-heavy and boilerplate-looking containers,
+   * take the best candidate plus related siblings, and render it as Markdown.
+   */
+  getMainContent() {
+    const root = this.findMainContentRoot();
+    const blocks = root ? this.mainContentBlocks(root) : [];
+
+    const markdown = blocks
+      .map(el => this.toMarkdown(el))
+      .join('\n\n')
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
 
     return {
-      success: true,
-      direction: direction,
-      newPosition: window.scrollY,
-      maxScroll: document.body.scrollHeight - window.innerHeight
+      url: location.href,
+      title: deepQuerySelector('h1')?.innerText?.trim() || document.title,
+      byline: deepQuerySelector('[rel="author"], [itemprop="author"], .byline, .author')?.innerText?.trim() || null,
+      markdown,
+      wordCount: markdown ? markdown.split(/\s+/).length : 0
     };
   }
 
-  findAndHighlight(query, caseSensitive = false) {
-    this.clearHighlights();
+  findMainContentRoot() {
+    const scores = new Map();
+    const classWeight = el => {
+      const names = `${el.className?.baseVal ?? el.className ?? ''} ${el.id}`;
+      return (POSITIVE_WEIGHT.test(names) ? 25 : 0) - (NEGATIVE_WEIGHT.test(names) ? 25 : 0);
+    };
+    const initialScore = el => {
+      const tagScores = { DIV: 5, ARTICLE: 10, MAIN: 10, SECTION: 3, PRE: 3, TD: 3, BLOCKQUOTE: 3, ADDRESS: -3, OL: -3, UL: -3, DL: -3, FORM: -3, TH: -5 };
+      return (tagScores[el.tagName] || 0) + classWeight(el);
+    };
 
-    if (!query || query.length < 2) {
-      return { success: false, error: 'Query too short' };
+    // Divs without block children are text containers too, as on many CMS pages.
+    // Open shadow roots count, so web-component pages have paragraphs as well.
+    const paragraphs = deepQuerySelectorAll('p, pre, td, blockquote, div', document.body)
+      .filter(el => el.tagName !== 'DIV' || !deepQuerySelector('p, div, section, article, table, ul, ol, pre, blockquote', el));
+
+    for (const p of paragraphs) {
+      if (this.isUnlikelyContent(p) || p.closest(BOILERPLATE_CONTAINERS)) continue;
+      const text = collapseWhitespace(p.innerText || p.textContent);
+      if (text.length < 25) continue;
+
+      // One point per comma-separated clause, plus one per 100 characters up to 3
+      const points = text.split(/[,，、]/).length + Math.min(3, Math.floor(text.length / 100));
+
+      // Parent gets full points, grandparent half, further ancestors less
+      let ancestor = composedParent(p);
+      for (let level = 0; ancestor && ancestor !== document.documentElement && level < 5; level++) {
+        if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        scores.set(ancestor, scores.get(ancestor) + points / divider);
+        ancestor = composedParent(ancestor);
+      }
     }
 
-    const flags = caseSensitive ? 'g' : 'gi';
-    const regex = new RegExp(this.escapeRegex(query), flags);
-    
-    const walker = document.createTreeWalker(
-      document.body,
-      NodeFilter.SHOW_TEXT,
-      {
-        acceptNode: (node) => {
-          // Skip script and style elements
-          const parent = node.parentElement;
-          if (parent && ['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(parent.tagName)) {
-            return NodeFilter.FILTER_REJECT;
-          }
-          return regex.test(node.textContent) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
-        }
+    let top = null;
+    let topScore = 0;
+    for (const [el, score] of scores) {
+      const adjusted = score * (1 - this.linkDensity(el));
+      scores.set(el, adjusted);
+      if (adjusted > topScore) {
+        top = el;
+        topScore = adjusted;
       }
-    );
+    }
 
-    const matches = [];
-    let textNode;
-    const processed = new Set();
+    this.contentScores = scores;
+    return top || deepQuerySelector('article, main, [role="main"]') || document.body;
+  }
 
-    while (textNode = walker.nextNode()) {
-      // Avoid processing the same parent multiple times
-      if (processed.has(textNode.parentElement)) continue;
-      
-      const parent = textNode.parentElement;
-      const html = parent.innerHTML;
-      
-      if (!regex.test(html)) continue; // Avoid HTML tags
-      
-      // Replace text content only
-      const newHtml = html.replace(regex, match => 
-        `<mark class="ai-assistant-highlight" style="background: #fbbf24; padding: 2px 0; border-radius: 2px;">${match}</mark>`
-      );
-      
-      if (newHtml !== html) {
-        parent.innerHTML = newHtml;
-        this.highlights.push(parent);
-        processed.add(parent);
-        matches.push({
-          text: textNode.textContent.slice(0, 100),
-          element: this.describeElement(parent)
+  // The top candidate plus siblings that look like part of the same article
+  mainContentBlocks(top) {
+    const parent = composedParent(top);
+    if (!parent || top === document.body) return [top];
+
+    const topScore = this.contentScores?.get(top) || 0;
+    const threshold = Math.max(10, topScore * 0.2);
+
+    // A slotted element isn't among its host's rendered children; it stands alone then
+    const siblings = Array.from(composedChildren(parent)).filter(node => node.nodeType === Node.ELEMENT_NODE);
+    if (!siblings.includes(top)) return [top];
+
+    return siblings.filter(sibling => {
+      if (sibling === top) return true;
+      if (this.isUnlikelyContent(sibling)) return false;
+      if ((this.contentScores?.get(sibling) || 0) >= threshold) return true;
+      if (sibling.tagName !== 'P') return false;
+
+      const text = collapseWhitespace(sibling.innerText || sibling.textContent);
+      const density = this.linkDensity(sibling);
+      return (text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text));
+    });
+  }
+
+  isUnlikelyContent(el) {
+    if (SKIPPED_IN_CONTENT.has(el.tagName.toUpperCase())) return true;
+    if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+    if (['navigation', 'banner', 'contentinfo', 'complementary', 'dialog', 'alertdialog'].includes(el.getAttribute('role'))) return true;
+
+    const names = `${el.className?.baseVal ?? el.className ?? ''} ${el.id}`;
+    if (UNLIKELY_CANDIDATES.test(names) && !LIKELY_CANDIDATES.test(names) && !['BODY', 'ARTICLE', 'MAIN'].includes(el.tagName)) {
+      return true;
+    }
+
+    const style = window.getComputedStyle(el);
+    return style.display === 'none' || style.visibility === 'hidden';
+  }
+
+  linkDensity(el) {
+    const length = (el.innerText || el.textContent || '').length;
+    if (!length) return 0;
+    const linkLength = deepQuerySelectorAll('a', el)
+      .reduce((sum, a) => sum + (a.innerText || a.textContent || '').length, 0);
+    return linkLength / length;
+  }
+
+  /**
+   * Render an element as Markdown, keeping headings, emphasis, links, images,
+   * lists, block quotes, tables and code blocks. Boilerplate inside the
+   * article (share bars, forms, asides) is dropped.
+   */
+  toMarkdown(node, listDepth = 0) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const el = node;
+    const tag = el.tagName.toUpperCase();
+    if (this.isUnlikelyContent(el)) return '';
+
+    const inner = () => Array.from(composedChildren(el)).map(child => this.toMarkdown(child, listDepth)).join('');
+    const block = text => `\n\n${text.trim()}\n\n`;
+
+    switch (tag) {
+      case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+        return block(`${'#'.repeat(Number(tag[1]))} ${collapseWhitespace(inner())}`);
+
+      case 'P': case 'DIV': case 'SECTION': case 'ARTICLE': case 'MAIN': case 'HEADER':
+      case 'FIGURE': case 'FIGCAPTION': case 'DL': case 'DETAILS': case 'SUMMARY':
+        return block(inner());
+
+      case 'DT':
+        return block(`**${collapseWhitespace(inner())}**`);
+
+      case 'DD':
+        return block(`: ${inner().trim()}`);
+
+      case 'BR':
+        return '\n';
+
+      case 'HR':
+        return block('---');
+
+      case 'STRONG': case 'B':
+        return emphasize(inner(), '**');
+
+      case 'EM': case 'I':
+        return emphasize(inner(), '_');
+
+      case 'CODE':
+        return el.closest('pre') ? el.textContent : `\`${el.textContent}\``;
+
+      case 'PRE': {
+        const code = el.textContent.replace(/\n$/, '');
+        const lang = (el.querySelector('code')?.className || el.className || '').match(/(?:language|lang)-([\w+-]+)/)?.[1] || '';
+        const fence = code.includes('```') ? '````' : '```';
+        return `\n\n${fence}${lang}\n${code}\n${fence}\n\n`;
+      }
+
+      case 'A': {
+        const text = collapseWhitespace(inner());
+        const href = el.getAttribute('href');
+        if (!text) return '';
+        if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return text;
+        return `[${text}](${el.href})`;
+      }
+
+      case 'IMG': {
+        const alt = collapseWhitespace(el.alt);
+        return alt && el.src ? `![${alt}](${el.src})` : '';
+      }
+
+      case 'UL': case 'OL': {
+        const items = Array.from(el.children).filter(child => child.tagName === 'LI');
+        const indent = '  '.repeat(listDepth);
+        const lines = items.map((li, i) => {
+          const marker = tag === 'OL' ? `${(Number(el.getAttribute('start')) || 1) + i}.` : '-';
+          const content = Array.from(li.childNodes)
+            .map(child => this.toMarkdown(child, listDepth + 1))
+            .join('')
+            .replace(/\n{2,}/g, '\n')
+            .trim();
+          return `${indent}${marker} ${content}`;
         });
+        return listDepth > 0 ? `\n${lines.join('\n')}` : block(lines.join('\n'));
       }
-    }
 
-    // Scroll to first match
-    const firstMark = document.querySelector('.ai-assistant-highlight');
-    if (firstMark) {
-      firstMark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      case 'BLOCKQUOTE':
+        return block(inner().trim().split('\n').map(line => `> ${line}`).join('\n'));
+
+      case 'TABLE':
+        return block(this.tableToMarkdown(el));
+
+      default:
+        return inner();
     }
+  }
 
-    return {
-      success: true,
-      count: matches.length,
-      query: query,
-      matches: matches.slice(0, 10)
-    };
+  tableToMarkdown(table) {
+    const rows = Array.from(table.rows).map(row =>
+      Array.from(row.cells).map(cell => collapseWhitespace(cell.innerText || cell.textContent).replace(/\|/g, '\\|'))
+    );
+    if (rows.length === 0) return '';
+
+    const width = Math.max(...rows.map(row => row.length));
+    const pad = row => [...row, ...Array(width - row.length).fill('')];
+    const line = row => `| ${pad(row).join(' | ')} |`;
+
+    const [header, ...body] = rows;
+    return [line(header), line(Array(width).fill('---')), ...body.map(line)].join('\n');
   }
 
-  extractData(schema) {
-    const data = {};
-    
-    for (const [key, config] of Object.entries(schema)) {
-      try {
-        if (config.selector) {
-          const elements = Array.from(document.querySelectorAll(config.selector));
-          
-          if (config.multiple) {
-            data[key] = elements.map(el => this.extractValue(el, config.attribute, config.transform));
-          } else {
-            data[key] = this.extractValue(elements[0], config.attribute, config.transform);
-          }
-        } else if (config.evaluate) {
-          // Execute custom JavaScript
-          data[key] = eval(config.evaluate);
-        }
-      } catch (error) {
-        data[key] = { error: error.message };
-      }
+  isHiddenFromAccessibility(el) {
+    if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'IFRAME'].includes(el.tagName.toUpperCase())) return true;
+    if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+    const style = window.getComputedStyle(el);
+    return style.display === 'none' || style.visibility === 'hidden';
+  }
+
+  accessibleRole(el) {
+    const explicit = el.getAttribute('role')?.trim().split(/\s+/)[0];
+    if (explicit && !['presentation', 'none', 'generic'].includes(explicit)) return explicit;
+    if (explicit) return null;
+    return IMPLICIT_ROLES[el.tagName.toLowerCase()]?.(el) || null;
+  }
+
+  /**
+   * Simplified accessible name computation: aria-labelledby, aria-label,
+   * associated labels, alt text, captions/legends, content, then title and
+   * placeholder.
+   */
+  accessibleName(el, role) {
+    const clean = collapseWhitespace;
+
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/)
+        .map(id => el.getRootNode().getElementById(id)?.textContent)
+        .filter(Boolean)
+        .join(' ');
+      if (clean(text)) return clean(text);
     }
 
-    return { success: true, data };
+    if (clean(el.getAttribute('aria-label'))) return clean(el.getAttribute('aria-label'));
+
+    if (el.labels?.length > 0) {
+      return clean(Array.from(el.labels).map(label => label.textContent).join(' '));
+    }
+
+    if (el.tagName === 'IMG' || (el.tagName === 'INPUT' && el.type === 'image')) {
+      if (clean(el.alt)) return clean(el.alt);
+    }
+
+    if (el.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(el.type)) {
+      return clean(el.value) || (el.type === 'submit' ? 'Submit' : el.type === 'reset' ? 'Reset' : '');
+    }
+
+    const caption = { FIELDSET: 'legend', TABLE: 'caption', FIGURE: 'figcaption' }[el.tagName];
+    if (caption && clean(el.querySelector(caption)?.textContent)) {
+      return clean(el.querySelector(caption).textContent);
+    }
+
+    if (NAME_FROM_CONTENT.has(role) || ['paragraph', 'listitem'].includes(role)) {
+      // Images inside links and buttons contribute their alt text
+      const text = clean(el.innerText || el.textContent)
+        || clean(Array.from(el.querySelectorAll('img[alt]')).map(img => img.alt).join(' '));
+      if (text) return text;
+    }
+
+    return clean(el.getAttribute('title')) || clean(el.getAttribute('placeholder'));
   }
 
-  navigate(url) {
-    window.location.href = url;
-    return { success: true, navigating: true };
+  accessibleStates(el, role) {
+    const states = [];
+    const aria = name => el.getAttribute(`aria-${name}`);
+
+    if (role === 'heading') {
+      states.push(`level=${aria('level') || el.tagName.match(/^H(\d)$/)?.[1] || 2}`);
+    }
+    if (el.checked === true || aria('checked') === 'true') states.push('checked');
+    if (aria('checked') === 'mixed' || el.indeterminate) states.push('mixed');
+    if (aria('expanded') === 'true' || (el.tagName === 'DETAILS' && el.open)) states.push('expanded');
+    if (aria('expanded') === 'false') states.push('collapsed');
+    if (aria('selected') === 'true' || (el.tagName === 'OPTION' && el.selected)) states.push('selected');
+    if (aria('pressed') === 'true') states.push('pressed');
+    if (el.disabled || aria('disabled') === 'true') states.push('disabled');
+    if (el.required || aria('required') === 'true') states.push('required');
+    if (el.readOnly || aria('readonly') === 'true') states.push('readonly');
+    // validity is a passive read; checkValidity() would fire the page's invalid handlers
+    if (aria('invalid') === 'true' || (el.willValidate && el.value && el.validity && !el.validity.valid)) states.push('invalid');
+
+    // Current values, except for passwords and values from an autofill profile
+    if (['textbox', 'searchbox', 'spinbutton', 'slider', 'combobox'].includes(role)
+        && el.value && el.type !== 'password') {
+      const value = el.tagName === 'SELECT' ? el.selectedOptions[0]?.text : el.value;
+      states.push(this.redactedFields.has(el) ? 'value=(hidden)' : `value="${collapseWhitespace(value).slice(0, 80)}"`);
+    }
+
+    return states;
   }
 
   // Helper methods
+  // First element with a text node of its own containing `text`; XPath can't see into shadow roots
   findElementByText(text) {
-    const xpath = `//*[contains(text(), '${text.replace(/'/g, "\\'")}')]`;
-    return document.evaluate(
-      xpath, 
-      document, 
-      null, 
-      XPathResult.FIRST_ORDERED_NODE_TYPE, 
-      null
-    ).singleNodeValue;
+    for (const el of composedElements(document.body)) {
+      if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(el.tagName)) continue;
+      const ownText = Array.from(el.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.data.includes(text));
+      if (ownText) return el;
+    }
+    return null;
   }
 
   findElementByAria(label) {
-    return document.querySelector(`[aria-label*="${label}" i], [aria-labelledby*="${label}" i]`);
+    return deepQuerySelector(`[aria-label*="${label}" i], [aria-labelledby*="${label}" i]`);
   }
 
   fuzzyFindElement(description) {
     const keywords = description.toLowerCase().split(/\s+/);
-    const candidates = Array.from(document.querySelectorAll('button, a, input, [role="button"]'));
+    const candidates = deepQuerySelectorAll('button, a, input, [role="button"]');
     
     return candidates.find(el => {
       const text = (el.innerText || el.value || el.getAttribute('aria-label') || '').toLowerCase();
@@ -508,6 +2473,7 @@ class PageController {
   describeElement(el) {
     if (!el) return null;
     return {
+      ref: this.elementRefs.get(el) || null,
       tag: el.tagName.toLowerCase(),
       id: el.id || null,
       class: el.className || null,
@@ -567,21 +2533,99 @@ class PageController {
   }
 
   clearHighlights() {
-    // Remove highlight marks but preserve content
-    const marks = document.querySelectorAll('.ai-assistant-highlight');
-    marks.forEach(mark => {
-      const parent = mark.parentNode;
-      if (parent) {
-        parent.replaceChild(document.createTextNode(mark.textContent), mark);
-        parent.normalize(); // Merge adjacent text nodes
-      }
-    });
+    if (window.CSS?.highlights) {
+      CSS.highlights.delete('ai-assistant-find');
+      CSS.highlights.delete('ai-assistant-find-current');
+    }
+
+    // Fallback marks are stored last-wrapped first, which is the order to undo them in
+    for (const { mark, head, middle, tail } of this.highlights) {
+      if (!mark.isConnected) continue;
+      mark.replaceWith(middle);
+      head.data += middle.data + tail.data;
+      middle.remove();
+      tail.remove();
+    }
+
     this.highlights = [];
+    this.findMatches = [];
+    this.findIndex = -1;
+    this.findQuery = null;
+    return { success: true };
   }
 
-  injectStyles() {
-    if (document.getElementById('ai-assistant-styles')) return;
-    
+  /**
+   * Set-of-marks overlay for screenshots: a numbered badge and outline on every
+   * interactive element in the viewport that isn't covered by something else.
+   * Each mark maps to the element's ref, so the model can act on what it sees.
+   * Resolves once the overlay has been painted.
+   */
+  async showMarks() {
+    this.clearMarks();
+
+    const overlay = document.createElement('div');
+    overlay.id = 'ai-assistant-marks';
+    const marks = [];
+
+    for (const el of deepQuerySelectorAll(INTERACTIVE_SELECTOR)) {
+      if (marks.length >= MAX_MARKS) break;
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0 || !this.isVisible(el)) continue;
+      if (rect.bottom < 0 || rect.right < 0 || rect.top > innerHeight || rect.left > innerWidth) continue;
+      if (this.isCovered(el, rect)) continue;
+
+      const role = this.accessibleRole(el);
+      const mark = marks.length + 1;
+      marks.push({
+        mark,
+        ref: this.refFor(el),
+        role,
+        name: collapseWhitespace(this.accessibleName(el, role) || '').slice(0, 60) || undefined
+      });
+
+      const box = document.createElement('div');
+      box.className = 'ai-assistant-mark-box';
+      Object.assign(box.style, {
+        left: `${rect.left}px`,
+        top: `${rect.top}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`
+      });
+      const badge = document.createElement('span');
+      badge.className = 'ai-assistant-mark';
+      badge.textContent = mark;
+      box.appendChild(badge);
+      overlay.appendChild(box);
+    }
+
+    document.documentElement.appendChild(overlay);
+    // Two frames: one to lay the overlay out, one for it to reach the screen
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    return { success: true, marks, viewport: { width: innerWidth, height: innerHeight } };
+  }
+
+  clearMarks() {
+    document.getElementById('ai-assistant-marks')?.remove();
+    return { success: true };
+  }
+
+  // Whether whatever is at the element's centre belongs to something else, like a modal over it
+  isCovered(el, rect) {
+    const x = rect.left + rect.width / 2;
+    const y = rect.top + rect.height / 2;
+    let hit = document.elementFromPoint(x, y);
+    while (hit?.shadowRoot) {
+      const inner = hit.shadowRoot.elementFromPoint(x, y);
+      if (!inner || inner === hit) break;
+      hit = inner;
+    }
+    return !!hit && !el.contains(hit) && !hit.contains(el);
+  }
+
+  // Styles go into the document, or into a shadow root whose elements we mark
+  injectStyles(root = document) {
+    if (root.getElementById('ai-assistant-styles')) return;
+
     const style = document.createElement('style');
     style.id = 'ai-assistant-styles';
     style.textContent = `
@@ -592,14 +2636,28 @@ class PageController {
         0%, 100% { background-color: #fbbf24; }
         50% { background-color: #f59e0b; }
       }
+      .ai-assistant-highlight-current {
+        animation: none;
+        background-color: #f97316;
+      }
+      ::highlight(ai-assistant-find) { background-color: #fde68a; color: #000; }
+      ::highlight(ai-assistant-find-current) { background-color: #f97316; color: #000; }
+      .ai-assistant-pending {
+        outline: 3px dashed #f59e0b !important;
+        outline-offset: 3px !important;
+      }
     `;
-    document.head.appendChild(style);
+    (root === document ? document.head || document.documentElement : root)?.appendChild(style);
   }
 
   observeDOM() {
     // Debounced mutation observer
     let timeout;
     const observer = new MutationObserver(() => {
+      this.domListeners.forEach(listener => listener());
+
+      // Frames are read through the top page, which reports for the whole tab
+      if (window !== window.top) return;
       clearTimeout(timeout);
       timeout = setTimeout(() => {
         // Notify background of significant changes
@@ -611,7 +2669,9 @@ class PageController {
       }, 1000);
     });
 
-    observer.observe(document.body, {
+    // documentElement, since frames in XML/SVG documents or still being built have no body
+    if (!document.documentElement) return;
+    observer.observe(document.documentElement, {
       childList: true,
       subtree: true,
       attributes: true,
@@ -620,7 +2680,7 @@ class PageController {
   }
 
   scrollToElement(selector) {
-    const el = document.querySelector(selector);
+    const el = deepQuerySelector(selector);
     if (el) {
       el.scrollIntoView({ behavior: 'smooth', block: 'center' });
       this.flashElement(el);
@@ -635,4 +2695,8 @@ class PageController {
 }
 
 // Initialize
-const controller = new PageController();
\ No newline at end of file
+const controller = new PageController();
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = { parseCellNumber, pageDecimalSeparator };
+}
@@ -0,0 +1,109 @@
+/**
+ * Exporters
+ * Turns conversations and result tables into downloadable Markdown/JSON/CSV files
+ */
+
+function fence(text, lang = '') {
+  // Use a longer fence if the content itself contains backticks
+  const ticks = /```/.test(text) ? '````' : '```';
+  return `${ticks}${lang}\n${text}\n${ticks}`;
+}
+
+function prettyJSON(text) {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch {
+    return text;
+  }
+}
+
+export function conversationToMarkdown(session) {
+  const lines = [
+    `# ${session.title || session.url || 'Conversation'}`,
+    '',
+    `- **URL:** ${session.url || 'Unknown'}`,
+    `- **Model:** ${session.model || 'Unknown'}`,
+    `- **Started:** ${new Date(session.createdAt).toLocaleString()}`,
+    `- **Last activity:** ${new Date(session.lastActivity).toLocaleString()}`,
+    ''
+  ];
+
+  if (session.summary) {
+    lines.push(`## Summary of ${session.compactedMessages || 'earlier'} condensed messages`, '', session.summary, '');
+  }
+
+  const toolNames = new Map();
+
+  for (const m of session.history || []) {
+    if (m.role === 'user') {
+      lines.push('## You', '', m.content, '');
+    } else if (m.role === 'assistant') {
+      if (m.content) lines.push('## Assistant', '', m.content, '');
+      for (const tc of m.tool_calls || []) {
+        toolNames.set(tc.id, tc.function.name);
+        lines.push(`**Tool call:** \`${tc.function.name}\``, '', fence(prettyJSON(tc.function.arguments), 'json'), '');
+      }
+    } else if (m.role === 'tool') {
+      const name = toolNames.get(m.tool_call_id) || 'tool';
+      lines.push(`**Tool result:** \`${name}\``, '', fence(prettyJSON(m.content), 'json'), '');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+export function conversationToJSON(session) {
+  const { id, url, title, model, createdAt, lastActivity, history, summary } = session;
+  return JSON.stringify({
+    id,
+    url,
+    title,
+    model,
+    summary: summary || null,
+    createdAt: new Date(createdAt).toISOString(),
+    lastActivity: new Date(lastActivity).toISOString(),
+    messages: history
+  }, null, 2);
+}
+
+// Results keep their structure here; the CSV export flattens them to text
+export function batchToJSON(job) {
+  return JSON.stringify({
+    prompt: job.prompt,
+    schema: job.schema,
+    createdAt: new Date(job.createdAt).toISOString(),
+    results: job.rows.map(({ url, title, status, data, error }) => ({ url, title: title || null, status, data, error }))
+  }, null, 2);
+}
+
+// Scraped cells starting with = + - @ (or tab/CR/LF), even after leading
+// whitespace, would run as formulas in Excel or Sheets; a leading apostrophe
+// keeps them text. Plain numbers like -5 are safe.
+function csvField(value) {
+  let text = String(value ?? '');
+  if (/^\s*[=+\-@\t\r\n]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 CSV; CRLF line ends keep spreadsheet apps happy
+export function tableToCSV(columns, rows) {
+  return [columns, ...rows].map(row => row.map(csvField).join(',')).join('\r\n');
+}
+
+export function safeFilename(name) {
+  return (name || 'export')
+    .replace(/[^\w\s.-]+/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .slice(0, 80) || 'export';
+}
+
+/**
+ * Save text through chrome.downloads. Service workers can't create blob URLs,
+ * so the content goes in a data URL.
+ */
+export async function downloadFile(content, filename, mimeType) {
+  const url = `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`;
+  const downloadId = await chrome.downloads.download({ url, filename, saveAs: true });
+  return { success: true, downloadId, filename };
+}
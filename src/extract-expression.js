@@ -0,0 +1,392 @@
+/**
+ * Extraction Expressions
+ * A small, side-effect-free pipeline language for derived fields in extract_data.
+ *
+ * An expression is a chain of operations separated by "|", applied left to
+ * right to the field's element:
+ *
+ *   find('.price') | text | match('([\d.,]+)') | number
+ *   findAll('li a') | attr('href') | url | unique
+ *   attr('data-src', 'src') | url
+ *
+ * Operations on a list apply to each item, except list operations (first,
+ * last, nth, count, join, unique, compact, flatten) which take the whole list.
+ * Nothing here can run code, change the page or make requests.
+ */
+
+globalThis.ExtractExpression = (() => {
+  const MAX_EXPRESSION_LENGTH = 1000;
+  const MAX_STAGES = 32;
+  const MAX_PATTERN_LENGTH = 200;
+  // Regexes only ever see this much text, which bounds pathological backtracking
+  const MAX_MATCH_INPUT = 20000;
+  const MAX_ITEMS = 5000;
+
+  class ExtractExpressionError extends Error {
+    constructor(message, source, position) {
+      super(position === undefined
+        ? message
+        : `${message} at position ${position} in: ${source}`);
+      this.name = 'ExtractExpressionError';
+      this.position = position;
+    }
+  }
+
+  const isElement = value => typeof value === 'object' && value !== null && value.nodeType === 1;
+
+  function elementText(el) {
+    return (el.innerText ?? el.textContent ?? '').replace(/\s+/g, ' ').trim();
+  }
+
+  // Strings for string operations; elements contribute their text
+  function asString(value) {
+    if (isElement(value)) return elementText(value);
+    return String(value);
+  }
+
+  function compileRegex(pattern, flags = '', global = false) {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      throw new ExtractExpressionError(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+    }
+    if (!/^[imsu]*$/.test(flags)) {
+      throw new ExtractExpressionError(`Invalid regex flags "${flags}" (allowed: i, m, s, u)`);
+    }
+    try {
+      return new RegExp(pattern, global ? `${flags}g` : flags);
+    } catch (error) {
+      throw new ExtractExpressionError(`Invalid regular expression /${pattern}/: ${error.message}`);
+    }
+  }
+
+  function requireElement(name, value) {
+    if (!isElement(value)) {
+      throw new ExtractExpressionError(`${name}() needs an element, got ${describeType(value)}`);
+    }
+    return value;
+  }
+
+  function describeType(value) {
+    if (Array.isArray(value)) return 'a list';
+    if (isElement(value)) return 'an element';
+    return typeof value === 'number' ? 'a number' : 'a string';
+  }
+
+  function querySelector(el, selector, all) {
+    try {
+      return all ? Array.from(el.querySelectorAll(selector)) : el.querySelector(selector);
+    } catch {
+      throw new ExtractExpressionError(`Invalid CSS selector "${selector}"`);
+    }
+  }
+
+  // Reads the first number in the text, ignoring thousands grouping ("1,234", "1 234")
+  function parseNumber(text, decimalSeparator = '.') {
+    if (typeof text === 'number') return text;
+    const grouping = decimalSeparator === ',' ? "[.\\s\\u00a0']" : "[,\\s\\u00a0']";
+    let normalized = text.replace(new RegExp(`(?<=\\d)${grouping}(?=\\d{3}(?!\\d))`, 'g'), '');
+    if (decimalSeparator === ',') normalized = normalized.replace(/(?<=\d),(?=\d)/, '.');
+    const number = normalized.match(/[-+]?\d*\.?\d+(?:[eE][-+]?\d+)?/);
+    return number ? parseFloat(number[0]) : null;
+  }
+
+  /*
+   * Each operation declares its argument types ('s' string, 'n' number, '?'
+   * marks the rest optional, '*' repeats the last type) and one of:
+   *   item   - applied to each item of a list; `spread` flattens list results
+   *   list   - receives the whole value as a list
+   * `nullable` operations also receive null instead of skipping it.
+   */
+  const OPERATIONS = {
+    // Navigation, relative to the current element
+    find: { args: 's', item: (el, selector) => querySelector(requireElement('find', el), selector, false) },
+    findAll: { args: 's', spread: true, item: (el, selector) => querySelector(requireElement('findAll', el), selector, true) },
+    closest: {
+      args: 's',
+      item: (el, selector) => {
+        try {
+          return requireElement('closest', el).closest(selector);
+        } catch (error) {
+          if (error instanceof ExtractExpressionError) throw error;
+          throw new ExtractExpressionError(`Invalid CSS selector "${selector}"`);
+        }
+      }
+    },
+    parent: { args: '', item: el => requireElement('parent', el).parentElement },
+    next: { args: '', item: el => requireElement('next', el).nextElementSibling },
+    prev: { args: '', item: el => requireElement('prev', el).previousElementSibling },
+
+    // Reading values
+    text: { args: '', item: el => elementText(requireElement('text', el)) },
+    // attr('data-src', 'src') returns the first attribute that is present and not empty
+    attr: {
+      args: 's*',
+      item: (el, ...names) => {
+        requireElement('attr', el);
+        for (const name of names) {
+          const value = el.getAttribute(name);
+          if (value !== null && value !== '') return value;
+        }
+        return null;
+      }
+    },
+    value: { args: '', item: el => requireElement('value', el).value ?? null },
+    url: {
+      args: '',
+      item: value => {
+        try {
+          return new URL(asString(value), document.baseURI).href;
+        } catch {
+          return null;
+        }
+      }
+    },
+
+    // Strings
+    trim: { args: '', item: value => asString(value).trim() },
+    lower: { args: '', item: value => asString(value).toLowerCase() },
+    upper: { args: '', item: value => asString(value).toUpperCase() },
+    replace: {
+      args: 'ss?s',
+      item: (value, pattern, replacement, flags = '') =>
+        asString(value).slice(0, MAX_MATCH_INPUT).replace(compileRegex(pattern, flags, true), replacement)
+    },
+    // match(pattern, group?, flags?): the capture group (default 1, or 0 without groups), or null
+    match: {
+      args: 's?ns',
+      item: (value, pattern, group, flags = '') => {
+        const regex = compileRegex(pattern, flags);
+        const result = asString(value).slice(0, MAX_MATCH_INPUT).match(regex);
+        if (!result) return null;
+        const index = group ?? (result.length > 1 ? 1 : 0);
+        if (index >= result.length) {
+          throw new ExtractExpressionError(`match() has no group ${index} in /${pattern}/`);
+        }
+        return result[index] ?? null;
+      }
+    },
+    matchAll: {
+      args: 's?ns',
+      spread: true,
+      item: (value, pattern, group, flags = '') => {
+        const regex = compileRegex(pattern, flags, true);
+        const results = Array.from(asString(value).slice(0, MAX_MATCH_INPUT).matchAll(regex));
+        return results.map(result => {
+          const index = group ?? (result.length > 1 ? 1 : 0);
+          if (index >= result.length) {
+            throw new ExtractExpressionError(`matchAll() has no group ${index} in /${pattern}/`);
+          }
+          return result[index] ?? null;
+        });
+      }
+    },
+    split: { args: 's', item: (value, separator) => asString(value).slice(0, MAX_MATCH_INPUT).split(separator).map(part => part.trim()) },
+
+    // Parsing
+    // number(',') reads "1.234,50" as 1234.5; the default reads "1,234.50"
+    number: {
+      args: '?s',
+      item: (value, decimalSeparator = '.') => {
+        if (decimalSeparator !== '.' && decimalSeparator !== ',') {
+          throw new ExtractExpressionError(`number() decimal separator must be "." or ","`);
+        }
+        return parseNumber(typeof value === 'number' ? value : asString(value), decimalSeparator);
+      }
+    },
+    int: {
+      args: '',
+      item: value => {
+        const number = parseNumber(typeof value === 'number' ? value : asString(value));
+        return number === null ? null : Math.trunc(number);
+      }
+    },
+    date: {
+      args: '',
+      item: value => {
+        const time = typeof value === 'number' ? value : Date.parse(asString(value));
+        return Number.isNaN(time) ? null : new Date(time).toISOString();
+      }
+    },
+    default: { args: 's', nullable: true, item: (value, fallback) => (value === null || value === '' ? fallback : value) },
+
+    // Lists
+    first: { args: '', list: items => items[0] ?? null },
+    last: { args: '', list: items => items[items.length - 1] ?? null },
+    nth: { args: 'n', list: (items, index) => items[index < 0 ? items.length + index : index] ?? null },
+    count: { args: '', list: items => items.length },
+    join: { args: '?s', list: (items, separator = ' ') => items.filter(item => item !== null).map(asString).join(separator) },
+    unique: { args: '', list: items => Array.from(new Set(items)) },
+    compact: { args: '', list: items => items.filter(item => item !== null && item !== '') },
+    flatten: { args: '', list: items => items.flat() }
+  };
+
+  /**
+   * Parse an expression into stages: [{ name, args, position }].
+   * Arguments are single- or double-quoted strings (backslash escapes the
+   * quote and itself) or numbers.
+   */
+  function parse(source) {
+    if (typeof source !== 'string' || !source.trim()) {
+      throw new ExtractExpressionError('Expression must be a non-empty string');
+    }
+    if (source.length > MAX_EXPRESSION_LENGTH) {
+      throw new ExtractExpressionError(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+
+    let pos = 0;
+    const stages = [];
+    const fail = message => {
+      throw new ExtractExpressionError(message, source, pos);
+    };
+    const skipSpaces = () => {
+      while (/\s/.test(source[pos] || '')) pos++;
+    };
+
+    const readString = () => {
+      const quote = source[pos++];
+      let value = '';
+      while (pos < source.length && source[pos] !== quote) {
+        // Only the quote and the backslash itself are escapes; regexes keep theirs
+        if (source[pos] === '\\' && (source[pos + 1] === quote || source[pos + 1] === '\\')) pos++;
+        value += source[pos++];
+      }
+      if (source[pos] !== quote) fail('Unterminated string');
+      pos++;
+      return value;
+    };
+
+    const readArgument = () => {
+      skipSpaces();
+      if (source[pos] === '"' || source[pos] === "'") return readString();
+      const number = source.slice(pos).match(/^-?\d+(\.\d+)?/);
+      if (number) {
+        pos += number[0].length;
+        return Number(number[0]);
+      }
+      fail('Expected a quoted string or a number');
+    };
+
+    while (true) {
+      skipSpaces();
+      const start = pos;
+      const name = source.slice(pos).match(/^[A-Za-z]+/)?.[0];
+      if (!name) fail(pos >= source.length ? 'Expected an operation after "|"' : `Unexpected "${source[pos]}"`);
+      pos += name.length;
+
+      const operation = Object.hasOwn(OPERATIONS, name) ? OPERATIONS[name] : null;
+      if (!operation) {
+        pos = start;
+        fail(`Unknown operation "${name}"`);
+      }
+
+      const args = [];
+      skipSpaces();
+      if (source[pos] === '(') {
+        pos++;
+        skipSpaces();
+        if (source[pos] !== ')') {
+          while (true) {
+            args.push(readArgument());
+            skipSpaces();
+            if (source[pos] === ',') {
+              pos++;
+              continue;
+            }
+            if (source[pos] === ')') break;
+            fail('Expected "," or ")"');
+          }
+        }
+        pos++;
+      }
+
+      checkArguments(name, operation.args, args, source, start);
+      stages.push({ name, args, position: start });
+      if (stages.length > MAX_STAGES) fail(`More than ${MAX_STAGES} operations`);
+
+      skipSpaces();
+      if (pos >= source.length) break;
+      if (source[pos] !== '|') fail('Expected "|" between operations');
+      pos++;
+    }
+
+    return stages;
+  }
+
+  function checkArguments(name, spec, args, source, position) {
+    const required = spec.split('?')[0].replace('*', '').length;
+    const types = spec.replace('?', '');
+    const repeats = types.endsWith('*');
+    const max = repeats ? Infinity : types.length;
+
+    if (args.length < required || args.length > max) {
+      const expected = repeats
+        ? `at least ${required} argument${required === 1 ? '' : 's'}`
+        : required === max
+          ? `${max} argument${max === 1 ? '' : 's'}`
+          : `${required} to ${max} arguments`;
+      throw new ExtractExpressionError(`${name}() takes ${expected}, got ${args.length}`, source, position);
+    }
+
+    args.forEach((arg, i) => {
+      const type = types.replace('*', '')[Math.min(i, types.replace('*', '').length - 1)];
+      const expected = type === 'n' ? 'number' : 'string';
+      if (typeof arg !== expected) {
+        throw new ExtractExpressionError(`${name}() argument ${i + 1} must be a ${expected}`, source, position);
+      }
+    });
+  }
+
+  function capList(items) {
+    if (items.length > MAX_ITEMS) {
+      throw new ExtractExpressionError(`Result has more than ${MAX_ITEMS} items`);
+    }
+    return items;
+  }
+
+  /**
+   * Evaluate an expression (source or parsed stages) against a context
+   * element. Elements left at the end are returned as their text.
+   */
+  function evaluate(expression, context) {
+    const source = typeof expression === 'string' ? expression : '';
+    const stages = typeof expression === 'string' ? parse(expression) : expression;
+    let value = context ?? null;
+
+    for (const { name, args, position } of stages) {
+      const operation = OPERATIONS[name];
+      try {
+        if (operation.list) {
+          value = operation.list(Array.isArray(value) ? value : value === null ? [] : [value], ...args);
+        } else if (Array.isArray(value)) {
+          const mapped = value.map(item =>
+            item === null && !operation.nullable ? null : operation.item(item, ...args));
+          value = capList(operation.spread ? mapped.flat() : mapped);
+        } else if (value !== null || operation.nullable) {
+          value = operation.item(value, ...args);
+          if (Array.isArray(value)) capList(value);
+        }
+      } catch (error) {
+        if (!(error instanceof ExtractExpressionError) || error.position !== undefined) throw error;
+        throw new ExtractExpressionError(error.message, source, source ? position : undefined);
+      }
+    }
+
+    return finalize(value);
+  }
+
+  function finalize(value) {
+    if (Array.isArray(value)) return value.map(finalize);
+    if (isElement(value)) return elementText(value);
+    return value ?? null;
+  }
+
+  return {
+    parse,
+    evaluate,
+    ExtractExpressionError,
+    operations: Object.keys(OPERATIONS)
+  };
+})();
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = globalThis.ExtractExpression;
+}
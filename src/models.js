@@ -0,0 +1,63 @@
+/**
+ * Model Registry
+ * Known models per provider and their capabilities, shared by the UI and the client
+ */
+
+/*
+ * contextWindow and maxOutput are in tokens. For local models the window is what
+ * we ask Ollama to allocate (num_ctx), which is kept below the model maximum
+ * because the memory for it is reserved up front.
+ */
+export const MODELS = {
+  openai: [
+    { value: 'gpt-4-turbo-preview', label: 'GPT-4 Turbo', contextWindow: 128000, maxOutput: 4096, tools: true, vision: false },
+    { value: 'gpt-4o', label: 'GPT-4o', contextWindow: 128000, maxOutput: 16384, tools: true, vision: true },
+    { value: 'gpt-4o-mini', label: 'GPT-4o Mini', contextWindow: 128000, maxOutput: 16384, tools: true, vision: true },
+    { value: 'gpt-3.5-turbo', label: 'GPT-3.5 Turbo', contextWindow: 16385, maxOutput: 4096, tools: true, vision: false }
+  ],
+  anthropic: [
+    { value: 'claude-sonnet-4-5-20250514', label: 'Claude Sonnet 4.5', contextWindow: 200000, maxOutput: 64000, tools: true, vision: true },
+    { value: 'claude-3-5-sonnet-20241022', label: 'Claude 3.5 Sonnet', contextWindow: 200000, maxOutput: 8192, tools: true, vision: true },
+    { value: 'claude-3-5-haiku-20241022', label: 'Claude 3.5 Haiku', contextWindow: 200000, maxOutput: 8192, tools: true, vision: false },
+    { value: 'claude-3-opus-20240229', label: 'Claude 3 Opus', contextWindow: 200000, maxOutput: 4096, tools: true, vision: true }
+  ],
+  local: [
+    { value: 'llama3', label: 'Llama 3', contextWindow: 8192, maxOutput: 2048, tools: false, vision: false },
+    { value: 'llama3.1', label: 'Llama 3.1', contextWindow: 32768, maxOutput: 4096, tools: true, vision: false },
+    { value: 'mistral', label: 'Mistral', contextWindow: 32768, maxOutput: 4096, tools: true, vision: false },
+    { value: 'codellama', label: 'Code Llama', contextWindow: 16384, maxOutput: 4096, tools: false, vision: false },
+    { value: 'gemma2', label: 'Gemma 2', contextWindow: 8192, maxOutput: 2048, tools: false, vision: false },
+    { value: 'llama3.2-vision', label: 'Llama 3.2 Vision', contextWindow: 16384, maxOutput: 2048, tools: false, vision: true },
+    { value: 'llava', label: 'LLaVA', contextWindow: 4096, maxOutput: 1024, tools: false, vision: true }
+  ],
+  // Free-text model name; whatever the server exposes
+  'openai-compatible': []
+};
+
+// Unknown models get conservative limits so requests still fit
+export const DEFAULT_CAPABILITIES = {
+  contextWindow: 8192,
+  maxOutput: 2048,
+  tools: true,
+  vision: false
+};
+
+/**
+ * Look up a model's capabilities. Dated or tagged variants ("gpt-4o-2024-08-06",
+ * "llama3.1:8b") match the longest known name they start with, from any provider,
+ * since gateways serve the same models. A context window set in the settings
+ * overrides the registry.
+ */
+export function getModelInfo(provider, model, overrides = {}) {
+  const name = (model || '').toLowerCase();
+  const known = Object.values(MODELS).flat()
+    .filter(m => name === m.value || name.startsWith(`${m.value}-`) || name.startsWith(`${m.value}:`))
+    .sort((a, b) => b.value.length - a.value.length)[0];
+
+  const info = { ...DEFAULT_CAPABILITIES, ...known, value: model, provider };
+  if (overrides.contextWindow > 0) {
+    info.contextWindow = overrides.contextWindow;
+    info.maxOutput = Math.min(info.maxOutput, Math.floor(overrides.contextWindow / 4));
+  }
+  return info;
+}
@@ -0,0 +1,280 @@
+/**
+ * Page Context
+ * Packs a page structure into a token budget, most useful sections first
+ */
+
+import { estimateTokens } from './ai-client.js';
+
+// Section orders for each use; earlier sections get the budget first
+export const CONTEXT_PRIORITIES = {
+  chat: ['info', 'headings', 'forms', 'interactive', 'text'],
+  summarize: ['headings', 'text'],
+  extract: ['text'],
+  analyze: ['info', 'headings', 'forms', 'navigation', 'interactive', 'text']
+};
+
+// An accessibility snapshot already covers headings, forms, navigation and controls
+const ACCESSIBILITY_PRIORITIES = {
+  chat: ['info', 'accessibility', 'text'],
+  analyze: ['info', 'accessibility', 'text']
+};
+
+/**
+ * Section order for a use of the page. The extracted main article, when there
+ * is one, stands in for the raw body text.
+ */
+export function prioritiesFor(use, page) {
+  const priorities = (page?.accessibilityTree && ACCESSIBILITY_PRIORITIES[use]) || CONTEXT_PRIORITIES[use];
+  return page?.mainContent?.markdown
+    ? priorities.map(section => section === 'text' ? 'article' : section)
+    : priorities;
+}
+
+// Below this many tokens a truncated body excerpt isn't worth including
+const MIN_TEXT_EXCERPT = 100;
+
+function describeElement(el) {
+  const label = (el.text || el.ariaLabel || el.placeholder || el.name || '').replace(/\s+/g, ' ').trim();
+  let line = `- ${el.ref ? `[${el.ref}] ` : ''}${el.ariaRole || el.tag}`;
+  if (el.type && el.tag === 'input') line += `[${el.type}]`;
+  if (label) line += ` "${label.slice(0, 80)}"`;
+  if (el.id) line += ` #${el.id}`;
+  if (el.name && el.name !== label) line += ` name=${el.name}`;
+  if (el.href) line += ` → ${el.href}`;
+  return line;
+}
+
+const SECTIONS = {
+  info: page => ({
+    title: 'Page info',
+    lines: page.structure ? [
+      page.meta?.description && `- Description: ${page.meta.description}`,
+      `- Has login form: ${page.structure.hasLoginForm}`,
+      `- Has search: ${page.structure.hasSearch}`,
+      `- Content areas: ${page.structure.contentAreas}`,
+      `- Interactive elements: ${page.interactive?.total || 0}`,
+      `- Forms: ${page.forms?.length || 0}`,
+      page.frames?.length && `- Embedded frames: ${page.frames.map(f => `frame ${f.frameId} (${f.title || f.url})`).join(', ')}`,
+      page.textContent?.wordCount && `- Words: ${page.textContent.wordCount}`
+    ].filter(Boolean) : []
+  }),
+
+  headings: page => ({
+    title: 'Page headings',
+    lines: (page.headings || []).map(h => `${'  '.repeat(h.level - 1)}H${h.level}: ${h.text}`)
+  }),
+
+  forms: page => ({
+    title: 'Forms',
+    lines: (page.forms || []).flatMap((form, i) => [
+      `Form ${i + 1}${form.id ? ` #${form.id}` : ''}${form.frameId ? ` in frame ${form.frameId}` : ''} (${(form.method || 'get').toUpperCase()} ${form.action || ''})`,
+      ...(form.fields || []).map(field => `  ${describeElement(field)}`)
+    ])
+  }),
+
+  navigation: page => ({
+    title: 'Navigation',
+    lines: (page.navigation || [])
+      .map(nav => nav.text?.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .map(text => `- ${text}`)
+  }),
+
+  interactive: page => ({
+    title: 'Interactive elements',
+    lines: (page.interactive?.elements || []).map(describeElement)
+  }),
+
+  accessibility: page => ({
+    title: 'Accessibility tree',
+    lines: (page.accessibilityTree || '').split('\n').filter(Boolean)
+  }),
+
+  article: page => ({
+    title: 'Main content (Markdown)',
+    lines: page.mainContent.markdown.split('\n'),
+    truncatable: true
+  }),
+
+  text: page => ({
+    title: 'Page text',
+    lines: (page.textContent?.body || '').split(/\n+/).map(line => line.trim()).filter(Boolean),
+    truncatable: true
+  })
+};
+
+/**
+ * Render the sections of `page` named in `priorities` as prompt text using at
+ * most `budget` estimated tokens. Each section takes as many of its lines as
+ * still fit, then the next section gets what is left; the page text may be cut
+ * mid-paragraph. Omissions are noted so the model knows the view is partial.
+ */
+export function packPageContext(page, budget, priorities = CONTEXT_PRIORITIES.chat) {
+  if (!page) return '';
+
+  const parts = [];
+  let remaining = budget;
+
+  for (const name of priorities) {
+    const { title, lines, truncatable } = SECTIONS[name](page);
+    if (lines.length === 0) continue;
+
+    const headerCost = estimateTokens(title) + 2;
+    remaining -= headerCost;
+    const taken = [];
+    let cut = false;
+
+    for (const line of lines) {
+      const cost = estimateTokens(line) + 1;
+      if (cost <= remaining) {
+        taken.push(line);
+        remaining -= cost;
+        continue;
+      }
+      if (truncatable && remaining >= MIN_TEXT_EXCERPT) {
+        // Leave room for the omission note
+        taken.push(`${line.slice(0, Math.floor((remaining - 20) * 3.5))}…`);
+        remaining = 0;
+      }
+      cut = true;
+      break;
+    }
+
+    if (taken.length === 0) {
+      remaining += headerCost;
+      continue;
+    }
+
+    const omitted = lines.length - taken.length;
+    if (cut) {
+      taken.push(truncatable
+        ? `(…truncated to fit, about ${(name === 'article' ? page.mainContent : page.textContent)?.wordCount || 'more'} words in total)`
+        : `(…${omitted} more not shown)`);
+    }
+    parts.push(`${title}:\n${taken.join('\n')}`);
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Fold the snapshots of a tab's iframes into the top page's, so one context
+ * covers the whole tab. Elements keep the frameId the content script tagged
+ * them with, and refs from a subframe name it ("f3e12"), which is how tool
+ * calls find their way back to the right frame.
+ */
+export function mergeFrameSnapshots(page, frames) {
+  const concat = key => [...(page[key] || []), ...frames.flatMap(frame => frame[key] || [])];
+  const interactive = key => [...(page.interactive?.[key] || []), ...frames.flatMap(frame => frame.interactive?.[key] || [])];
+  const frameLabel = frame => `frame ${frame.frameId}: ${frame.title || frame.url}`;
+
+  return {
+    ...page,
+    frames: frames.map(({ frameId, url, title }) => ({ frameId, url, title })),
+    structure: page.structure && {
+      ...page.structure,
+      hasLoginForm: page.structure.hasLoginForm || frames.some(frame => frame.structure?.hasLoginForm),
+      hasSearch: page.structure.hasSearch || frames.some(frame => frame.structure?.hasSearch)
+    },
+    headings: concat('headings'),
+    forms: concat('forms'),
+    interactive: {
+      ...page.interactive,
+      total: (page.interactive?.total || 0) + frames.reduce((sum, frame) => sum + (frame.interactive?.total || 0), 0),
+      links: interactive('links'),
+      inputs: interactive('inputs'),
+      elements: interactive('elements')
+    },
+    accessibilityTree: page.accessibilityTree === undefined ? undefined : [
+      page.accessibilityTree,
+      ...frames.map(frame => [
+        `- iframe "${frameLabel(frame)}"`,
+        ...(frame.accessibilityTree || '').split('\n').filter(Boolean).map(line => `  ${line}`)
+      ].join('\n'))
+    ].join('\n'),
+    textContent: page.textContent && {
+      body: [page.textContent.body, ...frames.map(frame => `[${frameLabel(frame)}]\n${frame.textContent?.body || ''}`)].join('\n\n'),
+      wordCount: page.textContent.wordCount + frames.reduce((sum, frame) => sum + (frame.textContent?.wordCount || 0), 0)
+    }
+  };
+}
+
+function sliceToTokens(text, maxTokens) {
+  const size = Math.max(1, Math.floor(maxTokens * 3.5));
+  const parts = [];
+  for (let i = 0; i < text.length; i += size) parts.push(text.slice(i, i + size));
+  return parts;
+}
+
+/**
+ * Split page text into chunks of at most `maxTokens` for map-reduce work.
+ * Breaks fall on Markdown headings where possible, then between lines, and
+ * only cut inside a line that is too long on its own. Each chunk lists the
+ * headings it covers and a label, so summaries can refer back to sections.
+ */
+export function splitIntoChunks(text, maxTokens) {
+  const sections = [];
+  let current = null;
+
+  for (const line of text.split('\n')) {
+    const heading = line.match(/^#{1,6}\s+(.+)/)?.[1].trim();
+    const hasContent = current?.lines.some(l => l.trim() && !/^#{1,6}\s/.test(l));
+    if (!current || (heading && hasContent)) {
+      current = { headings: [], lines: [] };
+      sections.push(current);
+    }
+    if (heading) current.headings.push(heading);
+    current.lines.push(line);
+  }
+
+  // Sections that are too big on their own are broken into line groups
+  const pieces = sections.flatMap(section => {
+    const sectionText = section.lines.join('\n');
+    if (estimateTokens(sectionText) <= maxTokens) return [{ headings: section.headings, text: sectionText }];
+
+    const parts = [];
+    let buffer = [];
+    let tokens = 0;
+    const flush = () => {
+      if (buffer.length > 0) parts.push({ headings: parts.length ? [] : section.headings, text: buffer.join('\n') });
+      buffer = [];
+      tokens = 0;
+    };
+
+    for (const line of section.lines) {
+      for (const part of estimateTokens(line) > maxTokens ? sliceToTokens(line, maxTokens) : [line]) {
+        const cost = estimateTokens(part) + 1;
+        if (tokens + cost > maxTokens) flush();
+        buffer.push(part);
+        tokens += cost;
+      }
+    }
+    flush();
+    return parts;
+  });
+
+  // Pack consecutive pieces into chunks
+  const chunks = [];
+  let chunk = null;
+  for (const piece of pieces) {
+    if (!piece.text.trim()) continue;
+    const tokens = estimateTokens(piece.text) + 1;
+    if (!chunk || chunk.tokens + tokens > maxTokens) {
+      chunk = { index: chunks.length + 1, headings: [], parts: [], tokens: 0 };
+      chunks.push(chunk);
+    }
+    chunk.headings.push(...piece.headings);
+    chunk.parts.push(piece.text);
+    chunk.tokens += tokens;
+  }
+
+  // Chunks that start mid-section are labelled after the section they continue
+  let lastHeading = null;
+  return chunks.map(({ index, headings, parts }) => {
+    const label = headings.length > 0
+      ? headings.join(' / ')
+      : lastHeading ? `${lastHeading} (continued)` : `Part ${index}`;
+    lastHeading = headings[headings.length - 1] || lastHeading;
+    return { index, headings, label, text: parts.join('\n') };
+  });
+}
@@ -0,0 +1,77 @@
+/**
+ * Tool Policies
+ * Per-tool and per-site rules deciding whether a tool call runs, needs approval, or is blocked
+ */
+
+export const POLICY_OPTIONS = [
+  { value: 'always', label: 'Always allow' },
+  { value: 'ask', label: 'Ask first' },
+  { value: 'never', label: 'Never allow' }
+];
+
+// Anything that changes the page or leaves it asks first; read-only tools run freely
+export const TOOL_POLICY_DEFAULTS = {
+  click_element: 'ask',
+  fill_form: 'ask',
+  navigate: 'ask',
+  scroll_page: 'always',
+  find_text: 'always',
+  extract_data: 'always',
+  extract_table: 'always',
+  extract_all_pages: 'ask',
+  wait_for: 'always',
+  check: 'ask',
+  uncheck: 'ask',
+  choose_radio: 'ask',
+  press_key: 'ask',
+  clear: 'ask',
+  submit_form: 'ask',
+  fill_form_from_profile: 'ask',
+  take_screenshot: 'always',
+  list_tabs: 'always',
+  read_tab: 'always',
+  switch_tab: 'always',
+  open_tab: 'ask',
+  close_tab: 'ask',
+  hover: 'always',
+  focus: 'always'
+};
+
+const STRICTNESS = { always: 0, ask: 1, never: 2 };
+
+function siteRule(sites, url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    return null;
+  }
+
+  // The most specific matching domain wins (shop.example.com over example.com)
+  const match = Object.keys(sites || {})
+    .filter(domain => hostname === domain || hostname.endsWith(`.${domain}`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? sites[match] : null;
+}
+
+/**
+ * Resolve the policy for one tool call. `never` on either the tool or the site
+ * always wins; otherwise a site rule overrides the tool rule. `urls` lists every
+ * page the call touches (the current page, plus the destination for navigate
+ * and open_tab or the tab a cross-tab tool targets).
+ */
+export function resolveToolPolicy(policies, tool, urls) {
+  const toolRule = policies?.tools?.[tool] || TOOL_POLICY_DEFAULTS[tool] || 'ask';
+
+  let result = null;
+  for (const url of urls.filter(Boolean)) {
+    const rule = siteRule(policies?.sites, url);
+    if (rule && (result === null || STRICTNESS[rule] > STRICTNESS[result])) {
+      result = rule;
+    }
+  }
+
+  if (toolRule === 'never' || result === 'never') return 'never';
+  return result || toolRule;
+}
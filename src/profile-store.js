@@ -0,0 +1,154 @@
+/**
+ * Profile Store
+ * Autofill profiles, encrypted at rest with a key that cannot be exported
+ */
+
+import { StorageManager } from './utils.js';
+
+const PROFILES_KEY = 'autofill_profiles';
+
+// The AES key lives in IndexedDB, which can hold a CryptoKey without exposing its bytes
+const KEY_DB = 'ai-assistant-keys';
+const KEY_STORE = 'keys';
+const KEY_ID = 'autofill_profiles';
+
+function toBase64(bytes) {
+  let binary = '';
+  for (const byte of new Uint8Array(bytes)) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+function keyStoreRequest(mode, makeRequest) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(KEY_DB, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(KEY_STORE);
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const db = open.result;
+      const request = makeRequest(db.transaction(KEY_STORE, mode).objectStore(KEY_STORE));
+      request.onsuccess = () => { db.close(); resolve(request.result); };
+      request.onerror = () => { db.close(); reject(request.error); };
+    };
+  });
+}
+
+/**
+ * Profiles are `{ id, name, fields }`, where fields maps keys ("email",
+ * "postal_code", or anything the user adds) to values. The whole list is
+ * stored as one AES-GCM blob in chrome.storage; the key is generated on first
+ * use as non-extractable, so the stored data is useless outside this profile
+ * of the browser. Clearing the extension's site data loses the key, and with
+ * it the saved profiles.
+ */
+export class ProfileStore {
+  constructor(storage = new StorageManager()) {
+    this.storage = storage;
+    this.key = null;
+  }
+
+  getKey() {
+    this.key ||= this.loadKey().catch(error => {
+      this.key = null;
+      throw error;
+    });
+    return this.key;
+  }
+
+  async loadKey() {
+    const existing = await keyStoreRequest('readonly', store => store.get(KEY_ID));
+    if (existing) return existing;
+
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    try {
+      await keyStoreRequest('readwrite', store => store.add(key, KEY_ID));
+      return key;
+    } catch {
+      // Another context stored its key first; use that one
+      return keyStoreRequest('readonly', store => store.get(KEY_ID));
+    }
+  }
+
+  // A failed decryption throws with `undecryptable` set; storage and key errors pass through as they are
+  async loadAll() {
+    const stored = await this.storage.get(PROFILES_KEY);
+    if (!stored) return [];
+
+    const key = await this.getKey();
+    try {
+      const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(stored.iv) },
+        key,
+        fromBase64(stored.data)
+      );
+      return JSON.parse(new TextDecoder().decode(plain));
+    } catch {
+      throw Object.assign(
+        new Error('Saved autofill profiles could not be decrypted, probably because the extension data was cleared. Delete them to start over.'),
+        { undecryptable: true }
+      );
+    }
+  }
+
+  async saveAll(profiles) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      await this.getKey(),
+      new TextEncoder().encode(JSON.stringify(profiles))
+    );
+    await this.storage.set(PROFILES_KEY, { iv: toBase64(iv), data: toBase64(data) });
+  }
+
+  // Names and keys only; values stay here until a fill needs them
+  async list() {
+    return (await this.loadAll()).map(({ id, name, fields }) => ({ id, name, keys: Object.keys(fields) }));
+  }
+
+  // A profile by id or by name, ignoring case
+  async get(idOrName) {
+    const wanted = String(idOrName || '').trim().toLowerCase();
+    return (await this.loadAll()).find(p => p.id === idOrName || p.name.toLowerCase() === wanted) || null;
+  }
+
+  async save({ id, name, fields }) {
+    name = String(name || '').trim();
+    if (!name) throw new Error('A profile needs a name');
+
+    const profiles = await this.loadAll();
+    if (profiles.some(p => p.id !== id && p.name.toLowerCase() === name.toLowerCase())) {
+      throw new Error(`A profile named "${name}" already exists`);
+    }
+
+    const profile = { id: id || `profile_${Date.now().toString(36)}`, name, fields: { ...fields } };
+    const index = profiles.findIndex(p => p.id === profile.id);
+    if (index >= 0) profiles[index] = profile;
+    else profiles.push(profile);
+
+    await this.saveAll(profiles);
+    return profile;
+  }
+
+  async remove(id) {
+    if (!id) throw new Error('No profile to delete');
+
+    const profiles = await this.loadAll();
+    if (!profiles.some(p => p.id === id)) throw new Error('That profile no longer exists');
+    await this.saveAll(profiles.filter(p => p.id !== id));
+  }
+
+  // How the user starts over when the profiles can't be decrypted; refuses while they still can be
+  async clear() {
+    try {
+      await this.loadAll();
+    } catch (error) {
+      if (!error.undecryptable) throw error;
+      await this.storage.remove(PROFILES_KEY);
+      return;
+    }
+    throw new Error('The saved profiles can still be read; delete them one at a time');
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * Session Store
+ * Persists conversations to chrome.storage so they survive service worker restarts
+ */
+
+import { StorageManager } from './utils.js';
+
+const INDEX_KEY = 'session_index';
+const SESSION_PREFIX = 'session:';
+const BOOT_KEY = 'session_boot';
+
+const STORE_CONFIG = {
+  // Start evicting the oldest conversations above this share of the storage quota
+  QUOTA_HIGH_WATER: 0.8,
+  MAX_SESSIONS: 200,
+  RETENTION_MS: 30 * 24 * 60 * 60 * 1000
+};
+
+export function domainOf(url) {
+  try {
+    return new URL(url).hostname || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Conversations are keyed by tab and domain: navigating a tab to another site
+ * starts a new conversation, coming back within the browser session resumes it.
+ * After a browser restart tab IDs are reassigned, so stored conversations are
+ * detached and re-adopted by the first tab that opens the same URL.
+ */
+export class SessionStore {
+  constructor(storage = new StorageManager()) {
+    this.storage = storage;
+    this.index = null;
+    this.sessions = new Map();
+    this.restoring = null;
+  }
+
+  // Listeners can fire before start-up finishes, so every caller shares one load
+  restore() {
+    this.restoring ||= this.loadIndex();
+    return this.restoring;
+  }
+
+  async loadIndex() {
+    const entries = await this.storage.get(INDEX_KEY) || [];
+    const index = new Map(entries.map(meta => [meta.id, meta]));
+
+    // chrome.storage.session is wiped when the browser quits, unlike worker restarts
+    const { [BOOT_KEY]: booted } = await chrome.storage.session.get(BOOT_KEY);
+    if (!booted) {
+      for (const meta of index.values()) meta.tabId = null;
+      await chrome.storage.session.set({ [BOOT_KEY]: Date.now() });
+    }
+
+    this.index = index;
+    if (!booted) await this.saveIndex();
+  }
+
+  async find(tabId, url) {
+    await this.restore();
+    const domain = domainOf(url);
+
+    const byRecency = (a, b) => b.lastActivity - a.lastActivity;
+    const metas = Array.from(this.index.values()).sort(byRecency);
+
+    let meta = metas.find(m => m.tabId === tabId && m.domain === domain);
+
+    if (!meta && url) {
+      meta = metas.find(m => m.tabId === null && m.url === url);
+      if (meta) meta.tabId = tabId;
+    }
+
+    return meta ? this.load(meta.id) : null;
+  }
+
+  async getOrCreate(tabId, { url, title, model } = {}) {
+    const existing = await this.find(tabId, url);
+    if (existing) return existing;
+
+    const now = Date.now();
+    const session = {
+      id: `${now.toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      tabId,
+      url: url || null,
+      domain: domainOf(url),
+      title: title || null,
+      model: model || null,
+      history: [],
+      createdAt: now,
+      lastActivity: now
+    };
+
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  async load(id) {
+    if (this.sessions.has(id)) return this.sessions.get(id);
+
+    const stored = await this.storage.get(SESSION_PREFIX + id);
+    if (!stored) {
+      this.index.delete(id);
+      return null;
+    }
+
+    // Index fields win: they are updated without rewriting the session
+    const session = { ...stored, ...this.metaFields(this.index.get(id) || stored) };
+    this.sessions.set(id, session);
+    return session;
+  }
+
+  async save(session) {
+    await this.restore();
+    session.lastActivity = Date.now();
+
+    this.sessions.set(session.id, session);
+    this.index.set(session.id, this.metaFields(session));
+
+    const saved = await this.storage.set(SESSION_PREFIX + session.id, session);
+    await this.saveIndex();
+
+    if (!saved || await this.overQuota()) {
+      await this.evict(session.id);
+      if (!saved) await this.storage.set(SESSION_PREFIX + session.id, session);
+    }
+  }
+
+  async delete(id) {
+    await this.restore();
+    this.sessions.delete(id);
+    this.index.delete(id);
+    await this.storage.remove(SESSION_PREFIX + id);
+    await this.saveIndex();
+  }
+
+  list() {
+    return Array.from(this.index?.values() || [])
+      .sort((a, b) => b.lastActivity - a.lastActivity);
+  }
+
+  /**
+   * Full-text search over titles, URLs and message text. Returns index entries
+   * with a short snippet around the first match in the messages.
+   */
+  async search(query) {
+    await this.restore();
+    const metas = this.list();
+    const needle = query?.trim().toLowerCase();
+    if (!needle) return metas;
+
+    const results = [];
+    for (const meta of metas) {
+      const session = this.sessions.get(meta.id) || await this.storage.get(SESSION_PREFIX + meta.id);
+      const hit = session?.history?.find(m => m.content?.toLowerCase().includes(needle));
+
+      if (hit) {
+        const at = hit.content.toLowerCase().indexOf(needle);
+        const start = Math.max(0, at - 60);
+        const snippet = (start > 0 ? '…' : '') + hit.content.slice(start, at + needle.length + 60).replace(/\s+/g, ' ');
+        results.push({ ...meta, snippet });
+      } else if (`${meta.title} ${meta.url}`.toLowerCase().includes(needle)) {
+        results.push(meta);
+      }
+    }
+    return results;
+  }
+
+  // Keep the conversation when its tab closes so the URL can reopen it later
+  async detachTab(tabId) {
+    await this.restore();
+    let changed = false;
+    for (const meta of this.index.values()) {
+      if (meta.tabId === tabId) {
+        meta.tabId = null;
+        this.sessions.delete(meta.id);
+        changed = true;
+      }
+    }
+    if (changed) await this.saveIndex();
+  }
+
+  async trackNavigation(tabId, url) {
+    await this.restore();
+    const domain = domainOf(url);
+    let changed = false;
+    for (const meta of this.index.values()) {
+      if (meta.tabId === tabId && meta.domain === domain && meta.url !== url) {
+        meta.url = url;
+        const cached = this.sessions.get(meta.id);
+        if (cached) cached.url = url;
+        changed = true;
+      }
+    }
+    if (changed) await this.saveIndex();
+  }
+
+  /**
+   * Drop cached conversations idle longer than `idleMs` from memory and delete
+   * stored ones past the retention period.
+   */
+  async prune(idleMs) {
+    await this.restore();
+    const now = Date.now();
+
+    for (const [id, session] of this.sessions) {
+      if (now - session.lastActivity > idleMs) this.sessions.delete(id);
+    }
+
+    for (const meta of Array.from(this.index.values())) {
+      if (now - meta.lastActivity > STORE_CONFIG.RETENTION_MS) {
+        await this.delete(meta.id);
+      }
+    }
+  }
+
+  async overQuota() {
+    const quota = chrome.storage.local.QUOTA_BYTES || 10 * 1024 * 1024;
+    const used = await this.storage.bytesInUse();
+    return used > quota * STORE_CONFIG.QUOTA_HIGH_WATER || this.index.size > STORE_CONFIG.MAX_SESSIONS;
+  }
+
+  // Remove least recently used conversations until usage is back under the limit
+  async evict(keepId) {
+    const oldestFirst = this.list().reverse().filter(meta => meta.id !== keepId);
+
+    for (const meta of oldestFirst) {
+      if (!(await this.overQuota())) break;
+      await this.delete(meta.id);
+      console.log('[AI Assistant] Evicted stored conversation', meta.id);
+    }
+  }
+
+  metaFields(session) {
+    return {
+      id: session.id,
+      tabId: session.tabId,
+      url: session.url,
+      domain: session.domain,
+      title: session.title,
+      model: session.model,
+      createdAt: session.createdAt,
+      lastActivity: session.lastActivity,
+      messageCount: session.history?.length ?? session.messageCount ?? 0
+    };
+  }
+
+  async saveIndex() {
+    await this.storage.set(INDEX_KEY, Array.from(this.index.values()));
+  }
+}
@@ -3,42 +3,119 @@
  * Manages chat interface and user interactions
  */
 
-import { StorageManager } from './utils.js';
-
-const MODELS = {
-  openai: [
-    { value: 'gpt-4-turbo-preview', label: 'GPT-4 Turbo' },
-    { value: 'gpt-4o', label: 'GPT-4o' },
-    { value: 'gpt-4o-mini', label: 'GPT-4o Mini' },
-    { value: 'gpt-3.5-turbo', label: 'GPT-3.5 Turbo' }
-  ],
-  anthropic: [
-    { value: 'claude-sonnet-4-5-20250514', label: 'Claude Sonnet 4.5' },
-    { value: 'claude-3-5-sonnet-20241022', label: 'Claude 3.5 Sonnet' },
-    { value: 'claude-3-5-haiku-20241022', label: 'Claude 3.5 Haiku' },
-    { value: 'claude-3-opus-20240229', label: 'Claude 3 Opus' }
-  ],
-  local: [
-    { value: 'llama3', label: 'Llama 3' },
-    { value: 'llama3.1', label: 'Llama 3.1' },
-    { value: 'mistral', label: 'Mistral' },
-    { value: 'codellama', label: 'Code Llama' },
-    { value: 'gemma2', label: 'Gemma 2' }
-  ]
+import { StorageManager, Debouncer } from './utils.js';
+import { POLICY_OPTIONS, TOOL_POLICY_DEFAULTS } from './policies.js';
+import { MODELS, getModelInfo } from './models.js';
+import { PROFILE_FIELDS } from './autofill.js';
+import { BATCH_CONFIG, parseUrlList, batchTable } from './batch-runner.js';
+
+const BASE_URL_DEFAULTS = {
+  local: {
+    label: 'Ollama URL',
+    placeholder: 'http://localhost:11434',
+    hint: 'Default: http://localhost:11434'
+  },
+  'openai-compatible': {
+    label: 'Base URL',
+    placeholder: 'http://localhost:1234/v1',
+    hint: 'The URL that /chat/completions is appended to (LM Studio, vLLM, llama.cpp, LiteLLM, gateways).'
+  }
 };
 
+/**
+ * Parse "example.com: never" lines into a domain → policy map.
+ */
+function parseSitePolicies(text) {
+  const sites = {};
+  const valid = POLICY_OPTIONS.map(o => o.value);
+
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+
+    const [domain, policy] = trimmed.split(':').map(part => part.trim().toLowerCase());
+    if (!domain || !valid.includes(policy)) {
+      throw new Error(`Invalid site rule: "${trimmed}" (use "domain: always|ask|never")`);
+    }
+    sites[domain.replace(/^\*\./, '')] = policy;
+  }
+  return sites;
+}
+
+/**
+ * Parse "key: value" lines into profile fields. Keys are lower-cased with
+ * spaces turned into underscores, so "Postal code" means postal_code.
+ */
+function parseProfileFields(text) {
+  const fields = {};
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+
+    const idx = trimmed.indexOf(':');
+    if (idx <= 0) throw new Error(`Invalid profile line: "${trimmed}" (use "key: value")`);
+    fields[trimmed.slice(0, idx).trim().toLowerCase().replace(/[\s-]+/g, '_')] = trimmed.slice(idx + 1).trim();
+  }
+  return fields;
+}
+
+const BATCH_MODES = {
+  prompt: {
+    placeholder: 'e.g. Company name, cheapest plan price, and whether there is a free trial',
+    hint: 'Ask for the same things on every page; each one becomes a column.'
+  },
+  extract: {
+    placeholder: '{\n  "title": { "selector": "h1" },\n  "price": { "selector": ".price", "expression": "text | number" }\n}',
+    hint: 'An extract_data schema as JSON. Runs on the page without the AI model.'
+  }
+};
+
+function isConfigured(config) {
+  if (config?.provider === 'local') return true;
+  if (config?.provider === 'openai-compatible') return !!config.baseUrl;
+  return !!config?.apiKey;
+}
+
+/**
+ * Parse "Header-Name: value" lines into an object. Blank lines and lines
+ * starting with # are ignored.
+ */
+function parseHeaders(text) {
+  const headers = {};
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+
+    const idx = trimmed.indexOf(':');
+    if (idx <= 0) throw new Error(`Invalid header line: "${trimmed}"`);
+    headers[trimmed.slice(0, idx).trim()] = trimmed.slice(idx + 1).trim();
+  }
+  return headers;
+}
+
 class SidePanel {
   constructor() {
     this.chatHistory = document.getElementById('chat-history');
     this.messageInput = document.getElementById('message-input');
     this.sendBtn = document.getElementById('send-btn');
+    this.stopBtn = document.getElementById('stop-btn');
     this.pageContext = document.getElementById('page-context');
     this.pageTitle = document.getElementById('page-title');
     this.statusBar = document.getElementById('status-bar');
     this.settingsModal = document.getElementById('settings-modal');
+    this.historyModal = document.getElementById('history-modal');
+    this.batchModal = document.getElementById('batch-modal');
+    this.findBar = document.getElementById('find-bar');
+    this.findInput = document.getElementById('find-input');
+    this.findCount = document.getElementById('find-count');
 
     this.currentTab = null;
     this.isLoading = false;
+    this.activePort = null;
+    this.conversationKey = null;
+    this.historySearch = new Debouncer(250);
+    this.findSearch = new Debouncer(200);
+    this.findCaseSensitive = false;
     this.storage = new StorageManager();
 
     this.init();
@@ -51,7 +128,7 @@ class SidePanel {
     await this.updateActiveTab();
 
     const config = await this.storage.get('ai_config');
-    if (!config?.apiKey && config?.provider !== 'local') {
+    if (!isConfigured(config)) {
       this.showWelcomeWithSetup();
     }
 
@@ -60,6 +137,7 @@ class SidePanel {
 
   setupEventListeners() {
     this.sendBtn.addEventListener('click', () => this.sendMessage());
+    this.stopBtn.addEventListener('click', () => this.stopRequest());
     this.messageInput.addEventListener('keydown', (e) => {
       if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
@@ -72,19 +150,74 @@ class SidePanel {
     });
 
     document.getElementById('clear-btn').addEventListener('click', () => this.clearConversation());
+    document.getElementById('history-btn').addEventListener('click', () => this.openHistory());
+    document.getElementById('close-history').addEventListener('click', () => this.closeHistory());
+    document.getElementById('history-back').addEventListener('click', () => this.showHistoryList());
+    document.getElementById('history-search').addEventListener('input', () => {
+      this.historySearch.execute(() => this.refreshHistoryList());
+    });
+    this.historyModal.addEventListener('click', (e) => {
+      if (e.target === this.historyModal) this.closeHistory();
+    });
+    document.getElementById('batch-btn').addEventListener('click', () => this.openBatch());
+    document.getElementById('close-batch').addEventListener('click', () => this.closeBatch());
+    document.getElementById('batch-from-tabs').addEventListener('click', () => this.addOpenTabsToBatch());
+    document.getElementById('batch-from-links').addEventListener('click', () => this.addPageLinksToBatch());
+    document.getElementById('batch-urls-input').addEventListener('input', () => this.updateBatchUrlHint());
+    document.getElementById('batch-mode-select').addEventListener('change', () => this.updateBatchMode());
+    document.getElementById('batch-run').addEventListener('click', () => this.startBatch());
+    document.getElementById('batch-cancel').addEventListener('click', () => this.batchAction({ action: 'cancel_batch' }));
+    document.getElementById('batch-retry-failed').addEventListener('click', () => this.batchAction({ action: 'retry_batch' }));
+    document.getElementById('batch-export-csv').addEventListener('click', () => this.exportBatch('csv'));
+    document.getElementById('batch-export-json').addEventListener('click', () => this.exportBatch('json'));
+    this.batchModal.addEventListener('click', (e) => {
+      if (e.target === this.batchModal) this.closeBatch();
+    });
+    document.getElementById('find-btn').addEventListener('click', () => this.openFind());
+    document.getElementById('find-close').addEventListener('click', () => this.closeFind());
+    document.getElementById('find-prev').addEventListener('click', () => this.stepFind(-1));
+    document.getElementById('find-next').addEventListener('click', () => this.stepFind(1));
+    document.getElementById('find-case').addEventListener('click', (e) => {
+      this.findCaseSensitive = !this.findCaseSensitive;
+      e.currentTarget.classList.toggle('active', this.findCaseSensitive);
+      this.runFind();
+    });
+    this.findInput.addEventListener('input', () => {
+      this.findSearch.execute(() => this.runFind());
+    });
+    this.findInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.stepFind(e.shiftKey ? -1 : 1);
+      } else if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.closeFind();
+      }
+    });
     document.getElementById('settings-btn').addEventListener('click', () => this.openSettings());
     document.getElementById('close-settings').addEventListener('click', () => this.closeSettings());
     document.getElementById('save-settings').addEventListener('click', () => this.saveSettings());
+    document.getElementById('profile-select').addEventListener('change', (e) => this.showProfile(e.target.value));
+    document.getElementById('profile-new').addEventListener('click', () => this.showProfile(''));
+    document.getElementById('profile-save').addEventListener('click', () => this.saveProfile());
+    document.getElementById('profile-delete').addEventListener('click', () => this.deleteProfile());
     document.getElementById('refresh-context').addEventListener('click', () => this.refreshContext());
 
     document.getElementById('provider-select').addEventListener('change', (e) => {
       this.updateModelOptions(e.target.value);
     });
+    document.getElementById('model-select').addEventListener('change', () => this.updateModelInfo());
+    document.getElementById('model-input').addEventListener('input', () => this.updateModelInfo());
 
     this.settingsModal.addEventListener('click', (e) => {
       if (e.target === this.settingsModal) this.closeSettings();
     });
 
+    // Batch progress is pushed by the background while a batch runs
+    chrome.runtime.onMessage.addListener((request) => {
+      if (request.action === 'batch_update') this.renderBatch(request.job);
+    });
+
     chrome.tabs.onActivated.addListener(() => this.updateActiveTab());
     chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
       if (tabId === this.currentTab?.id && changeInfo.status === 'complete') {
@@ -99,14 +232,24 @@ class SidePanel {
         e.preventDefault();
         this.messageInput.focus();
       }
-      if (e.key === 'Escape') this.closeSettings();
+      if ((e.metaKey || e.ctrlKey) && e.key === 'f') {
+        e.preventDefault();
+        this.openFind();
+      }
+      if (e.key === 'Escape') {
+        this.closeSettings();
+        this.closeHistory();
+        this.closeBatch();
+      }
     });
   }
 
   updateModelOptions(provider) {
     const modelSelect = document.getElementById('model-select');
+    const modelInput = document.getElementById('model-input');
     const apiKeyGroup = document.getElementById('api-key-group');
     const baseUrlGroup = document.getElementById('base-url-group');
+    const headersGroup = document.getElementById('headers-group');
 
     modelSelect.innerHTML = '';
     const models = MODELS[provider] || MODELS.openai;
@@ -117,16 +260,42 @@ class SidePanel {
       modelSelect.appendChild(opt);
     });
 
-    if (provider === 'local') {
-      apiKeyGroup.classList.add('hidden');
-      baseUrlGroup.classList.remove('hidden');
-    } else {
-      apiKeyGroup.classList.remove('hidden');
-      baseUrlGroup.classList.add('hidden');
+    const compatible = provider === 'openai-compatible';
+    modelSelect.classList.toggle('hidden', compatible);
+    modelInput.classList.toggle('hidden', !compatible);
+    headersGroup.classList.toggle('hidden', !compatible);
+    apiKeyGroup.classList.toggle('hidden', provider === 'local');
+    baseUrlGroup.classList.toggle('hidden', !BASE_URL_DEFAULTS[provider]);
+
+    if (BASE_URL_DEFAULTS[provider]) {
+      const { label, placeholder, hint } = BASE_URL_DEFAULTS[provider];
+      document.getElementById('base-url-label').textContent = label;
+      document.getElementById('base-url-input').placeholder = placeholder;
+      document.getElementById('base-url-hint').textContent = hint;
     }
 
     document.getElementById('api-key-input').placeholder =
-      provider === 'anthropic' ? 'sk-ant-...' : 'sk-...';
+      provider === 'anthropic' ? 'sk-ant-...' : compatible ? 'Optional' : 'sk-...';
+
+    this.updateModelInfo();
+  }
+
+  selectedModel() {
+    const provider = document.getElementById('provider-select').value;
+    return provider === 'openai-compatible'
+      ? document.getElementById('model-input').value.trim()
+      : document.getElementById('model-select').value;
+  }
+
+  updateModelInfo() {
+    const provider = document.getElementById('provider-select').value;
+    const info = getModelInfo(provider, this.selectedModel());
+    const features = [info.tools && 'tools', info.vision && 'images'].filter(Boolean);
+
+    document.getElementById('context-window-input').placeholder = String(info.contextWindow);
+    document.getElementById('model-info').textContent =
+      `${Math.round(info.contextWindow / 1000)}k context · up to ${Math.round(info.maxOutput / 1000)}k output`
+      + (features.length ? ` · ${features.join(', ')}` : '');
   }
 
   async loadSettings() {
@@ -138,27 +307,71 @@ class SidePanel {
 
     document.getElementById('api-key-input').value = config.apiKey || '';
     document.getElementById('base-url-input').value = config.baseUrl || '';
+    document.getElementById('headers-input').value = Object.entries(config.headers || {})
+      .map(([name, value]) => `${name}: ${value}`)
+      .join('\n');
+
+    document.getElementById('max-steps-input').value = config.maxSteps || '';
+    document.getElementById('context-window-input').value = config.contextWindow || '';
+    document.getElementById('context-format-select').value = config.contextFormat || 'structure';
+    document.getElementById('tab-scope-select').value = config.tabScope || 'tab';
+
+    await this.loadToolPolicies();
 
     if (config.model) {
       document.getElementById('model-select').value = config.model;
+      document.getElementById('model-input').value = config.model;
+      this.updateModelInfo();
     }
   }
 
   async saveSettings() {
     const provider = document.getElementById('provider-select').value;
     const apiKey = document.getElementById('api-key-input').value.trim();
-    const baseUrl = document.getElementById('base-url-input').value.trim();
-    const model = document.getElementById('model-select').value;
-
-    if (provider !== 'local' && !apiKey) {
+    const baseUrl = document.getElementById('base-url-input').value.trim().replace(/\/+$/, '');
+    const compatible = provider === 'openai-compatible';
+    const model = this.selectedModel();
+
+    if (compatible) {
+      if (!baseUrl || !model) {
+        this.showStatus('Please enter a base URL and model name', 'error');
+        return;
+      }
+    } else if (provider !== 'local' && !apiKey) {
       this.showStatus('Please enter an API key', 'error');
       return;
     }
 
-    const config = { provider, apiKey, model, baseUrl };
+    let headers = {};
+    if (compatible) {
+      try {
+        headers = parseHeaders(document.getElementById('headers-input').value);
+      } catch (error) {
+        this.showStatus(error.message, 'error');
+        return;
+      }
+    }
+
+    if (baseUrl && !(await this.ensureHostPermission(baseUrl))) return;
+
+    const maxSteps = parseInt(document.getElementById('max-steps-input').value, 10) || undefined;
+    const contextWindow = parseInt(document.getElementById('context-window-input').value, 10) || undefined;
+    const contextFormat = document.getElementById('context-format-select').value;
+    const tabScope = document.getElementById('tab-scope-select').value;
+
+    let policies;
+    try {
+      policies = this.readToolPolicies();
+    } catch (error) {
+      this.showStatus(error.message, 'error');
+      return;
+    }
+
+    const config = { provider, apiKey, model, baseUrl, headers, maxSteps, contextWindow, contextFormat, tabScope };
     await this.storage.set('ai_config', config);
 
     await chrome.runtime.sendMessage({ action: 'set_config', config });
+    await chrome.runtime.sendMessage({ action: 'set_tool_policies', policies });
 
     this.showStatus('Settings saved', 'success');
     this.closeSettings();
@@ -167,10 +380,158 @@ class SidePanel {
     if (setupMsg) setupMsg.remove();
   }
 
+  async loadToolPolicies() {
+    const policies = await this.storage.get('tool_policies') || {};
+    const list = document.getElementById('tool-policy-list');
+    list.innerHTML = '';
+
+    for (const [tool, fallback] of Object.entries(TOOL_POLICY_DEFAULTS)) {
+      const row = document.createElement('div');
+      row.className = 'policy-row';
+
+      const name = document.createElement('span');
+      name.textContent = tool;
+
+      const select = document.createElement('select');
+      select.className = 'form-select';
+      select.dataset.tool = tool;
+      POLICY_OPTIONS.forEach(o => select.appendChild(new Option(o.label, o.value)));
+      select.value = policies.tools?.[tool] || fallback;
+
+      row.append(name, select);
+      list.appendChild(row);
+    }
+
+    document.getElementById('site-policies-input').value = Object.entries(policies.sites || {})
+      .map(([domain, policy]) => `${domain}: ${policy}`)
+      .join('\n');
+  }
+
+  readToolPolicies() {
+    const tools = {};
+    document.querySelectorAll('#tool-policy-list select').forEach(select => {
+      tools[select.dataset.tool] = select.value;
+    });
+    return {
+      tools,
+      sites: parseSitePolicies(document.getElementById('site-policies-input').value)
+    };
+  }
+
+  /**
+   * Make sure the extension may talk to a custom server. The manifest asks for
+   * <all_urls>, so this only prompts when the user has restricted the
+   * extension's site access in Chrome. Must run while the Save click still
+   * counts as a user gesture, so call it before slow work.
+   */
+  async ensureHostPermission(baseUrl) {
+    let origin;
+    try {
+      const url = new URL(baseUrl);
+      if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+      origin = `${url.protocol}//${url.hostname}/*`;
+    } catch {
+      this.showStatus('Base URL must be a valid http(s) URL', 'error');
+      return false;
+    }
+
+    const permissions = { origins: [origin] };
+    if (await chrome.permissions.contains(permissions)) return true;
+
+    const granted = await chrome.permissions.request(permissions);
+    if (!granted) {
+      this.showStatus(`Access to ${new URL(baseUrl).host} was not granted`, 'error');
+    }
+    return granted;
+  }
+
+  /**
+   * Fill the profile picker. Profiles live encrypted in the background, which
+   * hands out one profile's values at a time for editing.
+   */
+  async loadProfiles(selectedId = null) {
+    const select = document.getElementById('profile-select');
+    const hint = document.getElementById('profile-hint');
+    select.innerHTML = '';
+    select.appendChild(new Option('New profile…', ''));
+    hint.textContent = `One "key: value" per line. Known keys: ${Object.keys(PROFILE_FIELDS).join(', ')}. `
+      + 'Other keys are matched to fields by their names. Encrypted on this device. Filling a form hides the values from '
+      + 'the AI model, but a screenshot or extraction of the page can still show them. The changes are previewed when '
+      + 'the fill_form_from_profile permission is "Ask first".';
+
+    const response = await chrome.runtime.sendMessage({ action: 'list_profiles' });
+    if (response?.error) {
+      hint.textContent = response.error;
+      // Deleting is the way out of profiles that can no longer be decrypted
+      document.getElementById('profile-delete').disabled = !response.undecryptable;
+      return;
+    }
+
+    response.profiles.forEach(p => select.appendChild(new Option(p.name, p.id)));
+    select.value = response.profiles.some(p => p.id === selectedId) ? selectedId : '';
+    await this.showProfile(select.value);
+  }
+
+  async showProfile(id) {
+    document.getElementById('profile-select').value = id;
+    const profile = id ? (await chrome.runtime.sendMessage({ action: 'get_profile', id }))?.profile : null;
+
+    document.getElementById('profile-name-input').value = profile?.name || '';
+    document.getElementById('profile-fields-input').value = Object.entries(profile?.fields || {})
+      .map(([key, value]) => `${key}: ${value}`)
+      .join('\n');
+    document.getElementById('profile-delete').disabled = !profile;
+  }
+
+  async saveProfile() {
+    let fields;
+    try {
+      fields = parseProfileFields(document.getElementById('profile-fields-input').value);
+    } catch (error) {
+      this.showStatus(error.message, 'error');
+      return;
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'save_profile',
+      profile: {
+        id: document.getElementById('profile-select').value || undefined,
+        name: document.getElementById('profile-name-input').value,
+        fields
+      }
+    });
+    if (response?.error) {
+      this.showStatus(response.error, 'error');
+      return;
+    }
+
+    await this.loadProfiles(response.profile.id);
+    this.showStatus(`Profile "${response.profile.name}" saved`, 'success');
+  }
+
+  async deleteProfile() {
+    const select = document.getElementById('profile-select');
+    const id = select.value;
+    // Without a selection the button is only enabled for profiles that can no longer be decrypted
+    const question = id
+      ? `Delete the autofill profile "${select.selectedOptions[0].text}"?`
+      : 'Delete all saved autofill profiles? They can\'t be decrypted anymore.';
+    if (!confirm(question)) return;
+
+    const response = await chrome.runtime.sendMessage(id ? { action: 'delete_profile', id } : { action: 'clear_profiles' });
+    if (response?.error) {
+      this.showStatus(response.error, 'error');
+      return;
+    }
+    await this.loadProfiles();
+    this.showStatus(id ? 'Profile deleted' : 'Profiles deleted', 'success');
+  }
+
   openSettings() {
     this.settingsModal.classList.add('active');
+    this.loadProfiles();
     const provider = document.getElementById('provider-select').value;
-    if (provider === 'local') {
+    if (BASE_URL_DEFAULTS[provider]) {
       document.getElementById('base-url-input').focus();
     } else {
       document.getElementById('api-key-input').focus();
@@ -184,13 +545,76 @@ class SidePanel {
   async updateActiveTab() {
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab?.id !== this.currentTab?.id) this.resetFind();
       this.currentTab = tab;
       this.updatePageContext(tab);
+
+      // Conversations are per tab and site; re-render only when that changes
+      const key = `${tab?.id}|${this.domainOf(tab?.url)}`;
+      if (key !== this.conversationKey && !this.isLoading) {
+        this.conversationKey = key;
+        await this.loadConversation();
+      }
     } catch (error) {
       console.error('Failed to get active tab:', error);
     }
   }
 
+  domainOf(url) {
+    try {
+      return new URL(url).hostname;
+    } catch {
+      return '';
+    }
+  }
+
+  async loadConversation() {
+    const { history = [], summary, compactedMessages } = await chrome.runtime.sendMessage({
+      action: 'get_history',
+      tabId: this.currentTab?.id,
+      url: this.currentTab?.url
+    }) || {};
+
+    this.renderHistory(history, summary, compactedMessages);
+  }
+
+  renderHistory(history, summary, compactedMessages) {
+    this.chatHistory.innerHTML = '';
+
+    if (summary || compactedMessages) {
+      this.renderCompactionNotice(summary, compactedMessages);
+    }
+
+    if (history.length === 0 && !compactedMessages) {
+      this.showWelcome('AI Browser Assistant',
+        'I can help you navigate websites, fill forms, extract data, and answer questions about any page.');
+      return;
+    }
+
+    for (let i = 0; i < history.length; i++) {
+      const m = history[i];
+
+      if (m.role === 'user') {
+        this.addMessage('user', m.content);
+      } else if (m.role === 'assistant') {
+        if (m.content) this.addMessage('assistant', m.content);
+
+        if (m.tool_calls) {
+          const results = [];
+          while (history[i + 1]?.role === 'tool') {
+            i++;
+            try {
+              results.push(JSON.parse(history[i].content));
+            } catch {
+              results.push({ success: false, error: 'Unreadable result' });
+            }
+          }
+          if (results.length > 0) this.renderActionResults(results);
+        }
+      }
+    }
+  }
+
   updatePageContext(tab) {
     if (tab?.title && !tab.url?.startsWith('chrome://')) {
       this.pageTitle.textContent = tab.title;
@@ -211,7 +635,7 @@ class SidePanel {
     if (!text || this.isLoading) return;
 
     const config = await this.storage.get('ai_config');
-    if (!config?.apiKey && config?.provider !== 'local') {
+    if (!isConfigured(config)) {
       this.showStatus('Please configure API key in settings', 'error');
       this.openSettings();
       return;
@@ -224,20 +648,12 @@ class SidePanel {
     try {
       const pageContext = await this.getPageContext();
 
-      const response = await chrome.runtime.sendMessage({
+      await this.streamRequest({
         action: 'chat',
         message: text,
         tabId: this.currentTab?.id,
         pageContext
       });
-
-      if (response.error) throw new Error(response.error);
-
-      this.addMessage('assistant', response.response);
-
-      if (response.actions?.length > 0) {
-        this.renderActionResults(response.actions);
-      }
     } catch (error) {
       console.error('Chat error:', error);
       this.addMessage('assistant', `Error: ${error.message}. Check your API key and try again.`);
@@ -248,34 +664,227 @@ class SidePanel {
     }
   }
 
+  /**
+   * Send a request over a `chat-stream` port and render events as they arrive.
+   * Resolves with the final `done` event, rejects on `error` or disconnect.
+   */
+  streamRequest(request) {
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: 'chat-stream' });
+      let message = null;
+      let stepStatus = null;
+      let text = '';
+      let settled = false;
+
+      this.activePort = port;
+      this.stopBtn.classList.remove('hidden');
+
+      const finish = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        this.activePort = null;
+        this.stopBtn.classList.add('hidden');
+        stepStatus?.remove();
+        port.disconnect();
+        fn(value);
+      };
+
+      port.onMessage.addListener((event) => {
+        switch (event.type) {
+          case 'delta':
+            if (!message) {
+              this.setTyping(false);
+              message = this.addMessage('assistant', '');
+              message.classList.add('streaming');
+              text = '';
+            }
+            text += event.text;
+            this.updateMessage(message, text);
+            break;
+
+          case 'step':
+            message?.classList.remove('streaming');
+            message = null;
+            stepStatus ||= this.createStepStatus();
+            stepStatus.textContent = `Step ${event.step}/${event.maxSteps} · ${event.status}`;
+            this.chatHistory.appendChild(stepStatus);
+            this.scrollToBottom();
+            break;
+
+          case 'progress':
+            stepStatus ||= this.createStepStatus();
+            stepStatus.textContent = `${event.status} · ${event.done}/${event.total}`;
+            this.chatHistory.appendChild(stepStatus);
+            this.scrollToBottom();
+            break;
+
+          case 'actions':
+            message?.classList.remove('streaming');
+            message = null;
+            this.setTyping(false);
+            if (event.actions?.length > 0) {
+              this.renderActionResults(event.actions, event.step ? `⚡ Step ${event.step}` : undefined);
+            }
+            this.setTyping(true);
+            break;
+
+          case 'done':
+            this.setTyping(false);
+            if (message) {
+              message.classList.remove('streaming');
+              this.updateMessage(message, event.response || text);
+            } else if (event.response) {
+              this.addMessage('assistant', event.response);
+            }
+            finish(resolve, event);
+            break;
+
+          case 'compacted':
+            this.setTyping(false);
+            this.renderCompactionNotice(event.summary, event.compactedMessages);
+            this.setTyping(true);
+            break;
+
+          case 'approval':
+            message?.classList.remove('streaming');
+            message = null;
+            this.setTyping(false);
+            this.renderApprovalCard(event, port);
+            break;
+
+          case 'error':
+            message?.classList.remove('streaming');
+            finish(reject, new Error(event.error));
+            break;
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        message?.classList.remove('streaming');
+        finish(reject, new Error('Connection to background service lost'));
+      });
+
+      port.postMessage(request);
+    });
+  }
+
+  createStepStatus() {
+    const el = document.createElement('div');
+    el.className = 'step-status';
+    return el;
+  }
+
+  stopRequest() {
+    this.activePort?.postMessage({ action: 'cancel' });
+    this.showStatus('Stopping...', 'success');
+  }
+
   async getPageContext() {
     if (!this.currentTab || this.currentTab.url?.startsWith('chrome://')) {
       return { url: this.currentTab?.url, title: this.currentTab?.title };
     }
 
+    const config = await this.storage.get('ai_config');
+    const context = await this.sendToPage({ action: 'get_structure', format: config?.contextFormat || 'structure' });
+    return context || { url: this.currentTab.url, title: this.currentTab.title };
+  }
+
+  /**
+   * Send a message to the content script of the current tab, injecting it
+   * first if the page was open before the extension loaded. Resolves to null
+   * when the page can't be scripted.
+   */
+  async sendToPage(request) {
+    if (!this.currentTab || this.currentTab.url?.startsWith('chrome://')) return null;
+
+    // Content scripts run in every frame; the top page answers for the panel
+    const options = { frameId: 0 };
     try {
-      return await chrome.tabs.sendMessage(this.currentTab.id, { action: 'get_structure' });
+      return await chrome.tabs.sendMessage(this.currentTab.id, request, options);
     } catch {
       try {
         await chrome.scripting.executeScript({
           target: { tabId: this.currentTab.id },
-          files: ['content.js']
+          files: ['extract-expression.js', 'content.js']
         });
-        return await chrome.tabs.sendMessage(this.currentTab.id, { action: 'get_structure' });
+        return await chrome.tabs.sendMessage(this.currentTab.id, request, options);
       } catch {
-        return { url: this.currentTab.url, title: this.currentTab.title };
+        return null;
       }
     }
   }
 
+  openFind() {
+    this.findBar.classList.remove('hidden');
+    this.findInput.focus();
+    this.findInput.select();
+  }
+
+  closeFind() {
+    this.findBar.classList.add('hidden');
+    this.resetFind();
+  }
+
+  // Clears the highlights on the current tab; called before leaving it too
+  resetFind() {
+    if (this.findCount.textContent) {
+      this.sendToPage({ action: 'find_clear' });
+    }
+    this.findCount.textContent = '';
+    this.findCount.title = '';
+  }
+
+  async runFind() {
+    const query = this.findInput.value.trim();
+    if (!query) {
+      this.resetFind();
+      return;
+    }
+
+    const result = await this.sendToPage({
+      action: 'find_text',
+      query,
+      caseSensitive: this.findCaseSensitive
+    });
+    // A newer search may have started while this one was running
+    if (query !== this.findInput.value.trim()) return;
+    this.updateFindCount(result);
+  }
+
+  async stepFind(direction) {
+    if (!this.findInput.value.trim()) return;
+    if (!this.findCount.textContent) {
+      await this.runFind();
+      return;
+    }
+    this.updateFindCount(await this.sendToPage({ action: 'find_step', direction }));
+  }
+
+  updateFindCount(result) {
+    if (!result) {
+      this.findCount.textContent = '–';
+      this.findCount.title = 'This page can\'t be searched';
+    } else if (!result.count) {
+      this.findCount.textContent = '0/0';
+      this.findCount.title = result.error || 'No matches';
+    } else {
+      this.findCount.textContent = `${result.current}/${result.count}`;
+      this.findCount.title = result.text || result.matches?.[0]?.text || '';
+    }
+  }
+
   handleQuickAction(action) {
     const prompts = {
-      summarize: 'Summarize the main content of this page in 3-4 key points.',
       extract: 'Extract all important data from this page: names, dates, prices, emails, addresses, and other structured information.',
       links: 'List the important links on this page with their text and URLs, categorized by type.',
       form: 'Analyze all forms on this page. What fields are present and what do they need?'
     };
 
+    if (action === 'summarize') {
+      this.summarizePage();
+      return;
+    }
+
     const text = prompts[action];
     if (text) {
       this.messageInput.value = text;
@@ -283,6 +892,44 @@ class SidePanel {
     }
   }
 
+  /**
+   * Summarize the whole page through the background's map-reduce summarizer,
+   * which reports progress while it works through long pages.
+   */
+  async summarizePage() {
+    if (this.isLoading) return;
+
+    const config = await this.storage.get('ai_config');
+    if (!isConfigured(config)) {
+      this.showStatus('Please configure API key in settings', 'error');
+      this.openSettings();
+      return;
+    }
+
+    const text = '📄 Summarize this page';
+    this.addMessage('user', text);
+    this.setLoading(true);
+
+    try {
+      await this.streamRequest({
+        action: 'summarize',
+        message: text,
+        tabId: this.currentTab?.id,
+        pageContext: await this.getPageContext()
+      });
+    } catch (error) {
+      console.error('Summarize error:', error);
+      this.addMessage('assistant', `Error: ${error.message}`);
+      this.showStatus(error.message, 'error');
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Append a chat bubble. Returns the message element so streamed responses
+   * can keep updating it through updateMessage().
+   */
   addMessage(role, content) {
     const welcome = this.chatHistory.querySelector('.welcome-message');
     if (welcome) welcome.remove();
@@ -302,6 +949,16 @@ class SidePanel {
     msg.appendChild(body);
     this.chatHistory.appendChild(msg);
     this.scrollToBottom();
+    return msg;
+  }
+
+  updateMessage(msg, content) {
+    const body = msg.querySelector('.message-content');
+    body.innerHTML = this.formatMessage(content || '');
+
+    // Only follow the stream if the user hasn't scrolled up to read
+    const distance = this.chatHistory.scrollHeight - this.chatHistory.scrollTop - this.chatHistory.clientHeight;
+    if (distance < 80) this.scrollToBottom();
   }
 
   formatMessage(content) {
@@ -344,13 +1001,13 @@ class SidePanel {
     return content;
   }
 
-  renderActionResults(actions) {
+  renderActionResults(actions, heading = '⚡ Actions Executed') {
     const card = document.createElement('div');
     card.className = 'action-card';
 
     const title = document.createElement('div');
     title.className = 'action-card-title';
-    title.textContent = '⚡ Actions Executed';
+    title.textContent = heading;
     card.appendChild(title);
 
     const list = document.createElement('div');
@@ -364,6 +1021,18 @@ class SidePanel {
       const detail = action.success ? 'Done' : (action.error || 'Failed');
       item.innerHTML = `<span>${icon}</span><span>${label}: ${detail}</span>`;
       list.appendChild(item);
+
+      if (action.image) {
+        const shot = document.createElement('img');
+        shot.className = 'action-screenshot';
+        shot.src = `data:${action.image.mediaType};base64,${action.image.data}`;
+        shot.alt = 'Screenshot sent to the model';
+        list.appendChild(shot);
+      }
+
+      if (action.tool === 'extract_table' && action.rows?.length > 0) {
+        list.appendChild(this.renderTablePreview(action));
+      }
     });
 
     card.appendChild(list);
@@ -371,19 +1040,173 @@ class SidePanel {
     this.scrollToBottom();
   }
 
+  /**
+   * An extract_table result as a table; clicking a column header sorts by it,
+   * and clicking again reverses the order. Empty cells always sort last.
+   */
+  renderTablePreview({ columns, rows, caption, rowCount, truncated }) {
+    const preview = document.createElement('div');
+    preview.className = 'table-preview';
+
+    const info = document.createElement('div');
+    info.className = 'table-preview-caption';
+    info.textContent = [caption, truncated ? `${rows.length} of ${rowCount} rows` : `${rows.length} rows`].filter(Boolean).join(' · ');
+
+    const table = document.createElement('table');
+    const head = table.createTHead().insertRow();
+    const body = table.createTBody();
+
+    const format = (value, column) => {
+      if (value === null || value === undefined) return '';
+      if (typeof value !== 'number') return String(value);
+      const number = value.toLocaleString();
+      if (column.type === 'percent') return `${number}%`;
+      return column.currency ? `${column.currency.length === 1 ? column.currency : `${column.currency} `}${number}` : number;
+    };
+
+    const renderRows = (sorted) => {
+      body.innerHTML = '';
+      for (const row of sorted) {
+        const tr = body.insertRow();
+        for (const column of columns) {
+          const td = tr.insertCell();
+          td.textContent = format(row[column.name], column);
+          td.title = td.textContent;
+          if (column.type !== 'text') td.classList.add('numeric');
+        }
+      }
+    };
+
+    let sortedBy = null;
+    let direction = 1;
+    columns.forEach(column => {
+      const th = document.createElement('th');
+      th.textContent = column.name;
+      th.title = `Sort by ${column.name}`;
+      th.addEventListener('click', () => {
+        direction = sortedBy === column.name ? -direction : 1;
+        sortedBy = column.name;
+        head.querySelectorAll('th').forEach(other => other.removeAttribute('aria-sort'));
+        th.setAttribute('aria-sort', direction === 1 ? 'ascending' : 'descending');
+
+        const empty = value => value === null || value === undefined || value === '';
+        renderRows([...rows].sort((a, b) => {
+          const x = a[column.name];
+          const y = b[column.name];
+          if (empty(x) || empty(y)) return empty(x) - empty(y);
+          return direction * (typeof x === 'number' && typeof y === 'number'
+            ? x - y
+            : String(x).localeCompare(String(y), undefined, { numeric: true }));
+        }));
+      });
+      head.appendChild(th);
+    });
+    renderRows(rows);
+
+    const scroll = document.createElement('div');
+    scroll.className = 'table-preview-scroll';
+    scroll.appendChild(table);
+    preview.append(info, scroll);
+    return preview;
+  }
+
+  renderCompactionNotice(summary, count) {
+    const card = document.createElement('details');
+    card.className = 'action-card compaction-card';
+
+    const title = document.createElement('summary');
+    title.className = 'action-card-title';
+    title.textContent = count
+      ? `🗜 ${count} earlier messages condensed into a summary`
+      : '🗜 Earlier messages condensed into a summary';
+    card.appendChild(title);
+
+    const body = document.createElement('div');
+    body.className = 'message-content';
+    body.innerHTML = this.formatMessage(summary || 'The summary could not be generated; older messages were dropped.');
+    card.appendChild(body);
+
+    this.chatHistory.appendChild(card);
+    this.scrollToBottom();
+  }
+
+  renderApprovalCard({ id, tool, params, site, diff }, port) {
+    const card = document.createElement('div');
+    card.className = 'action-card approval-card';
+
+    const title = document.createElement('div');
+    title.className = 'action-card-title';
+    title.textContent = `✋ Approve ${tool}${site ? ` on ${site}` : ''}?`;
+
+    const detail = diff ? this.renderDiff(diff) : document.createElement('pre');
+    if (!diff) {
+      detail.className = 'approval-params';
+      detail.textContent = JSON.stringify(params, null, 2);
+    }
+
+    const buttons = document.createElement('div');
+    buttons.className = 'approval-buttons';
+
+    const respond = (approved) => {
+      port.postMessage({ action: 'approval', id, approved });
+      buttons.remove();
+      const outcome = document.createElement('div');
+      outcome.className = `action-btn ${approved ? 'success' : 'error'}`;
+      outcome.textContent = approved ? '✓ Approved' : '✗ Rejected';
+      card.appendChild(outcome);
+      this.setTyping(true);
+    };
+
+    for (const [label, approved] of [['Approve', true], ['Reject', false]]) {
+      const btn = document.createElement('button');
+      btn.className = approved ? 'btn-primary' : 'btn-secondary';
+      btn.textContent = label;
+      btn.addEventListener('click', () => respond(approved));
+      buttons.appendChild(btn);
+    }
+
+    // A closed connection means the run is over and the call was rejected
+    port.onDisconnect.addListener(() => buttons.remove());
+
+    card.append(title, detail, buttons);
+    this.chatHistory.appendChild(card);
+    this.scrollToBottom();
+  }
+
+  // Field-by-field changes a tool would make: field, old value struck through, new value
+  renderDiff(diff) {
+    const table = document.createElement('table');
+    table.className = 'approval-diff';
+
+    for (const change of diff) {
+      const row = table.insertRow();
+      row.insertCell().textContent = change.field;
+      const from = row.insertCell();
+      from.className = 'diff-from';
+      from.textContent = change.from;
+      const to = row.insertCell();
+      to.className = 'diff-to';
+      to.textContent = change.to;
+    }
+    return table;
+  }
+
   setLoading(loading) {
     this.isLoading = loading;
     this.sendBtn.disabled = loading;
+    this.setTyping(loading);
+  }
 
-    if (loading) {
+  setTyping(visible) {
+    document.getElementById('loading-indicator')?.remove();
+
+    if (visible) {
       const el = document.createElement('div');
       el.className = 'loading-indicator';
       el.id = 'loading-indicator';
       el.innerHTML = '<div class="typing-dot"></div><div class="typing-dot"></div><div class="typing-dot"></div>';
       this.chatHistory.appendChild(el);
       this.scrollToBottom();
-    } else {
-      document.getElementById('loading-indicator')?.remove();
     }
   }
 
@@ -393,21 +1216,331 @@ class SidePanel {
     });
   }
 
+  async openHistory() {
+    this.historyModal.classList.add('active');
+    this.showHistoryList();
+    await this.refreshHistoryList();
+    document.getElementById('history-search').focus();
+  }
+
+  closeHistory() {
+    this.historyModal.classList.remove('active');
+  }
+
+  showHistoryList() {
+    document.getElementById('history-title').textContent = 'History';
+    document.getElementById('history-back').classList.add('hidden');
+    document.getElementById('history-search').classList.remove('hidden');
+    document.getElementById('history-list').classList.remove('hidden');
+    document.getElementById('history-detail').classList.add('hidden');
+  }
+
+  async refreshHistoryList() {
+    const query = document.getElementById('history-search').value;
+    const list = document.getElementById('history-list');
+    const { conversations = [] } = await chrome.runtime.sendMessage({ action: 'list_conversations', query }) || {};
+
+    list.innerHTML = '';
+    if (conversations.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'history-empty';
+      empty.textContent = query ? 'No conversations match your search.' : 'No saved conversations yet.';
+      list.appendChild(empty);
+      return;
+    }
+
+    conversations.forEach(c => list.appendChild(this.renderHistoryItem(c)));
+  }
+
+  renderHistoryItem(conversation) {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+
+    const title = document.createElement('div');
+    title.className = 'history-item-title';
+    title.textContent = conversation.title || conversation.domain || 'Untitled page';
+
+    const meta = document.createElement('div');
+    meta.className = 'history-item-meta';
+    meta.textContent = [
+      new Date(conversation.lastActivity).toLocaleString(),
+      conversation.model,
+      conversation.url
+    ].filter(Boolean).join(' · ');
+    meta.title = conversation.url || '';
+
+    item.append(title, meta);
+
+    if (conversation.snippet) {
+      const snippet = document.createElement('div');
+      snippet.className = 'history-item-snippet';
+      snippet.textContent = conversation.snippet;
+      item.appendChild(snippet);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'history-item-actions';
+    const buttons = [
+      ['Markdown', () => this.exportConversation(conversation.id, 'markdown')],
+      ['JSON', () => this.exportConversation(conversation.id, 'json')],
+      ['Delete', () => this.deleteConversation(conversation.id)]
+    ];
+    for (const [label, handler] of buttons) {
+      const btn = document.createElement('button');
+      btn.textContent = label;
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handler();
+      });
+      actions.appendChild(btn);
+    }
+    item.appendChild(actions);
+
+    item.addEventListener('click', () => this.viewConversation(conversation.id));
+    return item;
+  }
+
+  async viewConversation(id) {
+    const { conversation } = await chrome.runtime.sendMessage({ action: 'get_conversation', id }) || {};
+    if (!conversation) {
+      this.showStatus('Conversation not found', 'error');
+      return;
+    }
+
+    document.getElementById('history-title').textContent = conversation.title || conversation.domain || 'Conversation';
+    document.getElementById('history-back').classList.remove('hidden');
+    document.getElementById('history-search').classList.add('hidden');
+    document.getElementById('history-list').classList.add('hidden');
+
+    const detail = document.getElementById('history-detail');
+    detail.classList.remove('hidden');
+    detail.innerHTML = '';
+
+    for (const m of conversation.history) {
+      if ((m.role !== 'user' && m.role !== 'assistant') || !m.content) continue;
+
+      const msg = document.createElement('div');
+      msg.className = `message ${m.role}`;
+      const header = document.createElement('div');
+      header.className = 'message-header';
+      header.textContent = m.role === 'user' ? 'You' : 'AI Assistant';
+      const body = document.createElement('div');
+      body.className = 'message-content';
+      body.innerHTML = this.formatMessage(m.content);
+      msg.append(header, body);
+      detail.appendChild(msg);
+    }
+  }
+
+  async openBatch() {
+    this.batchModal.classList.add('active');
+    this.showBatchError('');
+    const { job } = await chrome.runtime.sendMessage({ action: 'get_batch' }) || {};
+
+    // Start from the last batch's settings, so a run can be tweaked and repeated
+    const urlsInput = document.getElementById('batch-urls-input');
+    if (job && !urlsInput.value.trim()) {
+      urlsInput.value = job.rows.map(row => row.url).join('\n');
+      document.getElementById('batch-mode-select').value = job.schema ? 'extract' : 'prompt';
+      document.getElementById('batch-task-input').value = job.schema ? JSON.stringify(job.schema, null, 2) : job.prompt;
+      document.getElementById('batch-concurrency-input').value = job.concurrency;
+    }
+    this.updateBatchMode();
+    this.updateBatchUrlHint();
+    this.renderBatch(job);
+  }
+
+  closeBatch() {
+    this.batchModal.classList.remove('active');
+  }
+
+  showBatchError(message) {
+    const error = document.getElementById('batch-error');
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+  }
+
+  updateBatchMode() {
+    const mode = BATCH_MODES[document.getElementById('batch-mode-select').value];
+    document.getElementById('batch-task-input').placeholder = mode.placeholder;
+    document.getElementById('batch-task-hint').textContent = mode.hint;
+  }
+
+  updateBatchUrlHint() {
+    const { urls, invalid } = parseUrlList(document.getElementById('batch-urls-input').value);
+    document.getElementById('batch-url-hint').textContent = [
+      `${urls.length} of at most ${BATCH_CONFIG.MAX_URLS} URLs, one per line.`,
+      invalid.length > 0 && `${invalid.length} line${invalid.length === 1 ? ' isn\'t a' : 's aren\'t'} web address${invalid.length === 1 ? '' : 'es'}.`
+    ].filter(Boolean).join(' ');
+  }
+
+  addBatchUrls(urls) {
+    const input = document.getElementById('batch-urls-input');
+    const current = parseUrlList(input.value).urls;
+    const added = urls.filter(url => !current.includes(url));
+    input.value = [input.value.trim(), ...added].filter(Boolean).join('\n');
+    this.updateBatchUrlHint();
+    this.showBatchError(added.length === 0 ? 'No new URLs to add.' : '');
+  }
+
+  async addOpenTabsToBatch() {
+    const tabs = await chrome.tabs.query({ currentWindow: true });
+    this.addBatchUrls(parseUrlList(tabs.map(tab => tab.url).join('\n')).urls);
+  }
+
+  async addPageLinksToBatch() {
+    const result = await this.sendToPage({ action: 'get_links' });
+    if (!result?.links) {
+      this.showBatchError('Links can\'t be read from this page.');
+      return;
+    }
+    this.addBatchUrls(result.links.map(link => link.url));
+  }
+
+  async startBatch() {
+    const { urls, invalid } = parseUrlList(document.getElementById('batch-urls-input').value);
+    const mode = document.getElementById('batch-mode-select').value;
+    const task = document.getElementById('batch-task-input').value.trim();
+
+    if (invalid.length > 0) {
+      this.showBatchError(`Not a web address: ${invalid.slice(0, 3).join(', ')}`);
+      return;
+    }
+    if (!task) {
+      this.showBatchError(mode === 'extract' ? 'Enter an extraction schema.' : 'Enter a prompt.');
+      return;
+    }
+
+    const batch = { urls, concurrency: Number(document.getElementById('batch-concurrency-input').value) };
+    if (mode === 'extract') {
+      try {
+        batch.schema = JSON.parse(task);
+      } catch (error) {
+        this.showBatchError(`The schema isn't valid JSON: ${error.message}`);
+        return;
+      }
+    } else {
+      batch.prompt = task;
+    }
+
+    await this.batchAction({ action: 'start_batch', batch });
+  }
+
+  async batchAction(request) {
+    this.showBatchError('');
+    const result = await chrome.runtime.sendMessage(request);
+    if (result?.error) {
+      this.showBatchError(result.error);
+      return;
+    }
+    this.renderBatch(result?.job);
+  }
+
+  async exportBatch(format) {
+    const result = await chrome.runtime.sendMessage({ action: 'export_batch', format });
+    this.showBatchError(result?.error || '');
+  }
+
+  renderBatch(job) {
+    const running = Boolean(job?.rows.some(row => row.status === 'pending' || row.status === 'running'));
+    document.getElementById('batch-run').classList.toggle('hidden', running);
+    document.getElementById('batch-cancel').classList.toggle('hidden', !running);
+    document.getElementById('batch-results').classList.toggle('hidden', !job);
+    if (!job) return;
+
+    const count = status => job.rows.filter(row => row.status === status).length;
+    const finished = job.rows.length - count('pending') - count('running');
+    document.getElementById('batch-progress').textContent = [
+      `${finished} of ${job.rows.length} pages finished`,
+      count('done') && `${count('done')} done`,
+      count('error') && `${count('error')} failed`,
+      count('cancelled') && `${count('cancelled')} cancelled`,
+      count('running') && `${count('running')} running`
+    ].filter(Boolean).join(' · ');
+    document.getElementById('batch-retry-failed').disabled = running || !(count('error') || count('cancelled'));
+
+    const { columns, rows } = batchTable(job);
+    const table = document.getElementById('batch-table');
+    table.innerHTML = '';
+
+    const head = table.createTHead().insertRow();
+    for (const column of [...columns, '']) {
+      const th = document.createElement('th');
+      th.textContent = column;
+      head.appendChild(th);
+    }
+
+    const body = table.createTBody();
+    rows.forEach((cells, i) => {
+      const row = job.rows[i];
+      const tr = body.insertRow();
+      tr.className = row.status;
+      for (const text of cells) {
+        const td = tr.insertCell();
+        td.textContent = text;
+        td.title = text;
+      }
+
+      const actions = tr.insertCell();
+      if (row.status === 'error' || row.status === 'cancelled') {
+        const retry = document.createElement('button');
+        retry.textContent = 'Retry';
+        retry.addEventListener('click', () => this.batchAction({ action: 'retry_batch', rows: [row.index] }));
+        actions.appendChild(retry);
+      }
+    });
+  }
+
+  async exportConversation(id, format) {
+    const result = await chrome.runtime.sendMessage({ action: 'export_conversation', id, format });
+    if (result?.error) {
+      this.showStatus(result.error, 'error');
+    } else {
+      this.showStatus(`Exported ${result.filename}`, 'success');
+    }
+  }
+
+  async deleteConversation(id) {
+    if (!confirm('Delete this conversation?')) return;
+    await chrome.runtime.sendMessage({ action: 'delete_conversation', id });
+    await this.refreshHistoryList();
+
+    // The open chat may have been the one deleted
+    this.conversationKey = null;
+    await this.updateActiveTab();
+  }
+
   async clearConversation() {
     if (!confirm('Clear this conversation?')) return;
 
     await chrome.runtime.sendMessage({
       action: 'clear_history',
-      tabId: this.currentTab?.id
+      tabId: this.currentTab?.id,
+      url: this.currentTab?.url
     });
 
-    this.chatHistory.innerHTML = `
-      <div class="welcome-message">
-        <div class="welcome-icon">🤖</div>
-        <div class="welcome-title">Conversation Cleared</div>
-        <div class="welcome-text">How can I help you with this page?</div>
-      </div>
-    `;
+    this.chatHistory.innerHTML = '';
+    this.showWelcome('Conversation Cleared', 'How can I help you with this page?');
+  }
+
+  showWelcome(titleText, text) {
+    const welcome = document.createElement('div');
+    welcome.className = 'welcome-message';
+
+    const icon = document.createElement('div');
+    icon.className = 'welcome-icon';
+    icon.textContent = '🤖';
+
+    const title = document.createElement('div');
+    title.className = 'welcome-title';
+    title.textContent = titleText;
+
+    const body = document.createElement('div');
+    body.className = 'welcome-text';
+    body.textContent = text;
+
+    welcome.append(icon, title, body);
+    this.chatHistory.appendChild(welcome);
   }
 
   showWelcomeWithSetup() {
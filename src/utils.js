@@ -46,6 +46,15 @@ export class StorageManager {
     }
   }
 
+  async bytesInUse(keys = null) {
+    try {
+      return await chrome.storage.local.getBytesInUse(keys);
+    } catch (error) {
+      console.error('Storage usage error:', error);
+      return 0;
+    }
+  }
+
   async clear() {
     try {
       await chrome.storage.local.clear();
@@ -107,4 +116,53 @@ export class Debouncer {
   cancel() {
     clearTimeout(this.timeout);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Runs async tasks with at most `limit` in flight, starting them at least
+ * `interval` ms apart to stay under provider rate limits.
+ */
+export class ConcurrencyLimiter {
+  constructor(limit = 3, interval = 0) {
+    this.limit = limit;
+    this.interval = interval;
+    this.active = 0;
+    this.queue = [];
+    this.lastStart = 0;
+    this.waiting = null;
+  }
+
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  next() {
+    if (this.active >= this.limit || this.queue.length === 0 || this.waiting) return;
+
+    const wait = this.lastStart + this.interval - Date.now();
+    if (wait > 0) {
+      this.waiting = setTimeout(() => {
+        this.waiting = null;
+        this.next();
+      }, wait);
+      return;
+    }
+
+    const { task, resolve, reject } = this.queue.shift();
+    this.active++;
+    this.lastStart = Date.now();
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        this.active--;
+        this.next();
+      });
+
+    this.next();
+  }
+}
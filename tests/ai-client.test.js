@@ -0,0 +1,35 @@
+import { estimateTokens, estimateMessagesTokens } from '../src/ai-client.js';
+
+describe('estimateTokens', () => {
+  test('counts about 3.5 characters per token for Latin text, rounding up', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('abcdefg')).toBe(2);
+    expect(estimateTokens('abcdefgh')).toBe(3);
+  });
+
+  test('counts one token per CJK character', () => {
+    expect(estimateTokens('日本語のテキスト')).toBe(8);
+    expect(estimateTokens('한국어')).toBe(3);
+  });
+
+  test('measures non-string input as JSON', () => {
+    expect(estimateTokens({ a: 1 })).toBe(estimateTokens('{"a":1}'));
+    expect(estimateTokens(null)).toBe(0);
+    expect(estimateTokens(undefined)).toBe(0);
+  });
+});
+
+describe('estimateMessagesTokens', () => {
+  test('adds framing overhead per message', () => {
+    expect(estimateMessagesTokens()).toBe(0);
+    expect(estimateMessagesTokens([{ role: 'user', content: '' }])).toBe(4);
+    expect(estimateMessagesTokens([{ role: 'user', content: 'abcdefg' }, { role: 'assistant', content: 'abcdefg' }])).toBe(12);
+  });
+
+  test('counts tool calls and images', () => {
+    const toolCalls = [{ id: 'c1', function: { name: 'navigate', arguments: '{}' } }];
+    expect(estimateMessagesTokens([{ role: 'assistant', content: '', tool_calls: toolCalls }]))
+      .toBe(4 + estimateTokens(toolCalls));
+    expect(estimateMessagesTokens([{ role: 'tool', content: '', images: [{}, {}] }])).toBe(4 + 2 * 1600);
+  });
+});
@@ -0,0 +1,56 @@
+import { matchProfileFields } from '../src/autofill.js';
+
+describe('matchProfileFields', () => {
+  const field = (props) => ({ tag: 'input', type: 'text', visible: true, ...props });
+  const keysOf = ({ matched }) => Object.fromEntries(matched.map(({ field: f, key }) => [f.ref, key]));
+
+  test('matches by the last autocomplete token first', () => {
+    const result = matchProfileFields(
+      [field({ ref: 'e1', name: 'contact', autocomplete: 'shipping postal-code' })],
+      { postal_code: '02139', email: 'ada@example.com' }
+    );
+    expect(keysOf(result)).toEqual({ e1: 'postal_code' });
+  });
+
+  test('matches names, ids and labels against the known patterns', () => {
+    const result = matchProfileFields([
+      field({ ref: 'e1', name: 'fname' }),
+      field({ ref: 'e2', label: 'Last name' }),
+      field({ ref: 'e3', id: 'userEmail', type: 'email' })
+    ], { given_name: 'Ada', family_name: 'Lovelace', email: 'ada@example.com' });
+    expect(keysOf(result)).toEqual({ e1: 'given_name', e2: 'family_name', e3: 'email' });
+  });
+
+  test('custom keys match fields with the same name', () => {
+    const result = matchProfileFields([field({ ref: 'e1', name: 'vatNumber' })], { vat_number: 'GB123' });
+    expect(keysOf(result)).toEqual({ e1: 'vat_number' });
+  });
+
+  test('skips passwords, hidden fields, buttons and invisible fields', () => {
+    const result = matchProfileFields([
+      field({ ref: 'e1', name: 'email', type: 'password' }),
+      field({ ref: 'e2', name: 'email', type: 'hidden' }),
+      field({ ref: 'e3', name: 'email', tag: 'button', type: 'submit' }),
+      field({ ref: 'e4', name: 'email', visible: false })
+    ], { email: 'ada@example.com' });
+    expect(result).toEqual({ matched: [], ambiguous: [] });
+  });
+
+  test('empty profile values are not offered', () => {
+    const result = matchProfileFields([field({ ref: 'e1', name: 'email' })], { email: '' });
+    expect(result.matched).toEqual([]);
+  });
+
+  test('fields that several keys fit are left to the model', () => {
+    const address = field({ ref: 'e1', label: 'Street address line 2' });
+    const result = matchProfileFields([address], { address_line1: '1 Main St', address_line2: 'Apt 4' });
+    expect(result.matched).toEqual([]);
+    expect(result.ambiguous).toEqual([address]);
+  });
+
+  test('unknown fields are only ambiguous when the profile has custom keys', () => {
+    const notes = field({ ref: 'e1', name: 'notes' });
+    expect(matchProfileFields([notes], { email: 'ada@example.com' }).ambiguous).toEqual([]);
+    expect(matchProfileFields([notes], { email: 'ada@example.com', tax_office: 'Leeds' }).ambiguous).toEqual([notes]);
+  });
+});
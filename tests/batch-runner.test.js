@@ -0,0 +1,34 @@
+import { parseUrlList, parseAnswer } from '../src/batch-runner.js';
+
+describe('parseUrlList', () => {
+  test('splits on lines, spaces and commas and drops duplicates', () => {
+    const { urls, invalid } = parseUrlList('https://a.test/1\nhttps://b.test/2, https://a.test/1  http://c.test');
+    expect(urls).toEqual(['https://a.test/1', 'https://b.test/2', 'http://c.test/']);
+    expect(invalid).toEqual([]);
+  });
+
+  test('reports anything that is not an http(s) URL', () => {
+    const { urls, invalid } = parseUrlList('ftp://files.test/x javascript:alert(1) example.com https://ok.test/');
+    expect(urls).toEqual(['https://ok.test/']);
+    expect(invalid).toEqual(['ftp://files.test/x', 'javascript:alert(1)', 'example.com']);
+  });
+
+  test('empty input gives empty lists', () => {
+    expect(parseUrlList('')).toEqual({ urls: [], invalid: [] });
+    expect(parseUrlList(undefined)).toEqual({ urls: [], invalid: [] });
+  });
+});
+
+describe('parseAnswer', () => {
+  test('reads a flat JSON object, fenced or not', () => {
+    expect(parseAnswer('{"price": 12, "in_stock": true}')).toEqual({ price: 12, in_stock: true });
+    expect(parseAnswer('```json\n{"price": 12}\n```')).toEqual({ price: 12 });
+  });
+
+  test('anything else becomes a single answer column', () => {
+    expect(parseAnswer('  The price is $12.  ')).toEqual({ answer: 'The price is $12.' });
+    expect(parseAnswer('[1, 2]')).toEqual({ answer: '[1, 2]' });
+    expect(parseAnswer('{"broken": ')).toEqual({ answer: '{"broken":' });
+    expect(parseAnswer(null)).toEqual({ answer: '' });
+  });
+});
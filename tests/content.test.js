@@ -0,0 +1,73 @@
+/**
+ * @jest-environment jsdom
+ */
+
+global.chrome = { runtime: { onMessage: { addListener() {} }, sendMessage: () => Promise.resolve() } };
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const { parseCellNumber, pageDecimalSeparator } = require('../src/content.js');
+
+describe('parseCellNumber', () => {
+  const value = (text, decimalSeparator = '.') => parseCellNumber(text, decimalSeparator)?.value ?? null;
+
+  test('reads amounts with currency symbols and codes', () => {
+    expect(parseCellNumber('$1,299.50', '.')).toEqual({ value: 1299.5, currency: '$', percent: false, lossy: false });
+    expect(parseCellNumber('1.234,50 €', '.')).toMatchObject({ value: 1234.5, currency: '€' });
+    expect(parseCellNumber('12 USD', '.')).toMatchObject({ value: 12, currency: 'USD' });
+  });
+
+  test('reads negatives, accounting parentheses and percentages', () => {
+    expect(value('-3')).toBe(-3);
+    expect(value('−€5')).toBe(-5);
+    expect(value('(200)')).toBe(-200);
+    expect(parseCellNumber('-3%', '.')).toMatchObject({ value: -3, percent: true, currency: null });
+  });
+
+  test('a lone separator before three digits depends on the page language', () => {
+    expect(value('1,234', '.')).toBe(1234);
+    expect(value('1.234', '.')).toBe(1.234);
+    expect(value('1.234', ',')).toBe(1234);
+    expect(value('12,5', ',')).toBe(12.5);
+    expect(value('1.5', '.')).toBe(1.5);
+  });
+
+  test('reads space-grouped thousands', () => {
+    expect(value('1 234 567')).toBe(1234567);
+    expect(value('555 0100')).toBeNull();
+  });
+
+  test('rejects text, versions and unbalanced parentheses', () => {
+    expect(value('abc')).toBeNull();
+    expect(value('1.2.3')).toBeNull();
+    expect(value('(5')).toBeNull();
+    expect(value('1,23,456')).toBeNull();
+  });
+
+  test('marks codes the number would change as lossy', () => {
+    expect(parseCellNumber('02139', '.').lossy).toBe(true);
+    expect(parseCellNumber('007', '.').lossy).toBe(true);
+    expect(parseCellNumber('12345678901234567', '.').lossy).toBe(true);
+    expect(parseCellNumber('0.5', '.').lossy).toBe(false);
+    expect(parseCellNumber('10001', '.').lossy).toBe(false);
+  });
+});
+
+describe('pageDecimalSeparator', () => {
+  afterEach(() => document.documentElement.removeAttribute('lang'));
+
+  test('follows the page language', () => {
+    document.documentElement.lang = 'en';
+    expect(pageDecimalSeparator()).toBe('.');
+    document.documentElement.lang = 'de';
+    expect(pageDecimalSeparator()).toBe(',');
+  });
+
+  test('accepts underscores and falls back on malformed tags', () => {
+    document.documentElement.lang = 'de_DE';
+    expect(pageDecimalSeparator()).toBe(',');
+    document.documentElement.lang = 'en_US';
+    expect(pageDecimalSeparator()).toBe('.');
+    document.documentElement.lang = 'x!!';
+    expect(['.', ',']).toContain(pageDecimalSeparator());
+  });
+});
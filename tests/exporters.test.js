@@ -0,0 +1,33 @@
+import { tableToCSV } from '../src/exporters.js';
+
+describe('tableToCSV', () => {
+  const cell = value => tableToCSV(['a'], [[value]]).split('\r\n')[1];
+
+  test('quotes fields with commas, quotes and line breaks', () => {
+    expect(tableToCSV(['name', 'note'], [['Mug', 'blue, large'], ['Cup', 'say "hi"']]))
+      .toBe('name,note\r\nMug,"blue, large"\r\nCup,"say ""hi"""');
+    expect(cell(null)).toBe('');
+  });
+
+  test('neutralizes cells that would run as formulas', () => {
+    expect(cell('=HYPERLINK("https://evil.test")')).toBe('"\'=HYPERLINK(""https://evil.test"")"');
+    expect(cell('+1+2')).toBe("'+1+2");
+    expect(cell('-1+cmd')).toBe("'-1+cmd");
+    expect(cell('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(cell('\t=1')).toBe("'\t=1");
+    expect(cell('\r=1')).toBe('"\'\r=1"');
+    expect(cell('\n=1')).toBe('"\'\n=1"');
+  });
+
+  test('catches formulas behind leading whitespace', () => {
+    expect(cell(' =1+1')).toBe("' =1+1");
+    expect(cell('   @x')).toBe("'   @x");
+  });
+
+  test('leaves plain numbers and ordinary text alone', () => {
+    expect(cell('-5')).toBe('-5');
+    expect(cell('+3.25')).toBe('+3.25');
+    expect(cell(' hello')).toBe(' hello');
+    expect(cell('a=b')).toBe('a=b');
+  });
+});
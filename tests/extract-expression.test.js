@@ -0,0 +1,170 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const { parse, evaluate, ExtractExpressionError } = require('../src/extract-expression.js');
+
+describe('ExtractExpression', () => {
+  let product;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <ul id="products">
+        <li class="product" data-id="p1">
+          <a class="title" href="/items/1">  Blue   Mug </a>
+          <span class="price">$1,299.50</span>
+          <img data-src="/img/mug.jpg" src="">
+          <span class="tags">kitchen, gifts , blue</span>
+          <time datetime="2024-03-05T10:00:00Z">March 5</time>
+        </li>
+        <li class="product" data-id="p2">
+          <a class="title" href="https://shop.example/items/2">Red Cup</a>
+          <span class="price">1.234,50 €</span>
+          <img src="/img/cup.jpg">
+        </li>
+      </ul>
+      <p id="contact">Call 555-0100 or 555-0199, or mail sales@example.com</p>
+    `;
+    product = document.querySelector('.product');
+  });
+
+  describe('navigation and reading', () => {
+    test('finds a descendant relative to the element and reads its text', () => {
+      expect(evaluate("find('.title') | text", product)).toBe('Blue Mug');
+    });
+
+    test('returns elements left at the end as text', () => {
+      expect(evaluate("find('.title')", product)).toBe('Blue Mug');
+    });
+
+    test('findAll maps later operations over every match', () => {
+      const list = document.getElementById('products');
+      expect(evaluate("findAll('.title') | text", list)).toEqual(['Blue Mug', 'Red Cup']);
+    });
+
+    test('attr falls back through a chain of attributes', () => {
+      const images = document.getElementById('products');
+      expect(evaluate("findAll('img') | attr('data-src', 'src')", images)).toEqual(['/img/mug.jpg', '/img/cup.jpg']);
+    });
+
+    test('url resolves relative links against the page', () => {
+      expect(evaluate("find('a') | attr('href') | url", product)).toBe('http://localhost/items/1');
+    });
+
+    test('closest and parent walk up the tree', () => {
+      const price = product.querySelector('.price');
+      expect(evaluate("closest('li') | attr('data-id')", price)).toBe('p1');
+      expect(evaluate("parent | parent | attr('id')", price)).toBe('products');
+    });
+
+    test('missing elements propagate null instead of failing', () => {
+      expect(evaluate("find('.missing') | text | number", product)).toBeNull();
+      expect(evaluate("find('.missing') | text | default('n/a')", product)).toBe('n/a');
+    });
+  });
+
+  describe('strings and regular expressions', () => {
+    test('match returns the first capture group', () => {
+      expect(evaluate("find('.price') | text | match('\\$([\\d,.]+)')", product)).toBe('1,299.50');
+    });
+
+    test('match can return a specific group and use flags', () => {
+      const contact = document.getElementById('contact');
+      expect(evaluate("text | match('(\\w+)@(EXAMPLE\\.com)', 2, 'i')", contact)).toBe('example.com');
+    });
+
+    test('matchAll collects every match', () => {
+      const contact = document.getElementById('contact');
+      expect(evaluate("text | matchAll('\\d{3}-\\d{4}')", contact)).toEqual(['555-0100', '555-0199']);
+    });
+
+    test('split, join and replace', () => {
+      expect(evaluate("find('.tags') | text | split(',')", product)).toEqual(['kitchen', 'gifts', 'blue']);
+      expect(evaluate("find('.tags') | text | split(',') | join(' / ')", product)).toBe('kitchen / gifts / blue');
+      expect(evaluate("find('.title') | text | replace('\\s+', '-') | lower", product)).toBe('blue-mug');
+    });
+
+    test('regular expressions only see the first 20000 characters', () => {
+      product.querySelector('.tags').textContent = 'abcd,'.repeat(6000);
+      expect(evaluate("find('.tags') | text | replace('a', 'x')", product)).toHaveLength(20000);
+      expect(evaluate("find('.tags') | text | split(',') | count", product)).toBe(4001);
+    });
+  });
+
+  describe('parsing', () => {
+    test('number ignores currency symbols and thousands separators', () => {
+      expect(evaluate("find('.price') | number", product)).toBe(1299.5);
+    });
+
+    test('number accepts a comma decimal separator', () => {
+      const second = document.querySelectorAll('.product')[1];
+      expect(evaluate("find('.price') | number(',')", second)).toBe(1234.5);
+    });
+
+    test('int truncates and date normalizes to ISO', () => {
+      expect(evaluate("find('.price') | int", product)).toBe(1299);
+      expect(evaluate("find('time') | attr('datetime') | date", product)).toBe('2024-03-05T10:00:00.000Z');
+      expect(evaluate("find('.title') | text | date", product)).toBeNull();
+    });
+  });
+
+  describe('list operations', () => {
+    test('first, last, nth and count take the whole list', () => {
+      const list = document.getElementById('products');
+      expect(evaluate("findAll('.title') | text | first", list)).toBe('Blue Mug');
+      expect(evaluate("findAll('.title') | text | last", list)).toBe('Red Cup');
+      expect(evaluate("findAll('.title') | text | nth(-1)", list)).toBe('Red Cup');
+      expect(evaluate("findAll('li') | count", list)).toBe(2);
+    });
+
+    test('unique and compact clean up results', () => {
+      const list = document.getElementById('products');
+      expect(evaluate("findAll('li') | find('time') | attr('datetime') | compact", list)).toEqual(['2024-03-05T10:00:00Z']);
+      expect(evaluate("findAll('img') | attr('src') | compact | unique", list)).toEqual(['/img/cup.jpg']);
+    });
+  });
+
+  describe('errors', () => {
+    const message = (expression, context = product) => {
+      try {
+        evaluate(expression, context);
+      } catch (error) {
+        expect(error).toBeInstanceOf(ExtractExpressionError);
+        return error.message;
+      }
+      throw new Error(`Expected "${expression}" to fail`);
+    };
+
+    test('unknown operations are named with their position', () => {
+      expect(message("text | eval('alert(1)')")).toBe('Unknown operation "eval" at position 7 in: text | eval(\'alert(1)\')');
+    });
+
+    test('syntax errors are reported', () => {
+      expect(message("find('.title'")).toMatch(/Expected "," or "\)"/);
+      expect(message("find('.title)")).toMatch(/Unterminated string/);
+      expect(message('text |')).toMatch(/Expected an operation after "\|"/);
+      expect(message('text text')).toMatch(/Expected "\|" between operations/);
+      expect(message('')).toMatch(/non-empty string/);
+    });
+
+    test('argument count and types are checked', () => {
+      expect(message('find')).toMatch(/find\(\) takes 1 argument, got 0/);
+      expect(message("nth('a')")).toMatch(/nth\(\) argument 1 must be a number/);
+      expect(message('attr()')).toMatch(/attr\(\) takes at least 1 argument, got 0/);
+    });
+
+    test('invalid selectors and regular expressions', () => {
+      expect(message("find('[[')")).toMatch(/Invalid CSS selector "\[\["/);
+      expect(message("text | match('(')")).toMatch(/Invalid regular expression/);
+      expect(message("text | match('a', 0, 'g')")).toMatch(/Invalid regex flags "g"/);
+    });
+
+    test('element operations reject strings', () => {
+      expect(message("text | find('a')")).toBe('find() needs an element, got a string at position 7 in: text | find(\'a\')');
+    });
+
+    test('parse rejects overly long expressions', () => {
+      expect(() => parse('text | '.repeat(200) + 'text')).toThrow(/longer than/);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import { resolveToolPolicy, TOOL_POLICY_DEFAULTS } from '../src/policies.js';
+
+describe('resolveToolPolicy', () => {
+  const page = 'https://shop.example.com/cart';
+
+  test('falls back to the tool defaults, and to ask for unknown tools', () => {
+    expect(resolveToolPolicy({}, 'scroll_page', [page])).toBe(TOOL_POLICY_DEFAULTS.scroll_page);
+    expect(resolveToolPolicy(null, 'click_element', [page])).toBe('ask');
+    expect(resolveToolPolicy({}, 'made_up_tool', [page])).toBe('ask');
+  });
+
+  test('a site rule overrides the tool rule', () => {
+    const policies = { tools: { click_element: 'ask' }, sites: { 'example.com': 'always' } };
+    expect(resolveToolPolicy(policies, 'click_element', [page])).toBe('always');
+  });
+
+  test('never on the tool wins over a site that allows everything', () => {
+    const policies = { tools: { navigate: 'never' }, sites: { 'shop.example.com': 'always' } };
+    expect(resolveToolPolicy(policies, 'navigate', [page])).toBe('never');
+  });
+
+  test('never on the site wins over a tool that is always allowed', () => {
+    const policies = { tools: { scroll_page: 'always' }, sites: { 'example.com': 'never' } };
+    expect(resolveToolPolicy(policies, 'scroll_page', [page])).toBe('never');
+  });
+
+  test('the most specific domain decides', () => {
+    const policies = { sites: { 'example.com': 'never', 'shop.example.com': 'always' } };
+    expect(resolveToolPolicy(policies, 'click_element', [page])).toBe('always');
+    expect(resolveToolPolicy(policies, 'click_element', ['https://blog.example.com/'])).toBe('never');
+  });
+
+  test('domains only match whole labels', () => {
+    const policies = { sites: { 'example.com': 'never' } };
+    expect(resolveToolPolicy(policies, 'scroll_page', ['https://notexample.com/'])).toBe('always');
+  });
+
+  test('the strictest rule among all touched pages applies', () => {
+    const policies = { sites: { 'example.com': 'always', 'bank.test': 'never' } };
+    expect(resolveToolPolicy(policies, 'navigate', [page, 'https://bank.test/login'])).toBe('never');
+    expect(resolveToolPolicy(policies, 'navigate', [page, 'https://other.test/'])).toBe('always');
+  });
+
+  test('missing and malformed URLs are ignored', () => {
+    const policies = { sites: { 'example.com': 'never' } };
+    expect(resolveToolPolicy(policies, 'scroll_page', [null, 'not a url'])).toBe('always');
+  });
+});